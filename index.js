@@ -15,6 +15,11 @@ var cors = require("cors");
 const bodyParser = require("body-parser");
 const { handleError } = require("./modules/utilities/routeUtilities");
 
+// Check the secret key for signed tokens is set, as guest IDs, stream tokens and email links can't be created without it
+if (!process.env.tokenKey) {
+  throw new Error("The tokenKey environment variable must be set");
+}
+
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
@@ -195,6 +200,11 @@ app.use("*", (req, res) => {
  *
  * @description This function starts the Express server on the specified port (3000).
  * Once the server is running, it listens for incoming requests and logs a message to the console indicating the server's status.
+ * The background jobs for the feedback and interaction modules, such as sending digest emails and deleting unused
+ * uploads, are then started.
+ *
+ * @requires ./modules/feedback/scheduler.js - Starts the background jobs for the feedback module.
+ * @requires ./modules/interaction/scheduler.js - Starts the background jobs for the interaction module.
  *
  * @param {number} 3000 - The port number the server listens on.
  *
@@ -202,4 +212,6 @@ app.use("*", (req, res) => {
  */
 app.listen(3000, () => {
   console.log("Server is running on port 3000");
+  require("./modules/feedback/scheduler.js").startScheduler();
+  require("./modules/interaction/scheduler.js").startScheduler();
 });
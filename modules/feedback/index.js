@@ -36,9 +36,12 @@ const {
  * @summary Inserts a new session into the database.
  *
  * @description This route validates the incoming request, creates a new session in the database using the provided data,
- * and returns the session ID along with the lead organiser pin. If the request fails, an error message is returned.
+ * and returns the session ID along with the lead organiser pin. Custom questions can be provided as bank question IDs,
+ * which are copied from their question banks. If the request fails, an error message is returned.
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/questionBanks - Copies questions from question banks into the session.
+ * @requires ./routes/conditionalQuestions - Checks the conditions of any conditional questions.
  * @requires ./routes/insertSession - Contains the logic for inserting the session into the database and sending out emails to the organisers.
  *
  * @param {object} req.body.data - The data for the new session to be created.
@@ -59,6 +62,16 @@ router.post(
       // Open a connection to the database
       link = await openDbConnection(dbConfig);
 
+      // Copy any questions from question banks into the session
+      const { expandBankQuestions } = require("./routes/questionBanks");
+      data.questions = await expandBankQuestions(link, data.questions);
+
+      // Check any conditional questions refer to earlier select or checkbox questions
+      const {
+        checkQuestionConditions,
+      } = require("./routes/conditionalQuestions");
+      checkQuestionConditions(data.questions);
+
       // Insert session into the database and get the session ID and lead pin
       const { insertSession } = require("./routes/insertSession");
       const { id, leadPin, sendMailFails } = await insertSession(link, data);
@@ -94,7 +107,8 @@ router.post(
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
  * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
- * @requires ./routes/loadUpdateSession - Contains the logic for retreiving the session and any subsession details from the database.
+ * @requires ./routes/loadUpdateSession - Contains the logic for retreiving the session and any subsession details from
+ * the database, treating a session which has passed its closing time as closed.
  *
  * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
  * @returns {object} 200 - The session details if successfully loaded.
@@ -160,7 +174,7 @@ router.post(
       // Get the session details based on the provided session ID
       let session = await loadUpdateSession(link, data.id);
 
-      // Check that the session isn't closed
+      // Check that the session isn't closed, including if it has passed its closing time
       if (session.closed) {
         throw Object.assign(
           new Error("Cannot edit session which has been closed"),
@@ -173,6 +187,7 @@ router.post(
       if (data.isTemplate) {
         session.multipleDates = false;
         session.date = "";
+        session.closesAt = null;
       }
       res.json(session);
     } catch (error) {
@@ -205,11 +220,15 @@ router.post(
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
  * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
- * @requires ./routes/updateSession - Contains the logic for updating the session in the database and sending out emails to the organisers.
+ * @requires ./routes/questionBanks - Copies questions from question banks into the session.
+ * @requires ./routes/conditionalQuestions - Checks the conditions of any conditional questions.
+ * @requires ./routes/updateSession - Contains the logic for updating the session in the database and sending out emails to
+ * the organisers. Sessions which are closed, including those which have passed their closing time, cannot be updated.
  *
  * @param {object} req.body.data - The data containing the session ID, updated details, and organiser's PIN.
  * @returns {object} 200 - A success message indicating that the session was updated.
  * @returns {object} 401 - Error message if the PIN is invalid or the user lacks editing rights.
+ * @returns {object} 403 - Error message if the session is closed or has received feedback.
  * @returns {object} 500 - Error message if updating the session fails.
  */
 router.post(
@@ -265,6 +284,16 @@ router.post(
         );
       }
 
+      // Copy any questions from question banks into the session
+      const { expandBankQuestions } = require("./routes/questionBanks");
+      data.questions = await expandBankQuestions(link, data.questions);
+
+      // Check any conditional questions refer to earlier select or checkbox questions
+      const {
+        checkQuestionConditions,
+      } = require("./routes/conditionalQuestions");
+      checkQuestionConditions(data.questions);
+
       // Import the function to update the session in the database
       const { updateSession } = require("./routes/updateSession");
 
@@ -291,6 +320,83 @@ router.post(
   }
 );
 
+/**
+ * @async
+ * @route POST /feedback/duplicateSession
+ * @memberof module:feedback
+ * @summary Creates a new session using an existing session as a template.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then
+ * copies the session, including any subsessions and custom questions, into a new session. As with loading a session
+ * as a template, editing rights are not required and sessions which have been closed or have received feedback can be
+ * copied. The date, title and organisers of the new session can optionally be provided. Each organiser of the new
+ * session is given a new PIN by email. If the request fails at any step, an appropriate error message is returned.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/duplicateSession - Contains the logic for copying the session and sending out emails to the organisers.
+ *
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN, and optional date, title and organisers.
+ * @returns {object} 200 - An object containing the ID of the new session and the lead organiser pin.
+ * @returns {object} 400 - Error message if the session is a subsession.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if copying the session fails.
+ */
+router.post(
+  "/duplicateSession",
+  validate.duplicateSessionRules, // Middleware for validating duplicate session request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Import utility functions for getting organisers and validating PINs
+      const {
+        getOrganisers,
+        pinIsValid,
+      } = require("../utilities/pinUtilities");
+
+      // Retrieve organisers associated with the session ID
+      const organisers = await getOrganisers(data.id, "feedback", link);
+
+      // Check if the PIN is valid for an organiser
+      const user = organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Copy the session into a new session and get the new session ID and lead pin
+      const { duplicateSession } = require("./routes/duplicateSession");
+      const { id, leadPin, sendMailFails } = await duplicateSession(link, data);
+
+      // Respond with the new session ID and lead organiser pin
+      res.json({ id, leadPin, sendMailFails });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/duplicateSession",
+        "Failed to duplicate session",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
 /**
  * @async
  * @route POST /feedback/closeSession
@@ -391,25 +497,29 @@ router.post(
 
 /**
  * @async
- * @route POST /feedback/resetPin
+ * @route POST /feedback/reopenSession
  * @memberof module:feedback
- * @summary Resets a session Pin for a given organiser
+ * @summary Reopens a closed session based on the provided session ID and organiser's PIN.
  *
- * @description This route validates the incoming request, checks the email matches an organiser for the given session ID,
- * then generates a new pin, updates the hash in the database and sends the new pin to the organiser by email.
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity,
+ * verifies if the user is the lead organiser or has editing rights, and then reopens the session in the database.
+ * If the request fails at any step, an appropriate error message is returned.
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
  * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
- * @requires ./routes/updateSession - Contains the logic for updating the session in the database and sending out emails to the organisers.
+ * @requires ./routes/reopenSession - Contains the logic for reopening the session in the database and sending out emails to the organisers.
+ * @requires ./routes/updateSession - Reuses getOldSessionDetails
  *
- * @param {object} req.body.data - The data containing the session ID and organiser email.
- * @returns {object} 200 - A success message indicating that the pin was reset.
- * @returns {object} 401 - Error message if the session ID is not found or the email does not match an existing organiser.
- * @returns {object} 500 - Error message if updating the session fails.
+ * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
+ *
+ * @returns {object} 200 - A success message indicating that the session was reopened.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the user lacks editing rights, or the session is a subsession or is not closed.
+ * @returns {object} 500 - Error message if reopening the session fails.
  */
 router.post(
-  "/resetPin",
-  validate.resetPinRules, // Middleware for validating update session request data
+  "/reopenSession",
+  validate.loadUpdateSessionRules, // Middleware for validating reopen session request data
   validate.validateRequest, // Middleware for validating the request based on the rules
   async (req, res) => {
     let link; // Database connection variable
@@ -428,24 +538,50 @@ router.post(
         link
       );
 
-      // Import the function to update the session in the database
-      const { resetPin } = require("./routes/resetPin");
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = sessionDetails.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
 
-      // Update the session with the provided data
-      const sendMailFails = await resetPin(link, data, sessionDetails);
+      // Check if the organiser is the lead or has editing rights
+      if (!user.isLead && !user.canEdit) {
+        throw Object.assign(new Error("User does not have editing rights"), {
+          statusCode: 403,
+        });
+      }
+
+      // Check if the session is a subsession
+      if (sessionDetails.isSubsession) {
+        throw Object.assign(
+          new Error("Subsessions cannot be reopened directly"),
+          { statusCode: 403 }
+        );
+      }
+
+      // Check if the session is closed
+      if (!sessionDetails.closed) {
+        throw Object.assign(new Error("Session is not closed"), {
+          statusCode: 403,
+        });
+      }
+
+      // Reopen the session in the database
+      const { reopenSession } = require("./routes/reopenSession");
+      const sendMailFails = await reopenSession(link, sessionDetails, user);
 
       // Respond with a success message
-      res.json({
-        message:
-          "Your PIN was reset. Please check your inbox for your new PIN.",
-        sendMailFails,
-      });
+      res.json({ message: "The session was reopened.", sendMailFails });
     } catch (error) {
+      delete data.pin; // Remove the pin from the error message
       handleError(
         error,
         error.statusCode,
-        "feedback/resetPin",
-        "Failed to reset pin",
+        "feedback/reopenSession",
+        "Failed to reopen session",
         res,
         false,
         [JSON.stringify(data)]
@@ -459,29 +595,31 @@ router.post(
 
 /**
  * @async
- * @route POST /feedback/updateNotificationPreferences
+ * @route POST /feedback/sendFeedbackReminders
  * @memberof module:feedback
- * @summary Changes if an organiser has feedback submission notifications enabled.
+ * @summary Emails attendees on the attendance register a reminder to complete feedback.
  *
  * @description This route validates the incoming request, checks the provided organiser's PIN for validity,
- * then updates the notification settings for that organiser in the database.
- * If the request fails at any step, an appropriate error message is returned.
+ * verifies if the user has editing rights, and then emails a reminder to each attendee who left an email address on
+ * the attendance register. Each attendee is only sent one reminder, so later requests only email attendees who have
+ * registered since. If the request fails at any step, an appropriate error message is returned.
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
  * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
- * @requires ./routes/updateNotificationPreferences - Contains the logic for updating the notification preferences in the database and sending an email to the organiser.
+ * @requires ./routes/sendFeedbackReminders - Contains the logic for selecting attendees and sending the reminders.
+ * @requires ./routes/closeSession - Checks whether the session has passed its closing time.
  * @requires ./routes/updateSession - Reuses getOldSessionDetails
  *
  * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
  *
- * @returns {object} 200 - A success message indicating that the session was updated.
- * @returns {object} 401 - Error message if session has already been closed.
- * @returns {object} 401 - Error message if the PIN is invalid or the user lacks editing rights.
- * @returns {object} 500 - Error message if updating the session fails.
+ * @returns {object} 200 - A message giving the number of reminders sent, and details of any failed emails.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the user lacks editing rights, or the session is closed or has no attendance register.
+ * @returns {object} 500 - Error message if sending the reminders fails.
  */
 router.post(
-  "/updateNotificationPreferences",
-  validate.updateNotificationPreferencesRules, // Middleware for validating notification preference update request data
+  "/sendFeedbackReminders",
+  validate.loadUpdateSessionRules, // Middleware for validating send reminders request data
   validate.validateRequest, // Middleware for validating the request based on the rules
   async (req, res) => {
     let link; // Database connection variable
@@ -502,28 +640,51 @@ router.post(
 
       // Check if the provided PIN is valid for any organiser
       const { pinIsValid } = require("../utilities/pinUtilities");
-      const organiserIndex = sessionDetails.organisers.findIndex((organiser) =>
+      const user = sessionDetails.organisers.find((organiser) =>
         pinIsValid(data.pin, organiser.salt, organiser.pinHash)
       );
-      const organiser = sessionDetails.organisers[organiserIndex];
-      if (!organiser) {
+      if (!user) {
         throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
       }
 
-      // Close the session in the database
+      // Check if the organiser has editing rights
+      if (!user.canEdit) {
+        throw Object.assign(new Error("User does not have editing rights"), {
+          statusCode: 403,
+        });
+      }
+
+      // Check the session has an attendance register and is still open to feedback
+      if (!sessionDetails.attendance) {
+        throw Object.assign(
+          new Error("The session does not have an attendance register"),
+          { statusCode: 403 }
+        );
+      }
+      const { applyClosingTime } = require("./routes/closeSession");
+      if (applyClosingTime(sessionDetails)) {
+        throw Object.assign(new Error("Session is closed"), {
+          statusCode: 403,
+        });
+      }
+
+      // Send the reminders
       const {
-        updateNotificationPreferences,
-      } = require("./routes/updateNotificationPreferences");
-      const sendMailFails = await updateNotificationPreferences(
+        sendFeedbackReminders,
+      } = require("./routes/sendFeedbackReminders");
+      const { sentCount, sendMailFails } = await sendFeedbackReminders(
         link,
-        data,
-        sessionDetails,
-        organiserIndex
+        sessionDetails
       );
 
       // Respond with a success message
       res.json({
-        message: "Your notification preferences were updated.",
+        message: sentCount
+          ? `Reminders were sent to ${sentCount} attendee${
+              sentCount === 1 ? "" : "s"
+            }.`
+          : "There were no attendees to send a reminder to.",
+        sentCount,
         sendMailFails,
       });
     } catch (error) {
@@ -531,8 +692,8 @@ router.post(
       handleError(
         error,
         error.statusCode,
-        "feedback/updateNotificationPreferences",
-        "Failed to update notification preferences",
+        "feedback/sendFeedbackReminders",
+        "Failed to send feedback reminders",
         res,
         false,
         [JSON.stringify(data)]
@@ -546,27 +707,25 @@ router.post(
 
 /**
  * @async
- * @route POST /feedback/findMySessions
+ * @route POST /feedback/unsubscribeReminders
  * @memberof module:feedback
- * @summary Sends an email with a list of sessions for which that email is an organiser or facilitator.
+ * @summary Stops feedback reminders being sent to an attendee's email address.
  *
- * @description
- * This route allows a user to request an email with details of feedback sessions they are associated with
- * as an organiser or facilitator. It validates the provided email, checks the database
- * for sessions matching the criteria, and sends an email containing the session details.
- * If no matching sessions are found, the email indicates this with an appropriate message.
+ * @description This route validates the request, then verifies the token from the unsubscribe link in a reminder
+ * email and stops reminders being sent to its email address for all sessions.
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
- * @requires ./routes/findMySessions
+ * @requires ./routes/sendFeedbackReminders - Contains the logic for verifying the token and unsubscribing.
  *
- * @param {object} req.body.data - The data containing the email.
+ * @param {object} req.body.data - The data containing the token.
  *
- * @returns {object} 200 - A success message indicating that the email of sessions was sent.
- * @returns {object} 500 - Error message if the process fails.
+ * @returns {object} 200 - A success message indicating that the email address was unsubscribed.
+ * @returns {object} 401 - Error message if the token is invalid or has expired.
+ * @returns {object} 500 - Error message if unsubscribing fails.
  */
 router.post(
-  "/findMySessions",
-  validate.findMySessionsRules, // Middleware for validating find my sessions request data
+  "/unsubscribeReminders",
+  validate.unsubscribeRemindersRules, // Middleware for validating unsubscribe request data
   validate.validateRequest, // Middleware for validating the request based on the rules
   async (req, res) => {
     let link; // Database connection variable
@@ -578,23 +737,23 @@ router.post(
       // Open a connection to the database
       link = await openDbConnection(dbConfig);
 
-      // Find and send the sessions
-      const { findMySessions } = require("./routes/findMySessions");
-      const sendMailFails = await findMySessions(data.email, link);
+      // Unsubscribe the email address in the token
+      const {
+        unsubscribeReminders,
+      } = require("./routes/sendFeedbackReminders");
+      await unsubscribeReminders(link, data.token);
 
       // Respond with a success message
       res.json({
-        message: sendMailFails.length
-          ? ""
-          : "Please check your email for session details.",
-        sendMailFails,
+        message: "You won't be sent any more feedback reminders.",
       });
     } catch (error) {
+      delete data.token; // Remove the token from the error message
       handleError(
         error,
         error.statusCode,
-        "feedback/findMySessions",
-        "Failed to find sessions",
+        "feedback/unsubscribeReminders",
+        "Failed to unsubscribe",
         res,
         false,
         [JSON.stringify(data)]
@@ -608,23 +767,25 @@ router.post(
 
 /**
  * @async
- * @route POST /feedback/loadGiveFeedback
+ * @route POST /feedback/resetPin
  * @memberof module:feedback
- * @summary Loads session deails based on the provided session ID.
+ * @summary Resets a session Pin for a given organiser
  *
- * @description This route validates the incoming request and then retrieves the session details to populate the feedback form.
- * If the request fails at any step, an appropriate error message is returned.
+ * @description This route validates the incoming request, checks the email matches an organiser for the given session ID,
+ * then generates a new pin, updates the hash in the database and sends the new pin to the organiser by email.
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
- * @requires ./routes/loadGiveFeedback - Contains the logic for retreiving the session and any subsession details from the database.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/updateSession - Contains the logic for updating the session in the database and sending out emails to the organisers.
  *
- * @param {object} req.body.data - The data containing the session ID.
- * @returns {object} 200 - The session details if successfully loaded.
- * @returns {object} 500 - Error message if loading session details fails.
+ * @param {object} req.body.data - The data containing the session ID and organiser email.
+ * @returns {object} 200 - A success message indicating that the pin was reset.
+ * @returns {object} 401 - Error message if the session ID is not found or the email does not match an existing organiser.
+ * @returns {object} 500 - Error message if updating the session fails.
  */
 router.post(
-  "/loadGiveFeedback",
-  validate.loadGiveFeedbackRules, // Middleware for validating session load request data
+  "/resetPin",
+  validate.resetPinRules, // Middleware for validating update session request data
   validate.validateRequest, // Middleware for validating the request based on the rules
   async (req, res) => {
     let link; // Database connection variable
@@ -636,29 +797,31 @@ router.post(
       // Open a connection to the database
       link = await openDbConnection(dbConfig);
 
-      // Import the function to load the session details
-      const { loadGiveFeedback } = require("./routes/loadGiveFeedback");
+      // Retrieve session details from the database
+      const updateSessionRoute = require("./routes/updateSession");
+      const sessionDetails = await updateSessionRoute.getOldSessionDetails(
+        data.id,
+        link
+      );
 
-      // Get the session details based on the provided session ID
-      let session = await loadGiveFeedback(link, data.id);
+      // Import the function to update the session in the database
+      const { resetPin } = require("./routes/resetPin");
 
-      // Check that the session isn't closed
-      if (session.closed) {
-        throw Object.assign(
-          new Error("Session is closed to feedback submissions"),
-          { statusCode: 403 }
-        );
-      }
+      // Update the session with the provided data
+      const sendMailFails = await resetPin(link, data, sessionDetails);
 
-      // Respond with the session details
-      session = decodeObjectStrings(session);
-      res.json(session);
+      // Respond with a success message
+      res.json({
+        message:
+          "Your PIN was reset. Please check your inbox for your new PIN.",
+        sendMailFails,
+      });
     } catch (error) {
       handleError(
         error,
         error.statusCode,
-        "feedback/loadGiveFeedback",
-        "Failed to load session details",
+        "feedback/resetPin",
+        "Failed to reset pin",
         res,
         false,
         [JSON.stringify(data)]
@@ -672,26 +835,670 @@ router.post(
 
 /**
  * @async
- * @route POST /feedback/giveFeedback
+ * @route POST /feedback/updateNotificationPreferences
  * @memberof module:feedback
- * @summary Inserts a feedback submission for a given session.
+ * @summary Changes if an organiser has feedback submission notifications enabled, and how often they are sent.
  *
- * @description This route validates the incoming request, and inserts the feedback into the feedback database.
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity,
+ * then updates the notification settings for that organiser in the database. The optional frequency chooses between
+ * immediate notifications and a daily or weekly digest, and is left unchanged if not provided.
  * If the request fails at any step, an appropriate error message is returned.
  *
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
- * @requires ./routes/loadGiveFeedback - Reused to check session is not closed.
- * @requires ./routes/giveFeedback - Contains the logic for inserting the feedback response in the database and sending out notifications.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/updateNotificationPreferences - Contains the logic for updating the notification preferences in the database and sending an email to the organiser.
+ * @requires ./routes/updateSession - Reuses getOldSessionDetails
  *
- * @param {object} req.body.data - The data containing the session ID and feedback submission details.
- * @returns {object} 200 - A success message indicating that the feedback was submitted.
- * @returns {object} 401 - Error message if the session is closed.
- * @returns {object} 500 - Error message if submitting the feedback fails.
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN, and notification preferences.
+ *
+ * @returns {object} 200 - A success message indicating that the session was updated.
+ * @returns {object} 401 - Error message if session has already been closed.
+ * @returns {object} 401 - Error message if the PIN is invalid or the user lacks editing rights.
+ * @returns {object} 500 - Error message if updating the session fails.
  */
 router.post(
-  "/giveFeedback",
-  validate.giveFeedbackRules, // Middleware for validating feedback submission data
-  validate.validateRequest, // Middleware for validating the request based on the rules
+  "/updateNotificationPreferences",
+  validate.updateNotificationPreferencesRules, // Middleware for validating notification preference update request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const updateSessionRoute = require("./routes/updateSession");
+      const sessionDetails = await updateSessionRoute.getOldSessionDetails(
+        data.id,
+        link
+      );
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const organiserIndex = sessionDetails.organisers.findIndex((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      const organiser = sessionDetails.organisers[organiserIndex];
+      if (!organiser) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Close the session in the database
+      const {
+        updateNotificationPreferences,
+      } = require("./routes/updateNotificationPreferences");
+      const sendMailFails = await updateNotificationPreferences(
+        link,
+        data,
+        sessionDetails,
+        organiserIndex
+      );
+
+      // Respond with a success message
+      res.json({
+        message: "Your notification preferences were updated.",
+        sendMailFails,
+      });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/updateNotificationPreferences",
+        "Failed to update notification preferences",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/findMySessions
+ * @memberof module:feedback
+ * @summary Sends an email with a list of sessions for which that email is an organiser or facilitator.
+ *
+ * @description
+ * This route allows a user to request an email with details of feedback sessions they are associated with
+ * as an organiser or facilitator. It validates the provided email, checks the database
+ * for sessions matching the criteria, and sends an email containing the session details.
+ * If no matching sessions are found, the email indicates this with an appropriate message.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/findMySessions
+ *
+ * @param {object} req.body.data - The data containing the email.
+ *
+ * @returns {object} 200 - A success message indicating that the email of sessions was sent.
+ * @returns {object} 500 - Error message if the process fails.
+ */
+router.post(
+  "/findMySessions",
+  validate.findMySessionsRules, // Middleware for validating find my sessions request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Find and send the sessions
+      const { findMySessions } = require("./routes/findMySessions");
+      const sendMailFails = await findMySessions(data.email, link);
+
+      // Respond with a success message
+      res.json({
+        message: sendMailFails.length
+          ? ""
+          : "Please check your email for session details.",
+        sendMailFails,
+      });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/findMySessions",
+        "Failed to find sessions",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/requestAnalytics
+ * @memberof module:feedback
+ * @summary Sends an email with a link to analytics of the feedback across all of an organiser's sessions.
+ *
+ * @description
+ * This route validates the provided email and sends it a link containing a signed token, which gives access to the
+ * analytics for that email address until it expires. The link is sent whether or not any sessions are found.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/analytics - Contains the logic for creating the token and sending the email.
+ *
+ * @param {object} req.body.data - The data containing the email.
+ *
+ * @returns {object} 200 - A success message indicating that the email was sent.
+ * @returns {object} 500 - Error message if the process fails.
+ */
+router.post(
+  "/requestAnalytics",
+  validate.findMySessionsRules, // Middleware for validating request analytics data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Send the analytics link
+      const { requestAnalytics } = require("./routes/analytics");
+      const sendMailFails = await requestAnalytics(data.email);
+
+      // Respond with a success message
+      res.json({
+        message: sendMailFails.length
+          ? ""
+          : "Please check your email for a link to your analytics.",
+        sendMailFails,
+      });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/requestAnalytics",
+        "Failed to send analytics link",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/fetchAnalytics
+ * @memberof module:feedback
+ * @summary Returns analytics of the feedback across all of an organiser's sessions.
+ *
+ * @description
+ * This route validates the request, verifies the token from the analytics link, then aggregates the feedback for
+ * every session where the token's email address is an organiser or facilitator.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/analytics - Contains the logic for verifying the token and aggregating the feedback.
+ *
+ * @param {object} req.body.data - The data containing the token.
+ *
+ * @returns {object} 200 - The score trend, session summaries, most frequent comment words and question comparisons.
+ * @returns {object} 401 - Error message if the token is invalid or has expired.
+ * @returns {object} 500 - Error message if the process fails.
+ */
+router.post(
+  "/fetchAnalytics",
+  validate.fetchAnalyticsRules, // Middleware for validating fetch analytics data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Check the token before opening a database connection
+      const {
+        verifyAnalyticsToken,
+        fetchAnalytics,
+      } = require("./routes/analytics");
+      const email = verifyAnalyticsToken(data.token);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Aggregate the feedback across the organiser's sessions
+      const analytics = await fetchAnalytics(link, email);
+
+      res.json(analytics);
+    } catch (error) {
+      delete data.token; // Remove the token from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/fetchAnalytics",
+        "Failed to fetch analytics",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/insertQuestionBank
+ * @memberof module:feedback
+ * @summary Creates a new question bank.
+ *
+ * @description This route validates the incoming request, creates a new question bank owned by the provided email,
+ * and returns the question bank ID along with the owner's PIN, which is also emailed to the owner. If the request
+ * fails, an error message is returned.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/questionBanks - Contains the logic for inserting the question bank and emailing the owner.
+ *
+ * @param {object} req.body.data - The data containing the name, owner's name and email, and questions.
+ * @returns {object} 200 - An object containing the ID of the new question bank and the owner's PIN.
+ * @returns {object} 500 - An error message if the question bank creation fails.
+ */
+router.post(
+  "/insertQuestionBank",
+  validate.insertQuestionBankRules, // Middleware for validating question bank data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Insert the question bank into the database and get the ID and pin
+      const { insertQuestionBank } = require("./routes/questionBanks");
+      const { id, pin, sendMailFails } = await insertQuestionBank(link, data);
+
+      // Respond with the question bank ID and pin
+      res.json({ id, pin, sendMailFails });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/insertQuestionBank",
+        "Failed to create question bank",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/loadQuestionBank
+ * @memberof module:feedback
+ * @summary Loads a question bank based on the provided question bank ID and validates the owner's PIN.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/questionBanks - Contains the logic for retrieving the question bank.
+ *
+ * @param {object} req.body.data - The data containing the question bank ID and owner's PIN.
+ * @returns {object} 200 - The name, owner's name and questions of the question bank.
+ * @returns {object} 400 - Error message if the question bank is not found.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if loading the question bank fails.
+ */
+router.post(
+  "/loadQuestionBank",
+  validate.loadQuestionBankRules, // Middleware for validating question bank load request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve the question bank and check the PIN is valid for the owner
+      const { selectQuestionBank } = require("./routes/questionBanks");
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const bank = await selectQuestionBank(link, data.id);
+      if (!pinIsValid(data.pin, bank.salt, bank.pinHash)) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Respond with the question bank details
+      const { id, name, ownerName, questions } = bank;
+      res.json(decodeObjectStrings({ id, name, ownerName, questions }));
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/loadQuestionBank",
+        "Failed to load question bank",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/updateQuestionBank
+ * @memberof module:feedback
+ * @summary Updates the name and questions of a question bank.
+ *
+ * @description This route validates the incoming request, checks the owner's PIN for validity, and then updates the
+ * question bank. Existing questions are identified by their bank question ID, and their type and options cannot be
+ * changed so that responses remain comparable across sessions. Questions without an ID are added to the bank.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/questionBanks - Contains the logic for updating the question bank.
+ *
+ * @param {object} req.body.data - The data containing the question bank ID, owner's PIN, and updated name and questions.
+ * @returns {object} 200 - A success message and the updated questions, including their bank question IDs.
+ * @returns {object} 400 - Error message if the question bank or a question is not found, or a question's type or options have changed.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if updating the question bank fails.
+ */
+router.post(
+  "/updateQuestionBank",
+  validate.updateQuestionBankRules, // Middleware for validating question bank update request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve the question bank and check the PIN is valid for the owner
+      const {
+        selectQuestionBank,
+        updateQuestionBank,
+      } = require("./routes/questionBanks");
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const bank = await selectQuestionBank(link, data.id);
+      if (!pinIsValid(data.pin, bank.salt, bank.pinHash)) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Update the question bank
+      const questions = await updateQuestionBank(link, bank, data);
+
+      // Respond with a success message and the updated questions
+      res.json({
+        message: "The question bank was updated.",
+        questions: decodeObjectStrings(questions),
+      });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/updateQuestionBank",
+        "Failed to update question bank",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/deleteQuestionBank
+ * @memberof module:feedback
+ * @summary Deletes a question bank.
+ *
+ * @description This route validates the incoming request, checks the owner's PIN for validity, and then deletes the
+ * question bank. Sessions which already include questions from the bank keep their copies of the questions.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/questionBanks - Contains the logic for deleting the question bank.
+ *
+ * @param {object} req.body.data - The data containing the question bank ID and owner's PIN.
+ * @returns {object} 200 - A success message indicating that the question bank was deleted.
+ * @returns {object} 400 - Error message if the question bank is not found.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if deleting the question bank fails.
+ */
+router.post(
+  "/deleteQuestionBank",
+  validate.loadQuestionBankRules, // Middleware for validating question bank delete request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve the question bank and check the PIN is valid for the owner
+      const {
+        selectQuestionBank,
+        deleteQuestionBank,
+      } = require("./routes/questionBanks");
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const bank = await selectQuestionBank(link, data.id);
+      if (!pinIsValid(data.pin, bank.salt, bank.pinHash)) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Delete the question bank
+      await deleteQuestionBank(link, data.id);
+
+      // Respond with a success message
+      res.json({ message: "The question bank was deleted." });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/deleteQuestionBank",
+        "Failed to delete question bank",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/findMyQuestionBanks
+ * @memberof module:feedback
+ * @summary Sends an email with a list of the question banks owned by that email.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/questionBanks - Contains the logic for finding the question banks and emailing the owner.
+ *
+ * @param {object} req.body.data - The data containing the email.
+ * @returns {object} 200 - A success message indicating that the email of question banks was sent.
+ * @returns {object} 500 - Error message if the process fails.
+ */
+router.post(
+  "/findMyQuestionBanks",
+  validate.findMySessionsRules, // Middleware for validating find my question banks request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Find and send the question banks
+      const { findMyQuestionBanks } = require("./routes/questionBanks");
+      const sendMailFails = await findMyQuestionBanks(link, data.email);
+
+      // Respond with a success message
+      res.json({
+        message: sendMailFails.length
+          ? ""
+          : "Please check your email for question bank details.",
+        sendMailFails,
+      });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/findMyQuestionBanks",
+        "Failed to find question banks",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/loadGiveFeedback
+ * @memberof module:feedback
+ * @summary Loads session deails based on the provided session ID.
+ *
+ * @description This route validates the incoming request and then retrieves the session details to populate the feedback form.
+ * If the request fails at any step, an appropriate error message is returned.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/loadGiveFeedback - Contains the logic for retreiving the session and any subsession details from the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID.
+ * @returns {object} 200 - The session details if successfully loaded.
+ * @returns {object} 403 - Error message including the date the session closed, if it is closed.
+ * @returns {object} 500 - Error message if loading session details fails.
+ */
+router.post(
+  "/loadGiveFeedback",
+  validate.loadGiveFeedbackRules, // Middleware for validating session load request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Import the function to load the session details
+      const { loadGiveFeedback } = require("./routes/loadGiveFeedback");
+
+      // Get the session details based on the provided session ID
+      let session = await loadGiveFeedback(link, data.id);
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(
+          new Error(
+            session.closedOn
+              ? `Session was closed to feedback submissions on ${session.closedOn}`
+              : "Session is closed to feedback submissions"
+          ),
+          { statusCode: 403 }
+        );
+      }
+
+      // Respond with the session details
+      session = decodeObjectStrings(session);
+      res.json(session);
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/loadGiveFeedback",
+        "Failed to load session details",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /feedback/giveFeedback
+ * @memberof module:feedback
+ * @summary Inserts a feedback submission for a given session.
+ *
+ * @description This route validates the incoming request, checks the responses to custom questions against the questions
+ * stored with the session, and inserts the feedback into the feedback database. If the request fails at any step, an
+ * appropriate error message is returned.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/loadGiveFeedback - Reused to check session is not closed.
+ * @requires ./routes/questionResponses - Checks the responses against the session's questions.
+ * @requires ./routes/giveFeedback - Contains the logic for inserting the feedback response in the database and sending out notifications.
+ *
+ * @param {object} req.body.data - The data containing the session ID and feedback submission details.
+ * @returns {object} 200 - A success message indicating that the feedback was submitted, and a single-use completion
+ * token for downloading a certificate of attendance (null if the session does not require feedback for a certificate).
+ * @returns {object} 400 - Error messages for each response which does not meet the rules of the session's questions.
+ * @returns {object} 401 - Error message if the session is closed.
+ * @returns {object} 500 - Error message if submitting the feedback fails.
+ */
+router.post(
+  "/giveFeedback",
+  validate.giveFeedbackRules, // Middleware for validating feedback submission data
+  validate.validateRequest, // Middleware for validating the request based on the rules
   async (req, res) => {
     let link; // Database connection variable
     let data;
@@ -707,19 +1514,32 @@ router.post(
       const session = await loadGiveFeedback(link, data.id);
       if (session.closed) {
         throw Object.assign(
-          new Error("Session is closed to feedback submissions"),
+          new Error(
+            session.closedOn
+              ? `Session was closed to feedback submissions on ${session.closedOn}`
+              : "Session is closed to feedback submissions"
+          ),
           { statusCode: 403 }
         );
       }
 
+      // Check the responses against the session's questions, returning every problem found
+      const {
+        checkResponses,
+        normaliseResponses,
+      } = require("./routes/questionResponses");
+      const errors = checkResponses(session.questions, data.questions);
+      if (errors.length) return res.status(400).json({ errors });
+      data.questions = normaliseResponses(session.questions, data.questions);
+
       // Import the function to insert the feedback into the database and send notifications
       const { giveFeedback } = require("./routes/giveFeedback");
 
       // Insert the feedback and send notifications
-      await giveFeedback(link, data, session);
+      const completionToken = await giveFeedback(link, data, session);
 
-      // Respond with a success message
-      res.json({ message: "Your feedback was submitted." });
+      // Respond with a success message and the completion token
+      res.json({ message: "Your feedback was submitted.", completionToken });
     } catch (error) {
       handleError(
         error,
@@ -748,11 +1568,14 @@ router.post(
  * @requires ./validate - Module for defining validation rules and sanitizing request data.
  * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
  * @requires ./routes/insertAttendance - Contains the logic for inserting attendance data into the database.
- * @requires ./routes/fetchCertificate - Contains the logic for creating a certificate of attendance.
+ * @requires ./routes/fetchCertificate - Contains the logic for checking the completion token and creating a certificate of attendance.
+ * @requires ./routes/closeSession - Checks whether the session has passed its closing time.
  *
- * @param {object} req.body.data - The data containing the session ID, and attendee name, region and organisation.
- * @returns {object} 200 - Streamed blob of certificate of attendance
- * @returns {object} 401 - Error message if the session does not have certificate of attendance enabled.
+ * @param {object} req.body.data - The data containing the session ID, attendee name, region, organisation and optional
+ * email, and the completion token if the session requires feedback before a certificate is downloaded.
+ * @returns {object} 200 - PDF blob of certificate of attendance
+ * @returns {object} 403 - Error message if the session is closed or does not have certificate of attendance enabled, or
+ * if feedback is required and the completion token is missing, invalid or already used.
  * @returns {object} 500 - Error message if inserting the attendance data or building the certificate fails.
  */
 router.post(
@@ -776,11 +1599,12 @@ router.post(
         link
       );
 
-      if (sessionDetails.closed) {
-        throw Object.assign(
-          new Error("The session has been closed by an organiser"),
-          { statusCode: 403 }
-        );
+      // Check the session is not closed, including if it has passed its closing time
+      const { applyClosingTime } = require("./routes/closeSession");
+      if (applyClosingTime(sessionDetails)) {
+        throw Object.assign(new Error("The session has been closed"), {
+          statusCode: 403,
+        });
       }
 
       if (!sessionDetails.certificate) {
@@ -792,14 +1616,41 @@ router.post(
         );
       }
 
+      const {
+        createCertificate,
+        sendCertificate,
+        checkCompletionToken,
+        useCompletionToken,
+      } = require("./routes/fetchCertificate");
+
+      // Check that feedback was completed, if the session requires it
+      const completionNonce = sessionDetails.requireFeedbackForCertificate
+        ? await checkCompletionToken(link, data.id, data.completionToken)
+        : null;
+
+      // Create the certificate before marking the completion token as used, so the token isn't lost if this fails
+      const certificate = await createCertificate(
+        sessionDetails,
+        data.attendee
+      );
+
+      // Mark the completion token as used before recording attendance, so a token used by two requests at the same
+      // time only adds the attendee to the register once
+      if (completionNonce) {
+        await useCompletionToken(link, data.id, completionNonce);
+      }
+
       if (sessionDetails.attendance) {
-        // Insert the attendance data
+        // Insert the attendance data, noting if a completion token was used so the attendee isn't sent a reminder
         const { insertAttendance } = require("./routes/insertAttendance");
-        await insertAttendance(link, data);
+        await insertAttendance(
+          link,
+          data,
+          Boolean(sessionDetails.requireFeedbackForCertificate)
+        );
       }
 
-      const { fetchCertificate } = require("./routes/fetchCertificate");
-      await fetchCertificate(sessionDetails, data.attendee, res);
+      sendCertificate(certificate, res);
     } catch (error) {
       handleError(
         error,
@@ -968,6 +1819,83 @@ router.post(
   }
 );
 
+/**
+ * @async
+ * @route POST /feedback/fetchFeedbackExport
+ * @memberof module:feedback
+ * @summary Returns a CSV or XLSX file of the raw feedback submissions.
+ *
+ * @description This route validates the incoming request, checks the PIN is valid for an organiser of the session (or
+ * of the session series if a subsession is requested), then streams a spreadsheet with one row per submission in the
+ * requested format.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/fetchFeedbackExport - Contains the logic for creating the feedback export.
+ *
+ * @param {object} req.body.data - The data containing the session ID, pin, format and any parent session ID.
+ * @returns {object} 200 - Streamed blob of the CSV or XLSX file.
+ * @returns {object} 400 - Error message if the subsession is not part of the session series.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if creating the export fails.
+ */
+router.post(
+  "/fetchFeedbackExport",
+  validate.fetchFeedbackExportRules, // Middleware for validating fetch feedback export request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Import utility functions for getting organisers and validating PINs
+      const {
+        getOrganisers,
+        pinIsValid,
+      } = require("../utilities/pinUtilities");
+
+      // Retrieve organisers associated with the session ID
+      const organisers = await getOrganisers(
+        data.parentSessionId ?? data.id,
+        "feedback",
+        link
+      );
+
+      // Check if the provided PIN is valid for any organiser
+      const user = organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+
+      // Check if the PIN is valid for an organiser
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      const { fetchFeedbackExport } = require("./routes/fetchFeedbackExport");
+      await fetchFeedbackExport(link, data, res);
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "feedback/fetchFeedbackExport",
+        "Failed to fetch feedback export",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
 /**
  * @async
  * @route POST /feedback/viewAttendance
@@ -0,0 +1,278 @@
+/**
+ * @module analytics
+ * @memberof module:feedback
+ * @summary Aggregates the feedback across all of an organiser's sessions.
+ *
+ * @description
+ * Organisers do not have accounts, so access to their analytics is given by emailing a link containing a signed token
+ * for their email address, which expires after the number of hours set in the config file. This proves the requester
+ * can read emails sent to the address, in the same way as 'Find My Sessions'. The analytics include every session
+ * (and subsession) where the email is an organiser or facilitator, ordered by date so the score trend over time can be
+ * shown. For each session the number of submissions and mean score are given, along with the most frequent words in
+ * positive and constructive comments across all sessions, and a comparison of custom questions asked in more than one
+ * session. Questions are compared when they have the same title (ignoring case) and type.
+ *
+ * @requires ../../../config.json - Configuration file containing the token expiry and number of words to return.
+ * @requires entities For decoding html entities
+ * @requires ../../utilities/mailUtilities - Utilities for sending email messages.
+ * @requires ../../utilities/tokenUtilities - Creates and verifies the signed token in the analytics link.
+ * @requires ../../utilities/statsUtilities - Splits comments into normalised words.
+ * @requires ./findMySessions - Retrieves the sessions associated with an email.
+ * @requires ./viewFeedback - Retrieves and organises the feedback for each session.
+ *
+ * @exports requestAnalytics - Emails an organiser a link to their analytics.
+ * @exports verifyAnalyticsToken - Checks an analytics token and returns the email it was created for.
+ * @exports fetchAnalytics - Aggregates the feedback across an organiser's sessions.
+ */
+
+const config = require("../../../config.json");
+const { decode } = require("entities");
+const mailUtilities = require("../../utilities/mailUtilities");
+const { createToken, verifyToken } = require("../../utilities/tokenUtilities");
+const { normaliseWords } = require("../../utilities/statsUtilities");
+const { selectSessionsByEmail } = require("./findMySessions");
+const {
+  selectFeedbackFromDatabase,
+  organiseQuestionFeedback,
+} = require("./viewFeedback");
+
+// Common words which are not counted in the most frequent words of comments
+const stopWords = new Set(
+  `a about all also am an and any are as at be been but by can could did do does for from had has have he her his how i
+  if in into is it its just me more most my no not of on or our really she so some than that the their them then there
+  these they this those to too very was we were what when which who will with would you your`.split(
+    /\s+/
+  )
+);
+
+/**
+ * @async
+ * @function requestAnalytics
+ * @memberof module:analytics
+ * @summary Emails an organiser a link to their analytics.
+ *
+ * @description The link is sent whether or not any sessions are found, so that the response does not reveal whether
+ * an email address has been used on LearnLoop.
+ *
+ * @param {string} email - The organiser's email address.
+ * @returns {Promise<Array>} - A list of failed email send attempts, if any.
+ */
+const requestAnalytics = async (email) => {
+  const token = createToken(
+    "analytics",
+    { email: email.toLowerCase() },
+    config.feedback.analytics.tokenExpiryHours
+  );
+
+  const appURL = config.client.url;
+  const shortenedAppURL = appURL.replace("https://", "");
+  const heading = "Your feedback analytics";
+  const body = `
+    <p>Hello,</p>
+    <p>Use the link below to view analytics of the feedback for all your sessions on LearnLoop, including your score trend over time and a comparison of questions asked in more than one session.</p>
+    <p><a href="${appURL}/feedback/analytics/${token}">View your feedback analytics</a></p>
+    <p>This link will expire after ${config.feedback.analytics.tokenExpiryHours} hours. Please don't forward this email, as anyone with the link can view your analytics.</p>
+    <p>If you didn't request this email you can ignore it. You can contact <a href="mailto:${config.email}">${config.email}</a> if you need more help.</p>`;
+
+  const html = mailUtilities.buildMailHTML(
+    heading,
+    heading,
+    body,
+    true,
+    appURL,
+    shortenedAppURL
+  );
+
+  try {
+    await mailUtilities.sendMail(email, heading, html);
+    return [];
+  } catch (error) {
+    return [{ email, error: error.message }];
+  }
+};
+
+/**
+ * @function verifyAnalyticsToken
+ * @memberof module:analytics
+ * @summary Checks an analytics token and returns the email it was created for.
+ *
+ * @param {string} token - The token from the analytics link.
+ * @returns {string} - The organiser's email address.
+ * @throws {Error} - Throws a status 401 error if the token is invalid or has expired.
+ */
+const verifyAnalyticsToken = (token) => {
+  const payload = verifyToken(token, "analytics");
+  if (!payload) {
+    throw Object.assign(
+      new Error(
+        "Analytics link is invalid or has expired. Please request a new link."
+      ),
+      { statusCode: 401 }
+    );
+  }
+  return payload.email;
+};
+
+/**
+ * @async
+ * @function fetchAnalytics
+ * @memberof module:analytics
+ * @summary Aggregates the feedback across an organiser's sessions.
+ *
+ * @param {object} link - Database connection object.
+ * @param {string} email - The organiser's email address, from a verified token.
+ * @returns {Promise<object>} - The totals across all sessions, the details of each session in date order, the most
+ * frequent words in comments, and the comparison of questions asked in more than one session.
+ */
+const fetchAnalytics = async (link, email) => {
+  // Sessions are found with a partial match, so check the email exactly matches an organiser
+  const sessions = (await selectSessionsByEmail(email, link)).filter(
+    (session) =>
+      session.organisers.some(
+        (organiser) => organiser.email?.toLowerCase() === email
+      )
+  );
+  sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const words = { positive: new Map(), negative: new Map() };
+  const questionGroups = new Map();
+  let allScores = [];
+
+  const sessionSummaries = [];
+  for (const session of sessions) {
+    const feedback = await selectFeedbackFromDatabase(session.id, link);
+    const scores = feedback.score.filter((score) => Number.isFinite(score));
+    allScores = allScores.concat(scores);
+
+    sessionSummaries.push({
+      id: session.id,
+      title: decode(session.title),
+      date: session.date,
+      isSubsession: Boolean(session.isSubsession),
+      submissionCount: scores.length,
+      meanScore: mean(scores),
+    });
+
+    if (scores.length) {
+      for (const type of ["positive", "negative"]) {
+        for (const comment of feedback[type]) countWords(words[type], comment);
+      }
+    }
+
+    // Group the session's questions with questions of the same title and type in other sessions
+    const questions = JSON.parse(session.questions || "[]");
+    if (!questions.length) continue;
+    organiseQuestionFeedback(questions, feedback.questionFeedback);
+    for (const question of questions) {
+      const key = `${question.type}:${decode(question.title).toLowerCase()}`;
+      if (!questionGroups.has(key)) {
+        questionGroups.set(key, {
+          title: decode(question.title),
+          type: question.type,
+          sessions: [],
+        });
+      }
+      questionGroups
+        .get(key)
+        .sessions.push(summariseQuestion(session, question));
+    }
+  }
+
+  return {
+    email,
+    totals: {
+      sessionCount: sessionSummaries.length,
+      submissionCount: allScores.length,
+      meanScore: mean(allScores),
+    },
+    sessions: sessionSummaries,
+    words: {
+      positive: topWords(words.positive),
+      negative: topWords(words.negative),
+    },
+    questions: [...questionGroups.values()].filter(
+      (group) => group.sessions.length > 1
+    ),
+  };
+};
+
+/**
+ * @function mean
+ * @memberof module:analytics
+ * @summary Calculates the mean of a list of scores.
+ *
+ * @param {Array<number>} scores - The scores.
+ * @returns {number|null} - The mean to 1 decimal place, or null if there are no scores.
+ */
+const mean = (scores) =>
+  scores.length
+    ? Number(
+        (scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(
+          1
+        )
+      )
+    : null;
+
+/**
+ * @function countWords
+ * @memberof module:analytics
+ * @summary Adds the words in a comment to a word frequency map, ignoring common words.
+ *
+ * @param {Map} counts - The frequency of each word.
+ * @param {string} comment - The comment, which may contain html entities.
+ */
+const countWords = (counts, comment) => {
+  for (const word of normaliseWords(comment || "")) {
+    if (stopWords.has(word) || word.length < 2) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+};
+
+/**
+ * @function topWords
+ * @memberof module:analytics
+ * @summary Lists the most frequent words, up to the number set in the config file.
+ *
+ * @param {Map} counts - The frequency of each word.
+ * @returns {Array<object>} - The words and their counts, most frequent first, then alphabetically.
+ */
+const topWords = (counts) =>
+  [...counts]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, config.feedback.analytics.wordsMax)
+    .map(([word, count]) => ({ word, count }));
+
+/**
+ * @function summariseQuestion
+ * @memberof module:analytics
+ * @summary Summarises the responses to a custom question in one session, for comparison across sessions.
+ *
+ * @param {object} session - The session the question was asked in.
+ * @param {object} question - The question, with responses organised by `organiseQuestionFeedback`.
+ * @returns {object} - The session details, the number of respondents shown the question, and the option counts,
+ * distribution and summary statistics or number of text responses as appropriate for the question type.
+ */
+const summariseQuestion = (session, question) => {
+  const summary = {
+    id: session.id,
+    title: decode(session.title),
+    date: session.date,
+    seen: question.seen,
+  };
+
+  if (question.distribution) {
+    ["distribution", "mean", "median", "npsScore"].forEach((field) => {
+      if (question[field] !== undefined) summary[field] = question[field];
+    });
+  } else if (question.type === "text") {
+    summary.responseCount = question.responses.filter(Boolean).length;
+  } else {
+    summary.options = question.options.map(({ title, count }) => ({
+      title: decode(title),
+      count,
+    }));
+  }
+  return summary;
+};
+
+module.exports = { requestAnalytics, verifyAnalyticsToken, fetchAnalytics };
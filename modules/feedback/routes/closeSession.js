@@ -5,14 +5,22 @@
  *
  * @description
  * This module provides functionality to close an active feedback session, update its status in the database,
- * and notify all associated organisers except the one performing the closure.
+ * and notify all associated organisers except the one performing the closure. Sessions can also be given a closing
+ * time when they are created or updated, either directly or as a number of days after the session date. Sessions are
+ * closed automatically by the feedback scheduler once their closing time has passed, and every organiser is sent a
+ * final summary of the feedback submitted.
  *
  * @requires ../../../config.json - Configuration file containing client URL and other settings.
  * @requires ./updateSession - Module for updating session details and emailing organisers.
  *
  * @exports closeSession - Core function for closing sessions.
+ * @exports resolveClosesAt - Works out the closing time of a session from the request data.
+ * @exports closeDueSessions - Closes sessions which have passed their closing time.
+ * @exports applyClosingTime - Treats a session which has passed its closing time as closed.
  */
 
+const config = require("../../../config.json");
+
 /**
  * @async
  * @function closeSession
@@ -83,8 +91,6 @@ const closeSession = async (link, sessionDetails, user) => {
  * @returns {string} - The constructed HTML body for the email.
  */
 const buildMailBodyClosure = (data, user, recipient) => {
-  const config = require("../../../config.json");
-
   // Construct the email body
   return `
     <p>Hello ${recipient.name},</p>
@@ -92,4 +98,162 @@ const buildMailBodyClosure = (data, user, recipient) => {
   `;
 };
 
-module.exports = { closeSession };
+/**
+ * @function resolveClosesAt
+ * @memberof module:closeSession
+ * @summary Works out the closing time of a session from the request data.
+ *
+ * @description A closing time can be given directly, or as a number of days after the session date, in which case
+ * the session closes at the start of that day. Only the closing time is stored with the session.
+ *
+ * @param {object} data - The session data, including the date and any closing time or number of days.
+ * @returns {Date|null} - The closing time, or null if the session should stay open until closed by an organiser.
+ * @throws {Error} - Throws a status 400 error if the closing time would already have passed.
+ */
+const resolveClosesAt = (data) => {
+  if (data.closesAt) return data.closesAt;
+  if (!data.closeAfterDays) return null;
+
+  const closesAt = new Date(data.date);
+  closesAt.setDate(closesAt.getDate() + data.closeAfterDays);
+  if (closesAt <= new Date()) {
+    throw Object.assign(
+      new Error(
+        `Closing ${data.closeAfterDays} days after the session date would have already closed the session`
+      ),
+      { statusCode: 400 }
+    );
+  }
+  return closesAt;
+};
+
+/**
+ * @function applyClosingTime
+ * @memberof module:closeSession
+ * @summary Treats a session which has passed its closing time as closed.
+ *
+ * @description The scheduler only closes sessions periodically, so a session can pass its closing time before it is
+ * closed in the database. Routes which refuse closed sessions should check the session with this function rather than
+ * the `closed` flag alone. The session object is updated as if it had been closed at its closing time.
+ *
+ * @param {object} session - The session details, including `closed`, `closedAt` and `closesAt`.
+ * @param {Date} [now=new Date()] - The time to check the closing time against.
+ * @returns {boolean} - True if the session is closed.
+ */
+const applyClosingTime = (session, now = new Date()) => {
+  if (!session.closed && session.closesAt && session.closesAt <= now) {
+    session.closed = true;
+    session.closedAt = session.closesAt;
+  }
+  return Boolean(session.closed);
+};
+
+/**
+ * @async
+ * @function closeDueSessions
+ * @memberof module:closeSession
+ * @summary Closes sessions which have passed their closing time.
+ *
+ * @description Run by the feedback scheduler. Each session is closed and every organiser with an email address is
+ * sent a final summary of the feedback submitted. Subsessions are excluded, as they cannot be closed directly.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {Date} [now=new Date()] - The time of the run.
+ * @returns {Promise<array>} - Resolves to an array of objects containing details of failed email notifications, if any.
+ */
+const closeDueSessions = async (link, now = new Date()) => {
+  const [sessions] = await link.execute(
+    `SELECT * FROM ${config.feedback.tables.tblSessions} 
+      WHERE closed = false AND isSubsession = false AND closesAt IS NOT NULL AND closesAt <= ?`,
+    [now]
+  );
+
+  const updateSessionRoute = require("./updateSession");
+  const sendMailFails = [];
+  for (const session of sessions) {
+    await updateSessionRoute.closeSessionInDatabase(link, session.id);
+
+    session.organisers = JSON.parse(session.organisers);
+    session.summary = await selectFeedbackSummary(link, session.id);
+
+    for (const organiser of session.organisers) {
+      if (!organiser.email) continue;
+      const emailOutcome = await updateSessionRoute.emailOrganiserUpdate(
+        session,
+        {},
+        organiser,
+        buildMailBodyAutoClosure,
+        "Feedback request closed"
+      );
+      if (!emailOutcome.sendSuccess) {
+        sendMailFails.push({
+          name: organiser.name,
+          email: organiser.email,
+          error: emailOutcome.error,
+        });
+      }
+    }
+  }
+
+  return sendMailFails;
+};
+
+/**
+ * @async
+ * @function selectFeedbackSummary
+ * @memberof module:closeSession
+ * @summary Retrieves the number of feedback submissions and mean score for a session.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<object>} - The number of submissions, and the mean score or null if there are none.
+ */
+const selectFeedbackSummary = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT COUNT(*) AS count, AVG(score) AS mean FROM ${config.feedback.tables.tblSubmissions} WHERE id = ?`,
+    [id]
+  );
+  const { count, mean } = rows[0];
+  return {
+    count: Number(count),
+    mean: mean === null ? null : Number(Number(mean).toFixed(1)),
+  };
+};
+
+/**
+ * @function buildMailBodyAutoClosure
+ * @memberof module:closeSession
+ * @summary Constructs the email body for notifying organisers that a session closed at its closing time.
+ *
+ * @param {object} data - The session details, including title, ID and feedback summary.
+ * @param {object} user - Unused in this function, as the session was closed automatically.
+ * @param {object} recipient - The recipient of the email, including their name.
+ * @returns {string} - The constructed HTML body for the email.
+ */
+const buildMailBodyAutoClosure = (data, user, recipient) => {
+  const { count, mean } = data.summary;
+  return `
+    <p>Hello ${recipient.name},</p>
+    <p>Your feedback request on <a href='${
+      config.client.url
+    }'>LearnLoop</a> for the session '${
+    data.title
+  }' has closed, as its closing time has passed. No further feedback can be submitted.</p>
+    <p style='font-size:1.5em'>Final summary</p>
+    <p>Submissions: <strong>${count}</strong>${
+    mean === null ? "" : `<br>Mean score: <strong>${mean}</strong>`
+  }</p>
+    <p>Go to <a href='${config.client.url}/feedback/view/${
+    data.id
+  }'>${config.client.url.replace("https://", "")}/feedback/view/${
+    data.id
+  }</a> and enter your PIN to view all the submitted feedback.</p>
+  `;
+};
+
+module.exports = {
+  closeSession,
+  resolveClosesAt,
+  applyClosingTime,
+  closeDueSessions,
+};
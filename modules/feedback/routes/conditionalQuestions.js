@@ -0,0 +1,95 @@
+/**
+ * @module conditionalQuestions
+ * @memberof module:feedback
+ * @summary Provides the skip logic for custom questions which are only shown for certain answers.
+ *
+ * @description
+ * A custom question can have a `showIf` condition, so that it is only shown if an earlier select or checkbox question
+ * was answered with a given option. The condition refers to the earlier question by its index in the session's
+ * questions, and to the option by its title. For select questions the option must be the one chosen, and for checkbox
+ * questions the option must be one of those selected. A question is never shown if the question its condition refers
+ * to was not shown, so conditions can be chained. Conditions are checked when a session is saved, and feedback
+ * submissions are checked (by the questionResponses module) so that questions which were not shown are not answered,
+ * and required questions which were shown are answered.
+ *
+ * @exports checkQuestionConditions - Checks the conditions of a session's questions refer to valid earlier questions.
+ * @exports isQuestionShown - Checks whether a question was shown to a respondent.
+ */
+
+/**
+ * @function checkQuestionConditions
+ * @memberof module:conditionalQuestions
+ * @summary Checks the conditions of a session's questions refer to valid earlier questions.
+ *
+ * @param {Array<object>} questions - The session's custom questions.
+ * @returns {boolean} - True if every condition is valid.
+ * @throws {Error} - Throws a status 400 error describing the first invalid condition.
+ */
+const checkQuestionConditions = (questions = []) => {
+  questions.forEach((question, index) => {
+    if (!question.showIf) return;
+
+    const { question: conditionIndex, option } = question.showIf;
+    const conditionQuestion = questions[conditionIndex];
+    let message;
+    if (conditionIndex >= index) {
+      message = "can only be shown based on the answer to an earlier question";
+    } else if (!["select", "checkbox"].includes(conditionQuestion.type)) {
+      message =
+        "can only be shown based on the answer to a select or checkbox question";
+    } else if (
+      !conditionQuestion.options.some(({ title }) => title === option)
+    ) {
+      message = `refers to an option [${option}] which is not on question [${conditionQuestion.title}]`;
+    }
+
+    if (message) {
+      throw Object.assign(
+        new Error(`Question [${question.title}] ${message}`),
+        { statusCode: 400 }
+      );
+    }
+  });
+  return true;
+};
+
+/**
+ * @function findResponse
+ * @memberof module:conditionalQuestions
+ * @summary Finds the response to a question in a feedback submission.
+ *
+ * @param {Array<object>} responses - The responses in the submission, each with the question title.
+ * @param {object} question - The question to find the response to.
+ * @returns {object|undefined} - The response, or undefined if the question was not answered.
+ */
+const findResponse = (responses, question) =>
+  responses.find(({ title }) => title === question.title);
+
+/**
+ * @function isQuestionShown
+ * @memberof module:conditionalQuestions
+ * @summary Checks whether a question was shown to a respondent, based on their answers to earlier questions.
+ *
+ * @param {Array<object>} questions - The session's custom questions.
+ * @param {number} index - The index of the question to check.
+ * @param {Array<object>} responses - The respondent's responses, each with the question title.
+ * @returns {boolean} - True if the question has no condition, or its condition was met.
+ */
+const isQuestionShown = (questions, index, responses) => {
+  const { showIf } = questions[index];
+  if (!showIf) return true;
+  if (!isQuestionShown(questions, showIf.question, responses)) return false;
+
+  const conditionQuestion = questions[showIf.question];
+  const response = findResponse(responses, conditionQuestion);
+  if (!response) return false;
+
+  if (conditionQuestion.type === "checkbox") {
+    return Boolean(
+      response.options?.find(({ title }) => title === showIf.option)?.selected
+    );
+  }
+  return response.response === showIf.option;
+};
+
+module.exports = { checkQuestionConditions, isQuestionShown };
@@ -0,0 +1,68 @@
+/**
+ * @module duplicateSession
+ * @memberof module:feedback
+ * @summary Creates a new feedback session using an existing session as a template.
+ *
+ * @description
+ * The `duplicateSession` module copies an existing session, including its subsessions and custom questions, into a
+ * new session with a new ID. This allows organisers who run the same teaching regularly to create the next session
+ * without resubmitting every detail. The date, title and organisers can be replaced for the new session, and any
+ * details which are not replaced are copied from the existing session. Providing a date for a session which was
+ * delivered on multiple dates makes the new session a single date session. The new session is inserted using the same
+ * logic as a newly created session, so each organiser is given a new PIN and sent the usual notification email.
+ * Feedback, attendance and the closed status of the existing session are not copied.
+ *
+ * @requires ./loadUpdateSession - Retrieves the session and subsession details to be copied.
+ * @requires ./insertSession - Inserts the new session and notifies the organisers.
+ *
+ * @exports duplicateSession - Core function for the module.
+ */
+
+const { loadUpdateSession } = require("./loadUpdateSession");
+const { insertSession } = require("./insertSession");
+
+/**
+ * @async
+ * @function duplicateSession
+ * @memberof module:duplicateSession
+ * @summary Copies a session into a new session and sends notification emails to organisers.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {object} data - The ID of the session to copy and any replacement date, title and organisers.
+ * @returns {Promise<object>} - The ID of the new session, the lead organiser's PIN, and details of any failed emails.
+ * @throws {Error} - Throws an error if the session is a subsession or the insertion fails.
+ */
+const duplicateSession = async (link, data) => {
+  const session = await loadUpdateSession(link, data.id);
+
+  if (session.isSubsession) {
+    throw Object.assign(
+      new Error("Subsessions cannot be duplicated without their series"),
+      { statusCode: 400 }
+    );
+  }
+
+  // Copy the session details, keeping only the fields needed to insert the new session
+  const template = {
+    name: session.name,
+    title: data.title ?? session.title,
+    multipleDates: data.date ? false : session.multipleDates,
+    date: data.date ?? session.date,
+    certificate: session.certificate,
+    attendance: session.attendance,
+    requireFeedbackForCertificate: session.requireFeedbackForCertificate,
+    questions: session.questions,
+    subsessions: session.subsessions.map(({ title, name, email }) => ({
+      title,
+      name,
+      email,
+    })),
+    organisers: (data.organisers ?? session.organisers).map(
+      ({ name, email, canEdit, isLead }) => ({ name, email, canEdit, isLead })
+    ),
+  };
+
+  return insertSession(link, template);
+};
+
+module.exports = { duplicateSession };
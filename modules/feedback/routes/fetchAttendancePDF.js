@@ -7,8 +7,7 @@
  * This module generates a detailed PDF attendance report for a specific session,
  * including regional and organizational breakdowns. The PDF is streamed directly to the client.
  *
- * @requires PDFKit - A library for creating PDFs in Node.js.
- * @requires path - For resolving file paths.
+ * @requires ../../utilities/pdfUtilities - Creates the PDF document with the LearnLoop header.
  * @requires entities For decoding html entities
  * @requires ../../../config.json - Configuration settings for the application, including URLs.
  * @requires ../../utilities/dateUtilities - Utility functions for formatting dates.
@@ -18,8 +17,7 @@
  * @exports fetchAttendancePDF - Function to generate and serve the PDF report.
  */
 
-const PDFDocument = require("pdfkit");
-const path = require("path");
+const { createPDF } = require("../../utilities/pdfUtilities");
 const config = require("../../../config.json");
 const dateUtilities = require("../../utilities/dateUtilities");
 const { decode } = require("entities");
@@ -51,30 +49,8 @@ const fetchAttendancePDF = async (id, res, link) => {
   );
   const { attendance } = await viewAttendance(sessionDetails.id, link);
 
-  // Create a new PDF document
-  const doc = new PDFDocument({
-    size: "A4",
-    margins: { top: 100, bottom: 50, left: 50, right: 50 },
-  });
-
-  // Set response headers for PDF download
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename=${decode(sessionDetails.title)}-attendance.pdf`
-  );
-
-  // Pipe the PDF document to the HTTP response
-  doc.pipe(res);
-
-  // Add header with background color and logo
-  const headerHeight = 60;
-  const pageWidth = doc.page.width;
-
-  doc.rect(0, 0, pageWidth, headerHeight).fill("#17a2b8");
-
-  const logoPath = path.resolve(__dirname, "../../utilities/logo.png");
-  doc.image(logoPath, 5, 10, { height: 40 });
+  // Create a new PDF document with the LearnLoop header, streamed to the client
+  const doc = createPDF(res, `${sessionDetails.title}-attendance.pdf`);
 
   // Add report title and details
   doc
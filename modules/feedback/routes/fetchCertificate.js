@@ -5,15 +5,23 @@
  *
  * @description
  * This module provides functionality to create a PDF certificate of attendance, including session details,
- * the attendee's name, and relevant information. The PDF is sent directly to the client as a downloadable file.
+ * the attendee's name, and relevant information. The PDF is sent to the client as a downloadable file.
+ * Sessions can require feedback to be completed before a certificate is downloaded, in which case the completion token
+ * returned when the feedback was submitted must be provided. Each token can only be used once. The token is checked
+ * before the certificate is created, but is only marked as used once the certificate has been created, so that the
+ * attendee can try again if creating the certificate fails.
  *
  * @requires PDFKit - A library for creating PDFs in Node.js.
  * @requires path - For resolving file paths.
  * @requires ../../../config.json - Configuration settings for the application (including URLs).
  * @requires ../../utilities/dateUtilities - Utility functions for date formatting.
  * @requires entities For decoding html entities
+ * @requires ../../utilities/tokenUtilities - Verifies the signed completion token.
  *
- * @exports fetchCertificate - The core module function that generates and serves the PDF certificate.
+ * @exports createCertificate - Generates the PDF certificate.
+ * @exports sendCertificate - Sends a generated certificate to the client as a download.
+ * @exports checkCompletionToken - Checks a completion token is valid and has not been used.
+ * @exports useCompletionToken - Marks a completion token as used.
  */
 
 const PDFDocument = require("pdfkit");
@@ -21,40 +29,38 @@ const path = require("path");
 const config = require("../../../config.json");
 const dateUtilities = require("../../utilities/dateUtilities");
 const { decode } = require("entities");
+const { verifyToken } = require("../../utilities/tokenUtilities");
 
 /**
  * @async
- * @function fetchCertificate
+ * @function createCertificate
  * @memberof module:fetchCertificate
- * @summary Generates and serves a PDF certificate of attendance.
+ * @summary Generates a PDF certificate of attendance.
  *
  * @description
  * Generates a personalized PDF certificate of attendance for a specified session and attendee. The certificate
- * includes session details, attendee information, and additional notes, and is streamed to the client as a
- * downloadable PDF file.
+ * includes session details, attendee information, and additional notes. The PDF is collected in memory rather than
+ * streamed to the client, so that nothing is sent until it has been generated successfully.
  *
  * @param {object} sessionDetails - The details of the session, including the title, date, and any subsessions.
  * @param {object} attendee - The attendee's information, including their name.
- * @param {object} res - The HTTP response object to stream the PDF to the client.
- * @returns {Promise<boolean>} - Resolves to `true` if the PDF is generated and sent successfully.
+ * @returns {Promise<Buffer>} - Resolves with the content of the PDF.
  * @throws {Error} - Throws an error if the PDF generation process fails, such as issues with file paths or the PDF library.
  */
-const fetchCertificate = async (sessionDetails, attendee, res) => {
+const createCertificate = async (sessionDetails, attendee) => {
   // Create a new PDF document
   const doc = new PDFDocument({
     size: "A4",
     margins: { top: 100, bottom: 50, left: 50, right: 50 }, // Adjust top margin for the header
   });
 
-  // Set headers for file download
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename=learnloop-certificate.pdf`
-  );
-
-  // Pipe the PDF into the response
-  doc.pipe(res);
+  // Collect the PDF content as it is generated
+  const chunks = [];
+  const content = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
 
   // Add header background
   const headerHeight = 60; // Height of the header
@@ -165,7 +171,110 @@ const fetchCertificate = async (sessionDetails, attendee, res) => {
 
   // Finalize the PDF
   doc.end();
+  return content;
+};
+
+/**
+ * @function sendCertificate
+ * @memberof module:fetchCertificate
+ * @summary Sends a generated certificate of attendance to the client as a downloadable PDF file.
+ *
+ * @param {Buffer} certificate - The content of the PDF.
+ * @param {object} res - The HTTP response object to send the PDF to the client.
+ * @returns {boolean} - Returns `true` once the PDF has been sent.
+ */
+const sendCertificate = (certificate, res) => {
+  // Set headers for file download
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=learnloop-certificate.pdf`
+  );
+  res.send(certificate);
   return true;
 };
 
-module.exports = { fetchCertificate };
+/**
+ * @async
+ * @function checkCompletionToken
+ * @memberof module:fetchCertificate
+ * @summary Checks a completion token is valid and has not been used.
+ *
+ * @description The token must have been created for a feedback submission to the session, and the submission must not
+ * have had a certificate issued. The token is not marked as used here; see `useCompletionToken`.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session the certificate is for.
+ * @param {string} [token] - The completion token returned when the feedback was submitted.
+ * @returns {Promise<string>} - Resolves with the single-use value in the token, identifying the submission.
+ * @throws {Error} - Throws a status 403 error if the token is missing, invalid, for another session, or already used.
+ */
+const checkCompletionToken = async (link, id, token) => {
+  const payload = token ? verifyToken(token, "completion") : null;
+  if (!payload || payload.id !== id) {
+    throw Object.assign(
+      new Error(
+        "Please complete the feedback form before downloading a certificate of attendance"
+      ),
+      { statusCode: 403 }
+    );
+  }
+
+  const [rows] = await link.execute(
+    `SELECT COUNT(*) AS count FROM ${config.feedback.tables.tblSubmissions} 
+      WHERE id = ? AND completionNonce = ? AND certificateIssued = false`,
+    [id, payload.nonce]
+  );
+  if (!rows[0].count) throw certificateAlreadyIssuedError();
+
+  return payload.nonce;
+};
+
+/**
+ * @async
+ * @function useCompletionToken
+ * @memberof module:fetchCertificate
+ * @summary Marks a completion token as used.
+ *
+ * @description Called once the certificate has been created. The submission is marked as having had a certificate
+ * issued, which only succeeds if this has not already happened, so a token used by two requests at the same time is
+ * only accepted once.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session the certificate is for.
+ * @param {string} nonce - The single-use value from the completion token, as returned by `checkCompletionToken`.
+ * @returns {Promise<boolean>} - Resolves to true if the token was marked as used.
+ * @throws {Error} - Throws a status 403 error if the token has already been used.
+ */
+const useCompletionToken = async (link, id, nonce) => {
+  const [result] = await link.execute(
+    `UPDATE ${config.feedback.tables.tblSubmissions} SET certificateIssued = true 
+      WHERE id = ? AND completionNonce = ? AND certificateIssued = false`,
+    [id, nonce]
+  );
+  if (!result.affectedRows) throw certificateAlreadyIssuedError();
+
+  return true;
+};
+
+/**
+ * @function certificateAlreadyIssuedError
+ * @memberof module:fetchCertificate
+ * @summary Creates the error returned when a completion token has already been used.
+ *
+ * @returns {Error} - A status 403 error.
+ */
+const certificateAlreadyIssuedError = () =>
+  Object.assign(
+    new Error(
+      "A certificate of attendance has already been downloaded for this feedback submission"
+    ),
+    { statusCode: 403 }
+  );
+
+module.exports = {
+  createCertificate,
+  sendCertificate,
+  checkCompletionToken,
+  useCompletionToken,
+};
@@ -0,0 +1,225 @@
+/**
+ * @module fetchFeedbackExport
+ * @memberof module:feedback
+ * @summary Generates a spreadsheet of the raw feedback submissions for a session.
+ *
+ * @description
+ * This module exports feedback submissions as a CSV or XLSX file, with one row per submission. The columns are the
+ * submission time, score, positive and constructive comments, followed by one column for each custom question.
+ * Checkbox questions have one column for each option, marked "Yes" if the option was selected. An XLSX export of a
+ * session series has a sheet for the series followed by a sheet for each subsession. A CSV file can only hold one
+ * sheet, so subsessions are exported as separate files by requesting the subsession ID along with the ID of the
+ * session series (as for the PDF report). The file is streamed directly to the client as a download.
+ *
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ * @requires exceljs - Library for generating XLSX files.
+ * @requires entities For decoding html entities
+ * @requires ./loadUpdateSession - Module for retrieving session and subsession details.
+ * @requires ../../utilities/routeUtilities - Builds the Content-Disposition header.
+ *
+ * @exports fetchFeedbackExport - The core module function that generates and serves the feedback export.
+ */
+
+const config = require("../../../config.json");
+const ExcelJS = require("exceljs");
+const { decode } = require("entities");
+const {
+  selectSessionDetails,
+  selectSubsessionDetails,
+} = require("./loadUpdateSession");
+const { contentDisposition } = require("../../utilities/routeUtilities");
+
+/**
+ * @async
+ * @function fetchFeedbackExport
+ * @memberof module:fetchFeedbackExport
+ * @summary Generates and serves a CSV or XLSX file of the feedback submissions for a session.
+ *
+ * @param {object} link - The database connection for executing SQL queries.
+ * @param {object} data - The session ID, the ID of the session series if the session is a subsession, and the format.
+ * @param {object} res - The HTTP response object to stream the file to the client.
+ * @returns {Promise<boolean>} - Resolves to `true` if the file is generated and sent successfully.
+ * @throws {Error} - Throws an error if the subsession is not part of the series, or generating the file fails.
+ */
+const fetchFeedbackExport = async (link, data, res) => {
+  const session = await selectSessionDetails(link, data.id);
+
+  // Check a subsession is part of the series the organiser's PIN was checked against
+  if (data.parentSessionId) {
+    const series = await selectSessionDetails(link, data.parentSessionId);
+    if (!series.subsessions.includes(data.id)) {
+      throw Object.assign(
+        new Error(
+          `Session [${data.id}] is not part of session series [${data.parentSessionId}]`
+        ),
+        { statusCode: 400 }
+      );
+    }
+  }
+
+  const sheets = [
+    {
+      name: "Feedback",
+      ...buildSheet(
+        session.questions,
+        await selectSubmissions(link, session.id)
+      ),
+    },
+  ];
+
+  if (data.format === "xlsx" && session.subsessions.length) {
+    const subsessions = await selectSubsessionDetails(
+      link,
+      session.subsessions
+    );
+    for (const [index, subsession] of subsessions.entries()) {
+      sheets.push({
+        name: sheetName(index, subsession.title),
+        ...buildSheet([], await selectSubmissions(link, subsession.id)),
+      });
+    }
+  }
+
+  const filename = `${decode(session.title)}-feedback.${data.format}`;
+  res.setHeader("Content-Disposition", contentDisposition(filename));
+
+  if (data.format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.send(toCSV(sheets[0]));
+    return true;
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.addRow(sheet.headings).font = { bold: true };
+    worksheet.addRows(sheet.rows);
+    worksheet.columns.forEach((column) => (column.width = 20));
+    worksheet.getColumn(1).numFmt = "dd/mm/yyyy hh:mm";
+  }
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  await workbook.xlsx.write(res);
+  res.end();
+  return true;
+};
+
+/**
+ * @async
+ * @function selectSubmissions
+ * @memberof module:fetchFeedbackExport
+ * @summary Retrieves the feedback submissions for a session from the database.
+ *
+ * @param {object} link - The database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<Array<object>>} - Resolves with the submissions, with the question responses parsed.
+ */
+const selectSubmissions = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT * FROM ${config.feedback.tables.tblSubmissions} WHERE id = ?`,
+    [id]
+  );
+  return rows.map((row) => ({
+    ...row,
+    questions: row.questions ? JSON.parse(row.questions) : [],
+  }));
+};
+
+/**
+ * @function buildSheet
+ * @memberof module:fetchFeedbackExport
+ * @summary Builds the headings and rows of a sheet of feedback submissions.
+ *
+ * @description Responses are matched to the custom questions by title, as in the feedback report. Text is decoded from
+ * html entities. Questions which were not answered, including conditional questions which were not shown, are left
+ * blank.
+ *
+ * @param {Array<object>} questions - The custom questions of the session.
+ * @param {Array<object>} submissions - The feedback submissions for the session.
+ * @returns {object} - The headings, and the values of each row.
+ */
+const buildSheet = (questions, submissions) => {
+  const headings = ["Submitted", "Score", "Positive", "Constructive"];
+  for (const question of questions) {
+    if (question.type === "checkbox") {
+      for (const option of question.options) {
+        headings.push(`${decode(question.title)}: ${decode(option.title)}`);
+      }
+    } else {
+      headings.push(decode(question.title));
+    }
+  }
+
+  const rows = submissions.map((submission) => {
+    const row = [
+      submission.timestamp ? new Date(submission.timestamp) : "",
+      submission.score,
+      decode(submission.positive ?? ""),
+      decode(submission.negative ?? ""),
+    ];
+    for (const question of questions) {
+      const response = submission.questions.find(
+        ({ title }) => title === question.title
+      );
+      if (question.type === "checkbox") {
+        for (const option of question.options) {
+          const selected = response?.options?.find(
+            ({ title }) => title === option.title
+          )?.selected;
+          row.push(selected ? "Yes" : "");
+        }
+      } else {
+        row.push(decode(response?.response ?? ""));
+      }
+    }
+    return row;
+  });
+
+  return { headings, rows };
+};
+
+/**
+ * @function sheetName
+ * @memberof module:fetchFeedbackExport
+ * @summary Creates a name for a subsession's sheet in an XLSX file.
+ *
+ * @description Sheet names are limited to 31 characters and cannot contain some characters, so the subsession number
+ * is included to keep names unique when titles are shortened.
+ *
+ * @param {number} index - The index of the subsession in the series.
+ * @param {string} title - The title of the subsession.
+ * @returns {string} - The sheet name.
+ */
+const sheetName = (index, title) =>
+  `${index + 1}. ${decode(title)}`.replace(/[*?:\\/[\]]/g, "").slice(0, 31);
+
+/**
+ * @function toCSV
+ * @memberof module:fetchFeedbackExport
+ * @summary Converts a sheet of feedback submissions to CSV.
+ *
+ * @description Values are quoted, with quotes doubled, so that commas and new lines in comments are kept. Text which
+ * a spreadsheet would treat as a formula is prefixed with an apostrophe. A byte order mark is added so that
+ * spreadsheets open the file as UTF-8.
+ *
+ * @param {object} sheet - The headings and rows of the sheet.
+ * @returns {string} - The CSV file contents.
+ */
+const toCSV = ({ headings, rows }) => {
+  const formatValue = (value) => {
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+  };
+  return (
+    "\ufeff" +
+    [headings, ...rows]
+      .map((row) => row.map(formatValue).join(","))
+      .join("\r\n")
+  );
+};
+
+module.exports = { fetchFeedbackExport };
@@ -5,11 +5,14 @@
  *
  * @description
  * This module retrieves feedback and session details from the database, organizes the information, and generates
- * a PDF report. The report includes feedback comments, scores, session information, and a score guide. The generated
- * PDF is streamed directly to the client as a downloadable file.
+ * a PDF report. The report includes feedback comments, scores, session information, and a score guide. Scores are shown
+ * as a histogram shaded with the score guide bands, and the scores of each subsession in a series are compared in a bar
+ * chart. Responses to select and checkbox questions are shown as a bar chart of the number of respondents choosing
+ * each option, and responses to likert scale, numeric rating and NPS questions as a bar chart of the number of
+ * respondents choosing each value, with the mean and median. Charts are drawn with PDFKit vector primitives. The
+ * generated PDF is streamed directly to the client as a downloadable file.
  *
- * @requires PDFKit - A library for creating PDFs in Node.js.
- * @requires path - For resolving file paths.
+ * @requires ../../utilities/pdfUtilities - Creates the PDF document with the LearnLoop header and draws charts.
  * @requires entities For decoding html entities
  * @requires ../../../config.json - Configuration settings for the application (including URLs).
  * @requires ../../utilities/dateUtilities - Utility functions for date formatting.
@@ -19,11 +22,78 @@
  * @exports fetchFeedbackPDF - The core module function that generates and serves the PDF feedback report.
  */
 
-const PDFDocument = require("pdfkit");
-const path = require("path");
+const {
+  createPDF,
+  drawBarChart,
+  drawHistogram,
+} = require("../../utilities/pdfUtilities");
 const dateUtilities = require("../../utilities/dateUtilities");
 const { decode } = require("entities");
 
+// Score guide bands, used for the guide text and to shade the score histogram
+const scoreGuide = [
+  {
+    from: 95,
+    to: 100,
+    label: ">95",
+    description: "An overwhelmingly excellent session, couldn't be improved",
+    colour: "#c3e6cb",
+  },
+  {
+    from: 80,
+    to: 95,
+    label: ">80",
+    description: "An excellent session, minimal grounds for improvement",
+    colour: "#d4edda",
+  },
+  {
+    from: 70,
+    to: 80,
+    label: ">70",
+    description: "A very good session, minor points for improvement",
+    colour: "#e2f0d9",
+  },
+  {
+    from: 60,
+    to: 70,
+    label: ">60",
+    description: "A fairly good session, could be improved further",
+    colour: "#f3f7d4",
+  },
+  {
+    from: 40,
+    to: 60,
+    label: ">40",
+    description: "Basically sound, but needs further development",
+    colour: "#fff3cd",
+  },
+  {
+    from: 20,
+    to: 40,
+    label: ">=20",
+    description: "Not adequate in its current state",
+    colour: "#fde2c8",
+  },
+  {
+    from: 0,
+    to: 20,
+    label: "<20",
+    description: "An extremely poor session",
+    colour: "#f8d7da",
+  },
+];
+
+/**
+ * @function submittedScores
+ * @memberof module:fetchFeedbackPDF
+ * @summary Lists the scores submitted for a session, ignoring the placeholder used when there is no feedback.
+ *
+ * @param {object} feedback - The feedback for the session, including the scores.
+ * @returns {Array<number>} - The scores submitted.
+ */
+const submittedScores = (feedback) =>
+  feedback.score.filter((score) => Number.isFinite(score));
+
 /**
  * @async
  * @function fetchFeedbackPDF
@@ -47,31 +117,8 @@ const fetchFeedbackPDF = async (id, res, link) => {
   const { viewFeedback } = require("./viewFeedback");
   const { feedback, questions, subsessions } = await viewFeedback(id, link);
 
-  // Create a new PDF document
-  const doc = new PDFDocument({
-    size: "A4",
-    margins: { top: 100, bottom: 50, left: 50, right: 50 },
-  });
-
-  // Set headers for file download
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename=${decode(sessionDetails.title)}-feedback-report.pdf`
-  );
-
-  // Pipe the PDF into the response
-  doc.pipe(res);
-
-  // Add header background and logo
-  const headerHeight = 60;
-  const pageWidth = doc.page.width;
-
-  doc.rect(0, 0, pageWidth, headerHeight).fill("#17a2b8");
-
-  const logoPath = path.resolve(__dirname, "../../utilities/logo.png");
-  const logoHeight = 40;
-  doc.image(logoPath, 5, 10, { height: logoHeight });
+  // Create a new PDF document with the LearnLoop header, streamed to the client
+  const doc = createPDF(res, `${sessionDetails.title}-feedback-report.pdf`);
 
   // Add session title and metadata
   doc
@@ -128,10 +175,36 @@ const fetchFeedbackPDF = async (id, res, link) => {
           .moveDown(0.3);
       }
     } else if (question.type === "select" || question.type === "checkbox") {
-      for (const option of question.options) {
+      drawBarChart(
+        doc,
+        question.options.map(({ title, count }) => ({
+          label: title,
+          value: count,
+        }))
+      );
+    } else if (question.distribution) {
+      drawBarChart(
+        doc,
+        question.distribution.map(({ value, label, count }) => ({
+          label: label ? `${value} (${label})` : value,
+          value: count,
+        }))
+      );
+      doc
+        .fontSize(12)
+        .text(
+          `Mean: ${question.mean ?? "-"}, Median: ${question.median ?? "-"}`
+        )
+        .moveDown(0.3);
+      if (question.type === "nps") {
         doc
-          .fontSize(12)
-          .text(`${decode(option.title)}: ${option.count}`)
+          .text(
+            `Net Promoter Score: ${question.npsScore ?? "-"} (${
+              question.promoters
+            } promoters, ${question.passives} passives, ${
+              question.detractors
+            } detractors)`
+          )
           .moveDown(0.3);
       }
     }
@@ -148,9 +221,42 @@ const fetchFeedbackPDF = async (id, res, link) => {
     .text(`Overall Score: ${averageScore}/100`)
     .moveDown(0.2);
 
+  const scores = submittedScores(feedback);
+  if (scores.length) {
+    doc.fontSize(14).text(`Score Distribution`).moveDown(0.3);
+    drawHistogram(doc, scores, {
+      bands: scoreGuide.map(({ from, to, label, colour }) => ({
+        from,
+        to,
+        label,
+        colour,
+      })),
+    });
+  }
+
   // Add subsession details
   if (subsessions.length) {
     doc.moveDown(1).fontSize(20).text(`Sessions`).moveDown(0.2);
+
+    // Compare the average score of each subsession
+    doc.fontSize(14).text(`Score Comparison`).moveDown(0.3);
+    drawBarChart(
+      doc,
+      subsessions.map((subsession) => {
+        const subsessionScores = submittedScores(subsession.feedback);
+        return subsessionScores.length
+          ? {
+              label: subsession.title,
+              value:
+                subsessionScores.reduce((sum, num) => sum + num, 0) /
+                subsessionScores.length,
+            }
+          : { label: `${subsession.title} (no feedback)`, value: 0 };
+      }),
+      { maxValue: 100, formatValue: (value) => value.toFixed(1) }
+    );
+    doc.moveDown(1);
+
     for (const subsession of subsessions) {
       doc
         .fontSize(16)
@@ -188,17 +294,8 @@ const fetchFeedbackPDF = async (id, res, link) => {
 
   // Add score guide
   doc.fontSize(14).text(`Score Guide`).moveDown(0.3);
-  const scoreGuide = [
-    ">95: An overwhelmingly excellent session, couldn't be improved",
-    ">80: An excellent session, minimal grounds for improvement",
-    ">70: A very good session, minor points for improvement",
-    ">60: A fairly good session, could be improved further",
-    ">40: Basically sound, but needs further development",
-    ">=20: Not adequate in its current state",
-    "<20: An extremely poor session",
-  ];
-  for (const line of scoreGuide) {
-    doc.fontSize(10).text(line).moveDown(0.2);
+  for (const { label, description } of scoreGuide) {
+    doc.fontSize(10).text(`${label}: ${description}`).moveDown(0.2);
   }
 
   // Finalize the PDF
@@ -12,6 +12,7 @@
  * @requires ../../utilities/dateUtilities - Utilities for formatting date objects.
  *
  * @exports findMySessions - Core function for the module.
+ * @exports selectSessionsByEmail - Helper function to retrieve the sessions associated with an email.
  */
 
 const config = require("../../../config.json");
@@ -164,4 +165,4 @@ const buildMailBody = (foundSessions, organiser, appURL, shortenedAppURL) => {
   return body;
 };
 
-module.exports = { findMySessions };
+module.exports = { findMySessions, selectSessionsByEmail };
@@ -5,18 +5,26 @@
  *
  * @description
  * Provides functionality for inserting new feedback submissions, including inserting feedback details into the database
- * and notifying organisers via email. For session series, feedback is inserted for each subsession.
+ * and notifying organisers via email. For session series, feedback is inserted for each subsession. Only organisers who
+ * have chosen immediate notifications are emailed here; organisers who have chosen a daily or weekly digest are sent a
+ * summary by the scheduler instead (see `sendDigests`). If the session requires feedback before a certificate of
+ * attendance is downloaded, a signed completion token is returned which can be used once to download the certificate.
+ * The token is created before the feedback is inserted, so that a submission is never saved without its token.
  *
+ * @requires crypto - For creating the single-use value in the completion token.
  * @requires ../../../config.json - Configuration settings for the application.
  * @requires ../../utilities/mailUtilities - Utilities for sending email notifications.
+ * @requires ../../utilities/tokenUtilities - Creates the signed completion token.
  * @requires ../../utilities/dateUtilities - Utilities for formatting date objects.
  * @requires entities For decoding html entities
  *
  * @exports giveFeedback - Function for inserting feedback submissions and notifying organisers.
  */
 
+const crypto = require("crypto");
 const config = require("../../../config.json");
 const mailUtilities = require("../../utilities/mailUtilities");
+const { createToken } = require("../../utilities/tokenUtilities");
 const { decode } = require("entities");
 
 /**
@@ -31,18 +39,32 @@ const { decode } = require("entities");
  * @param {object} link - Database connection for database queries.
  * @param {object} data - The feedback submission data, including session ID and feedback details.
  * @param {object} session - The session details, including subsessions if applicable.
- * @returns {Promise<boolean>} - Resolves to true if the process completes successfully.
+ * @returns {Promise<string|null>} - Resolves to the completion token, or null if the session does not require feedback
+ * for a certificate of attendance.
  * @throws {Error} - Throws an error if database operations or email dispatch fail.
  */
 const giveFeedback = async (link, data, session) => {
   const mails = []; // Array to store email details for organisers
 
+  // Create the completion token, with a single-use value which is stored with the submission
+  const completionNonce = session.requireFeedbackForCertificate
+    ? crypto.randomBytes(16).toString("hex")
+    : null;
+  const completionToken = completionNonce
+    ? createToken(
+        "completion",
+        { id: session.id, nonce: completionNonce },
+        config.feedback.certificates.completionTokenExpiryHours
+      )
+    : null;
+
   // Insert the feedback into the database
   await insertFeedbackIntoDatabase(
     link,
     session.id,
     data.feedback,
-    data.questions
+    data.questions,
+    completionNonce
   );
 
   // Retrieve organisers associated with the session
@@ -53,8 +75,8 @@ const giveFeedback = async (link, data, session) => {
     config.api.notificationTimeoutHours * 60 * 60 * 1000;
 
   for (let organiser of organisers) {
-    if (organiser.notifications) {
-      // Check organiser has notifications enabled
+    if (organiser.notifications && isImmediate(organiser)) {
+      // Check organiser has immediate notifications enabled
       if (currentTime - organiser.lastSent > notificationTimeout) {
         // Check organiser hasn't received another notification email within last 2 hours
         mails.push({
@@ -98,7 +120,11 @@ const giveFeedback = async (link, data, session) => {
     );
 
     for (let subsessionOrganiser of subsessionOrganisers) {
-      if (subsessionOrganiser.notifications && subsessionOrganiser.email) {
+      if (
+        subsessionOrganiser.notifications &&
+        isImmediate(subsessionOrganiser) &&
+        subsessionOrganiser.email
+      ) {
         if (currentTime - subsessionOrganiser.lastSent > notificationTimeout) {
           // Check organiser hasn't received another notification email within last 2 hours
           mails.push({
@@ -126,9 +152,20 @@ const giveFeedback = async (link, data, session) => {
     );
   }
 
-  return true;
+  return completionToken;
 };
 
+/**
+ * @function isImmediate
+ * @memberof module:giveFeedback
+ * @summary Checks if an organiser has chosen to be notified of each submission rather than by a digest.
+ *
+ * @param {object} organiser - The organiser's details.
+ * @returns {boolean} - True if the organiser has chosen immediate notifications, which is the default.
+ */
+const isImmediate = (organiser) =>
+  (organiser.notificationFrequency ?? "immediate") === "immediate";
+
 /**
  * @async
  * @function emailOrganiserNotification
@@ -189,17 +226,24 @@ const emailOrganiserNotification = async (
  * @param {string} id - The unique identifier for the session.
  * @param {object} feedback - The feedback data to be inserted.
  * @param {object} questions - The questions data with responses to be inserted.
+ * @param {string|null} [completionNonce=null] - The single-use value in the completion token, if one is created.
  * @returns {Promise<boolean>} - Resolves to true if the insertion succeeds.
  * @throws {Error} - Throws an error if the database connection or query execution fails.
  */
-const insertFeedbackIntoDatabase = async (link, id, feedback, questions) => {
+const insertFeedbackIntoDatabase = async (
+  link,
+  id,
+  feedback,
+  questions,
+  completionNonce = null
+) => {
   if (!link) {
     throw new Error("Database connection failed.");
   }
 
   const query = `INSERT INTO ${config.feedback.tables.tblSubmissions} 
-      (id, positive, negative, questions, score) 
-      VALUES (?, ?, ?, ?, ?)`;
+      (id, positive, negative, questions, score, completionNonce) 
+      VALUES (?, ?, ?, ?, ?, ?)`;
 
   await link.execute(query, [
     id,
@@ -207,6 +251,7 @@ const insertFeedbackIntoDatabase = async (link, id, feedback, questions) => {
     feedback.negative,
     questions,
     feedback.score,
+    completionNonce,
   ]);
 
   return true;
@@ -238,8 +283,8 @@ const buildMailBody = (name, appURL, shortenedAppURL, data, seriesData) => {
   body += `
   </p><p style='font-size:1.5em'>View your feedback</p>
   <p>Go to <a href='${appURL}/feedback/view/${data.id}'>${shortenedAppURL}/feedback/view/${data.id}</a> and enter your PIN (refer to session creation email, or <a href='${appURL}/feedback/resetPIN/${data.id}'>reset your PIN</a>) to retrieve submitted feedback.<br>
-  Please note, to avoid overloading your inbox, no further notifications will be sent for feedback submitted within the next 2 hours.</p>
-  <p><a href='${appURL}/feedback/notifications/${data.id}'>Update your notification preferences</a> if you don't want to receive these emails.</p>
+  Please note, to avoid overloading your inbox, no further notifications will be sent for feedback submitted within the next ${config.api.notificationTimeoutHours} hours.</p>
+  <p><a href='${appURL}/feedback/notifications/${data.id}'>Update your notification preferences</a> if you don't want to receive these emails, or would prefer a daily or weekly digest of feedback submissions.</p>
 `;
 
   return body;
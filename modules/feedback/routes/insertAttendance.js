@@ -5,7 +5,9 @@
  *
  * @description
  * Provides functionality for logging attendance for a specific session by inserting
- * relevant attendee data into the configured attendance table.
+ * relevant attendee data into the configured attendance table. Attendees can choose to leave an email address so
+ * that organisers can send them a reminder to complete feedback. Attendance recorded with a completion token is marked,
+ * as the attendee is known to have given feedback and does not need a reminder.
  *
  * @requires ../../../config.json - Configuration settings for the application.
  *
@@ -32,10 +34,12 @@ const config = require("../../../config.json");
  * @param {string} data.attendee.name - The name of the attendee.
  * @param {string} data.attendee.region - The region of the attendee.
  * @param {string} data.attendee.organisation - The organisation of the attendee.
+ * @param {string} [data.attendee.email] - The email address of the attendee, if they chose to leave one.
+ * @param {boolean} [completionTokenUsed=false] - Whether the attendee provided a valid completion token.
  * @returns {Promise<boolean>} - Resolves to true if the insertion is successful.
  * @throws {Error} - Throws an error if the database connection is invalid or the query fails.
  */
-const insertAttendance = async (link, data) => {
+const insertAttendance = async (link, data, completionTokenUsed = false) => {
   // Ensure a valid database connection is provided
   if (!link) {
     throw new Error("Database connection failed.");
@@ -43,8 +47,8 @@ const insertAttendance = async (link, data) => {
 
   // Construct SQL query for inserting attendance data
   const query = `INSERT INTO ${config.feedback.tables.tblAttendance} 
-      (id, name, region, organisation) 
-      VALUES (?, ?, ?, ?)`;
+      (id, name, region, organisation, email, completionTokenUsed) 
+      VALUES (?, ?, ?, ?, ?, ?)`;
 
   // Execute the insert query with attendance data
   await link.execute(query, [
@@ -52,6 +56,8 @@ const insertAttendance = async (link, data) => {
     data.attendee.name,
     data.attendee.region,
     data.attendee.organisation,
+    data.attendee.email || null,
+    completionTokenUsed,
   ]);
 
   return true; // Return true upon successful insertion
@@ -57,6 +57,12 @@ const insertSession = async (
   isSubsession = false,
   seriesData = {}
 ) => {
+  // Work out when the session should close automatically, if at all (subsessions close with their series)
+  if (!isSubsession) {
+    const { resolveClosesAt } = require("./closeSession");
+    data.closesAt = resolveClosesAt(data);
+  }
+
   // Generate a unique session ID
   const id = await idUtilities.createUniqueId(link, "feedback");
   let leadPin; // Variable to store the lead organiser's PIN
@@ -76,6 +82,7 @@ const insertSession = async (
       organiser.pinHash = pinUtilities.hashPin(pin, organiser.salt); // Hash the PIN
       organiser.lastSent = null; // Initial value for last sent notification
       organiser.notifications = true; // Enable notifications
+      organiser.notificationFrequency = "immediate"; // Notify of each submission rather than by a digest
 
       // Prepare email data for the organiser
       mails.push({
@@ -110,6 +117,7 @@ const insertSession = async (
       questions: [], // Subsessions do not have custom questions
       certificate: false, // Subsessions do not directly provide certificates
       attendance: false, // Subsessions do not directly log attendance
+      requireFeedbackForCertificate: false,
       organisers: [
         {
           name: data.name,
@@ -119,6 +127,7 @@ const insertSession = async (
           pinHash: pinUtilities.hashPin(pin, salt),
           salt: salt,
           notifications: true,
+          notificationFrequency: "immediate",
           lastSent: null,
         },
       ],
@@ -266,8 +275,8 @@ const insertSessionIntoDatabase = async (
   }
 
   const query = `INSERT INTO ${config.feedback.tables.tblSessions} 
-      (id, name, title, date, multipleDates, organisers, questions, certificate, subsessions, isSubsession, attendance) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+      (id, name, title, date, multipleDates, organisers, questions, certificate, subsessions, isSubsession, attendance, closesAt, requireFeedbackForCertificate) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
   await link.execute(query, [
     id,
@@ -281,6 +290,8 @@ const insertSessionIntoDatabase = async (
     subsessionIds,
     isSubsession,
     data.attendance,
+    data.closesAt ?? null,
+    Boolean(data.requireFeedbackForCertificate),
   ]);
 
   return true;
@@ -388,6 +399,11 @@ const buildMailBody = (
               data.certificate
                 ? "<br>Don't forget to let your attendees know that they'll be able to download a certificate of attendance after completing feedback."
                 : ""
+            }
+            ${
+              data.requireFeedbackForCertificate
+                ? " Certificates can only be downloaded straight after submitting feedback, once per submission."
+                : ""
             }`
         }`;
 
@@ -400,6 +416,13 @@ const buildMailBody = (
             ? `The attendance register is <strong>enabled</strong>. <a href='${appURL}/feedback/attendance/${id}'>View attendance register</a>.<br>`
             : ""
         }
+        ${
+          !isSubsession && data.closesAt
+            ? `Feedback submissions will close automatically on <strong>${dateUtilities.formatDateUK(
+                data.closesAt
+              )}</strong>, when you'll be sent a final summary.<br>`
+            : ""
+        }
         <br><br>`;
 
   return body;
@@ -4,10 +4,12 @@
  *
  * @description This module provides functionality for retrieving and preparing session details for
  * use in the feedback form. It formats session dates, retrieves subsession details, and ensures that
- * sensitive organiser information is excluded from the returned session data.
+ * sensitive organiser information is excluded from the returned session data. A session which has passed its closing
+ * time is treated as closed, even if the scheduler has not yet closed it in the database.
  *
  * @requires ../../utilities/dateUtilities - Provides utilities for formatting dates into different formats.
  * @requires ./loadUpdateSession - Provides methods for fetching session and subsession details from the database.
+ * @requires ./closeSession - Provides the check for sessions which have passed their closing time.
  *
  * @exports loadGiveFeedback - Core function for this module.
  */
@@ -26,7 +28,8 @@ const dateUtilities = require("../../utilities/dateUtilities");
  *
  * @param {object} link - The database connection object used to execute SQL queries.
  * @param {string} id - The unique identifier of the session to retrieve.
- * @returns {Promise<object>} - Resolves with the session object, including formatted date and subsessions.
+ * @returns {Promise<object>} - Resolves with the session object, including formatted date and subsessions, and the date
+ * the session closed (`closedOn`) if it has been closed.
  * @throws {Error} - Throws an error if the session details cannot be retrieved or formatted.
  */
 const loadGiveFeedback = async (link, id) => {
@@ -46,6 +49,17 @@ const loadGiveFeedback = async (link, id) => {
     );
   }
 
+  // Treat the session as closed once its closing time has passed
+  const { applyClosingTime } = require("./closeSession");
+  applyClosingTime(session);
+  session.closedOn =
+    session.closed && session.closedAt
+      ? dateUtilities.formatDateUK(session.closedAt)
+      : null;
+  ["closesAt", "closedAt"].forEach((field) => {
+    if (session[field]) session[field] = session[field].toISOString();
+  });
+
   // Format the session date to UK format
   session.date = dateUtilities.formatDateUK(session.date);
 
@@ -8,6 +8,7 @@
  *
  * @requires ../../../config.json - Configuration file containing database table settings.
  * @requires ../../utilities/dateUtilities - Utilities for formatting date objects into string representations.
+ * @requires ./closeSession - Checks whether the session has passed its closing time.
  *
  * @exports loadUpdateSession - Main function for loading session details for updates.
  * @exports selectSessionDetails - Helper function to retrieve session details.
@@ -24,7 +25,8 @@ const dateUtilities = require("../../utilities/dateUtilities");
  * @summary Fetches and processes a session's details for updates.
  *
  * @description This function retrieves a session's details from the database, formats the session date,
- * fetches associated subsession details, and sanitizes organiser data by removing sensitive fields.
+ * fetches associated subsession details, and sanitizes organiser data by removing sensitive fields. A session which
+ * has passed its closing time is treated as closed, even if the scheduler has not yet closed it in the database.
  *
  * @param {object} link - The database connection object used to execute queries.
  * @param {string} id - The unique identifier of the session to retrieve.
@@ -35,11 +37,18 @@ const loadUpdateSession = async (link, id) => {
   const session = await selectSessionDetails(link, id);
   session.date = dateUtilities.formatDateISO(session.date);
 
+  // Treat the session as closed once its closing time has passed
+  const { applyClosingTime } = require("./closeSession");
+  applyClosingTime(session);
+  ["closesAt", "closedAt", "reopenedAt"].forEach((field) => {
+    if (session[field]) session[field] = session[field].toISOString();
+  });
+
   const subsessionIDs = session.subsessions;
   session.subsessions = await selectSubsessionDetails(link, subsessionIDs);
 
   session.organisers = session.organisers.map(
-    ({ pinHash, salt, lastSent, ...rest }) => rest
+    ({ pinHash, salt, lastSent, lastDigest, ...rest }) => rest
   );
 
   return session;
@@ -95,7 +104,8 @@ const selectSubsessionDetails = async (link, subsessionIDs) => {
   );
 
   const cleanedSubsessions = subsessions.map((subsession) => {
-    const { email, notifications, lastSent } = subsession.organisers[0];
+    const { email, notifications, notificationFrequency, lastSent } =
+      subsession.organisers[0];
     const {
       organisers,
       attendance,
@@ -109,7 +119,7 @@ const selectSubsessionDetails = async (link, subsessionIDs) => {
       ...rest
     } = subsession;
 
-    return { ...rest, email, notifications, lastSent };
+    return { ...rest, email, notifications, notificationFrequency, lastSent };
   });
 
   return cleanedSubsessions;
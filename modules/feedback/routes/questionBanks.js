@@ -0,0 +1,386 @@
+/**
+ * @module questionBanks
+ * @memberof module:feedback
+ * @summary Handles reusable banks of custom questions which can be added to feedback sessions.
+ *
+ * @description
+ * A question bank is a named set of custom questions owned by an organiser email, so that the same questions can be
+ * asked across many sessions. Like a session, each bank has an ID and a PIN which is emailed to the owner, and the PIN
+ * is required to load, update or delete the bank. Each question in a bank has a bank question ID which is unique
+ * across all banks. Sessions refer to bank questions by this ID when they are created or updated, and the full
+ * question is copied from the bank into the session's questions along with its bank question ID, so that responses
+ * to the same bank question can be compared across sessions. For this reason the type and options of a bank question
+ * cannot be changed once created (a new question should be added instead), and sessions keep their copy of a question
+ * if it is later removed from the bank.
+ *
+ * @requires crypto - Node.js core module used to generate bank question IDs.
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ * @requires ../../utilities/idUtilities - Utility functions for ID generation.
+ * @requires ../../utilities/pinUtilities - Utility functions for PIN generation and hashing.
+ * @requires ../../utilities/mailUtilities - Utilities for sending email notifications.
+ * @requires entities For decoding html entities
+ *
+ * @exports insertQuestionBank - Inserts a new question bank and emails the PIN to the owner.
+ * @exports selectQuestionBank - Retrieves a question bank from the database.
+ * @exports updateQuestionBank - Updates the name and questions of a question bank.
+ * @exports deleteQuestionBank - Deletes a question bank.
+ * @exports findMyQuestionBanks - Emails the owner a list of their question banks.
+ * @exports expandBankQuestions - Replaces references to bank questions with the full questions.
+ */
+
+const crypto = require("crypto");
+const config = require("../../../config.json");
+const idUtilities = require("../../utilities/idUtilities");
+const pinUtilities = require("../../utilities/pinUtilities");
+const mailUtilities = require("../../utilities/mailUtilities");
+const { decode } = require("entities");
+
+// Define application URLs
+const appURL = config.client.url;
+const shortenedAppURL = appURL.replace("https://", ""); // Create a shortened version of the URL to look better on emails
+
+/**
+ * @async
+ * @function insertQuestionBank
+ * @memberof module:questionBanks
+ * @summary Inserts a new question bank and emails the PIN to the owner.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {object} data - The name of the bank, the owner's name and email, and the questions.
+ * @returns {Promise<object>} - The ID of the bank, the owner's PIN, and details of any failed emails.
+ * @throws {Error} - Throws an error if the insertion fails.
+ */
+const insertQuestionBank = async (link, data) => {
+  const id = await idUtilities.createUniqueId(
+    link,
+    "feedback",
+    "tblQuestionBanks",
+    "q"
+  );
+  const pin = pinUtilities.createPin();
+  const salt = pinUtilities.createSalt();
+  const questions = assignBankQuestionIds(id, data.questions);
+
+  await link.execute(
+    `INSERT INTO ${config.feedback.tables.tblQuestionBanks}
+      (id, name, ownerName, ownerEmail, salt, pinHash, questions)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      data.name,
+      data.ownerName,
+      data.ownerEmail,
+      salt,
+      pinUtilities.hashPin(pin, salt),
+      questions,
+    ]
+  );
+
+  const sendMailFails = [];
+  const heading = "Question bank created";
+  const body = `
+    <p>Hello ${data.ownerName},<br><br>
+    Your question bank '${
+      data.name
+    }' has been created on <a href='${appURL}'>LearnLoop</a> with ${
+    questions.length
+  } question${questions.length === 1 ? "" : "s"}.</p>
+    <p>Please keep this email for future reference.</p>
+    <span style='font-size:2em'>Your question bank ID is <strong>${id}</strong><br>
+    Your question bank PIN is <strong>${pin}</strong></span><br>
+    You will need your PIN to edit or delete the question bank. The questions can be added to any of your feedback
+    sessions when you create or edit them.<br><br>`;
+  const emailOutcome = await emailOwner(
+    data.ownerEmail,
+    `${heading}: ${decode(data.name)}`,
+    heading,
+    body
+  );
+  if (!emailOutcome.sendSuccess) {
+    sendMailFails.push({
+      name: data.ownerName,
+      email: data.ownerEmail,
+      error: emailOutcome.error,
+    });
+  }
+
+  return { id, pin, sendMailFails };
+};
+
+/**
+ * @async
+ * @function selectQuestionBank
+ * @memberof module:questionBanks
+ * @summary Retrieves a question bank from the database.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the question bank.
+ * @returns {Promise<object>} - Resolves with the question bank, including the owner's PIN hash and salt.
+ * @throws {Error} - Throws a status 400 error if the question bank cannot be found.
+ */
+const selectQuestionBank = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT * FROM ${config.feedback.tables.tblQuestionBanks} WHERE id = ?`,
+    [id]
+  );
+
+  if (rows.length > 0) {
+    const bank = rows[0];
+    bank.questions = JSON.parse(bank.questions);
+    return bank;
+  }
+  throw Object.assign(new Error("Question bank not found"), {
+    statusCode: 400,
+  });
+};
+
+/**
+ * @async
+ * @function updateQuestionBank
+ * @memberof module:questionBanks
+ * @summary Updates the name and questions of a question bank.
+ *
+ * @description Questions provided with a bank question ID replace the existing question with that ID, and questions
+ * without one are added to the bank. Existing questions which are not provided are removed from the bank.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {object} bank - The existing question bank.
+ * @param {object} data - The updated name and questions.
+ * @returns {Promise<Array<object>>} - Resolves with the updated questions, including their bank question IDs.
+ * @throws {Error} - Throws a status 400 error if a question is not in the bank, or its type or options have changed.
+ */
+const updateQuestionBank = async (link, bank, data) => {
+  for (const question of data.questions) {
+    if (!question.id) continue;
+    const oldQuestion = bank.questions.find(({ id }) => id === question.id);
+    if (!oldQuestion) {
+      throw Object.assign(
+        new Error(`Question [${question.id}] not found in question bank`),
+        { statusCode: 400 }
+      );
+    }
+    const optionTitles = (q) => (q.options || []).map(({ title }) => title);
+    if (
+      question.type !== oldQuestion.type ||
+      JSON.stringify(optionTitles(question)) !==
+        JSON.stringify(optionTitles(oldQuestion))
+    ) {
+      throw Object.assign(
+        new Error(
+          "The type and options of a bank question cannot be changed. Please add a new question instead."
+        ),
+        { statusCode: 400 }
+      );
+    }
+  }
+
+  const questions = assignBankQuestionIds(
+    bank.id,
+    data.questions,
+    bank.questions
+  );
+
+  await link.execute(
+    `UPDATE ${config.feedback.tables.tblQuestionBanks} SET name = ?, questions = ? WHERE id = ?`,
+    [data.name, questions, bank.id]
+  );
+
+  return questions;
+};
+
+/**
+ * @async
+ * @function deleteQuestionBank
+ * @memberof module:questionBanks
+ * @summary Deletes a question bank.
+ *
+ * @description Sessions which already include questions from the bank keep their copies of the questions.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {string} id - The unique identifier of the question bank.
+ * @returns {Promise<boolean>} - Resolves to true if the question bank was deleted.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const deleteQuestionBank = async (link, id) => {
+  await link.execute(
+    `DELETE FROM ${config.feedback.tables.tblQuestionBanks} WHERE id = ?`,
+    [id]
+  );
+  return true;
+};
+
+/**
+ * @async
+ * @function findMyQuestionBanks
+ * @memberof module:questionBanks
+ * @summary Emails the owner a list of their question banks.
+ *
+ * @description The list is sent by email rather than returned, so that the banks owned by an email address are only
+ * revealed to its owner.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {string} email - The email address of the owner.
+ * @returns {Promise<Array<object>>} - A list of failed email send attempts, if any.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const findMyQuestionBanks = async (link, email) => {
+  const [banks] = await link.execute(
+    `SELECT id, name, ownerName, questions FROM ${config.feedback.tables.tblQuestionBanks} WHERE ownerEmail = ?`,
+    [email]
+  );
+
+  const heading = "Your question banks";
+  let body = `<p>Hello ${
+    banks.length ? banks[0].ownerName : "unknown user"
+  },</p>`;
+  if (!banks.length) {
+    body += `There were no question banks found for this email address.`;
+  } else {
+    body += `<p>Here are the details of your question banks on LearnLoop.</p>`;
+    for (const bank of banks) {
+      const questions = JSON.parse(bank.questions);
+      body += `
+        <p><span style="font-size:1.2em">${bank.name}</span><br>
+        Question bank ID: ${bank.id} | ${questions.length} question${
+        questions.length === 1 ? "" : "s"
+      }</p>`;
+    }
+  }
+  body += `
+    <p>Can't find the question bank you're looking for? Might you have used a different email? You can also contact <a href="mailto:${config.email}">${config.email}</a> if you need more help.</p>`;
+
+  const sendMailFails = [];
+  const emailOutcome = await emailOwner(email, heading, heading, body);
+  if (!emailOutcome.sendSuccess) {
+    sendMailFails.push({ email, error: emailOutcome.error });
+  }
+  return sendMailFails;
+};
+
+/**
+ * @async
+ * @function expandBankQuestions
+ * @memberof module:questionBanks
+ * @summary Replaces references to bank questions with the full questions.
+ *
+ * @description Questions with a bank question ID are replaced with the current version of the question from its bank,
+ * retaining the bank question ID. If the question has since been removed from its bank, a question provided in full
+ * (such as one loaded from an existing session) is kept as provided. Other questions are returned unchanged.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {Array<object>} [questions=[]] - The session's custom questions, some of which may refer to bank questions.
+ * @returns {Promise<Array<object>>} - Resolves with the questions, with bank questions in full.
+ * @throws {Error} - Throws a status 400 error if a bank question cannot be found.
+ */
+const expandBankQuestions = async (link, questions = []) => {
+  const banks = {};
+  const expandedQuestions = [];
+
+  for (const question of questions) {
+    if (!question.bankQuestionId) {
+      expandedQuestions.push(question);
+      continue;
+    }
+
+    const bankId = question.bankQuestionId.split("-")[0];
+    if (!banks[bankId]) {
+      const [rows] = await link.execute(
+        `SELECT questions FROM ${config.feedback.tables.tblQuestionBanks} WHERE id = ?`,
+        [bankId]
+      );
+      banks[bankId] = rows.length ? JSON.parse(rows[0].questions) : [];
+    }
+
+    const bankQuestion = banks[bankId].find(
+      ({ id }) => id === question.bankQuestionId
+    );
+    if (!bankQuestion && question.title !== undefined) {
+      expandedQuestions.push(question);
+      continue;
+    }
+    if (!bankQuestion) {
+      throw Object.assign(
+        new Error(
+          `Bank question [${question.bankQuestionId}] not found. It may have been removed from its question bank.`
+        ),
+        { statusCode: 400 }
+      );
+    }
+
+    // Keep any condition for showing the question, as this belongs to the session rather than the bank
+    const { id, ...rest } = bankQuestion;
+    expandedQuestions.push({
+      ...rest,
+      bankQuestionId: id,
+      ...(question.showIf && { showIf: question.showIf }),
+    });
+  }
+
+  return expandedQuestions;
+};
+
+/**
+ * @function assignBankQuestionIds
+ * @memberof module:questionBanks
+ * @summary Gives each new question in a bank a bank question ID.
+ *
+ * @description Bank question IDs are the bank ID followed by a random suffix, so that they are unique across banks and
+ * the bank can be found from the ID.
+ *
+ * @param {string} bankId - The unique identifier of the question bank.
+ * @param {Array<object>} questions - The questions, of which existing questions already have an ID.
+ * @param {Array<object>} [existingQuestions=[]] - The questions already in the bank, whose IDs cannot be reused.
+ * @returns {Array<object>} - The questions, each with an ID.
+ */
+const assignBankQuestionIds = (bankId, questions, existingQuestions = []) => {
+  const usedIds = new Set(existingQuestions.map(({ id }) => id));
+
+  return questions.map(({ id, title, type, options = [], settings }) => {
+    if (!id) {
+      do {
+        id = `${bankId}-${crypto.randomBytes(3).toString("hex")}`;
+      } while (usedIds.has(id));
+      usedIds.add(id);
+    }
+    return { id, title, type, options, settings };
+  });
+};
+
+/**
+ * @async
+ * @function emailOwner
+ * @memberof module:questionBanks
+ * @summary Sends an email to the owner of a question bank.
+ *
+ * @param {string} email - The email address of the owner.
+ * @param {string} subject - The subject of the email.
+ * @param {string} heading - The heading of the email.
+ * @param {string} body - The HTML body of the email.
+ * @returns {Promise<object>} - An object indicating the success or failure of the email operation.
+ */
+const emailOwner = async (email, subject, heading, body) => {
+  const html = mailUtilities.buildMailHTML(
+    subject,
+    heading,
+    body,
+    true,
+    appURL,
+    shortenedAppURL
+  );
+
+  try {
+    await mailUtilities.sendMail(email, subject, html);
+    return { sendSuccess: true };
+  } catch (error) {
+    return { sendSuccess: false, error: error.message };
+  }
+};
+
+module.exports = {
+  insertQuestionBank,
+  selectQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+  findMyQuestionBanks,
+  expandBankQuestions,
+};
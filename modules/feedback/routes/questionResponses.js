@@ -0,0 +1,197 @@
+/**
+ * @module questionResponses
+ * @memberof module:feedback
+ * @summary Checks feedback submissions against the session's custom questions.
+ *
+ * @description
+ * Responses to custom questions are checked against the questions stored with the session, rather than the questions
+ * sent with the submission, so that a submission cannot add questions to the feedback report or bypass the rules set
+ * by the organiser. Every problem with the responses is reported, each with the path of the response in the request,
+ * so that the respondent can correct all of them at once. Text responses are measured after decoding html entities, so
+ * that escaping does not count against the respondent. Once checked, the responses are rebuilt from the stored
+ * questions so that only the title, response and selected options of each question are inserted.
+ *
+ * @requires ../../../config.json - Configuration file containing the text character limit.
+ * @requires entities For decoding html entities
+ * @requires ./conditionalQuestions - Checks whether conditional questions were shown to the respondent.
+ * @requires ./viewFeedback - Lists the values that can be chosen for numeric questions.
+ *
+ * @exports checkResponses - Checks the responses in a feedback submission against the session's questions.
+ * @exports normaliseResponses - Rebuilds the responses in a feedback submission from the session's questions.
+ */
+
+const config = require("../../../config.json");
+const { decode } = require("entities");
+const { isQuestionShown } = require("./conditionalQuestions");
+const { numericPoints } = require("./viewFeedback");
+
+/**
+ * @function isAnswered
+ * @memberof module:questionResponses
+ * @summary Checks whether a response answers its question.
+ *
+ * @param {object} question - The question, including its type.
+ * @param {object} [response] - The response to the question.
+ * @returns {boolean} - True if an option was selected for checkbox questions, or a response was given otherwise.
+ */
+const isAnswered = (question, response) => {
+  if (!response) return false;
+  if (question.type === "checkbox") {
+    return Boolean(response.options?.some(({ selected }) => selected));
+  }
+  return Boolean(response.response);
+};
+
+/**
+ * @function checkAnswer
+ * @memberof module:questionResponses
+ * @summary Checks an answer meets the rules for its question type.
+ *
+ * @param {object} question - The stored question, including its type, options and settings.
+ * @param {object} response - The response to the question, which has been answered.
+ * @returns {string|null} - A message describing why the answer is invalid, or null if it is valid.
+ */
+const checkAnswer = (question, response) => {
+  const optionTitles = (question.options || []).map(({ title }) => title);
+
+  if (question.type === "text") {
+    const { max } =
+      config.feedback.create.questions.types.text.settings.characterLimit;
+    if (decode(response.response).trim().length > max) {
+      return `Response cannot be more than ${max} characters`;
+    }
+  }
+
+  if (question.type === "select" && !optionTitles.includes(response.response)) {
+    return "Selected option not found on this question";
+  }
+
+  if (question.type === "checkbox") {
+    const selected = response.options.filter(({ selected }) => selected);
+    if (selected.some(({ title }) => !optionTitles.includes(title))) {
+      return "Selected option not found on this question";
+    }
+    const { min, max } = question.settings.selectedLimit || {};
+    if (selected.length < (min ?? 0) || selected.length > (max ?? Infinity)) {
+      return min === max
+        ? `Exactly ${min} option${min === 1 ? "" : "s"} must be selected`
+        : `Between ${min ?? 0} and ${
+            max ?? optionTitles.length
+          } options must be selected`;
+    }
+  }
+
+  const points = numericPoints(question);
+  if (
+    points &&
+    !points.some(({ value }) => String(value) === response.response)
+  ) {
+    return `Response must be a whole number from ${points[0].value} to ${
+      points[points.length - 1].value
+    }`;
+  }
+
+  return null;
+};
+
+/**
+ * @function checkResponses
+ * @memberof module:questionResponses
+ * @summary Checks the responses in a feedback submission against the session's questions.
+ *
+ * @description Each response must be to one of the session's questions, and each question can only be answered once.
+ * Questions which were not shown cannot be answered, and required questions which were shown must be answered.
+ * Answers must meet the rules for their question type: select options must exist, the number of checkbox options
+ * selected must be within the selected limit, text must be within the character limit, and numeric responses must be
+ * one of the values for the question.
+ *
+ * @param {Array<object>} questions - The session's custom questions.
+ * @param {Array<object>} responses - The responses in the submission, each with the question title.
+ * @returns {Array<object>} - An error for each problem found, with the path of the response, the question title and a
+ * message. The array is empty if the responses are valid.
+ */
+const checkResponses = (questions = [], responses = []) => {
+  const errors = [];
+  const addError = (path, title, message) =>
+    errors.push({
+      type: "field",
+      msg: `${decode(title)}: ${message}`,
+      path,
+      location: "body",
+      question: title,
+    });
+
+  responses.forEach((response, responseIndex) => {
+    if (!questions.some(({ title }) => title === response.title)) {
+      addError(
+        `questions[${responseIndex}]`,
+        String(response.title),
+        "Question not found in session"
+      );
+    } else if (
+      responses.findIndex(({ title }) => title === response.title) !==
+      responseIndex
+    ) {
+      addError(
+        `questions[${responseIndex}]`,
+        response.title,
+        "Question cannot be answered more than once"
+      );
+    }
+  });
+
+  questions.forEach((question, index) => {
+    const responseIndex = responses.findIndex(
+      ({ title }) => title === question.title
+    );
+    const response = responses[responseIndex];
+    const path =
+      responseIndex === -1 ? "questions" : `questions[${responseIndex}]`;
+    const answered = isAnswered(question, response);
+    const shown = isQuestionShown(questions, index, responses);
+
+    if (!shown && answered) {
+      addError(
+        path,
+        question.title,
+        "Question was not shown so cannot be answered"
+      );
+    } else if (shown && question.settings?.required && !answered) {
+      addError(path, question.title, "Question must be answered");
+    } else if (answered) {
+      const message = checkAnswer(question, response);
+      if (message) addError(path, question.title, message);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * @function normaliseResponses
+ * @memberof module:questionResponses
+ * @summary Rebuilds the responses in a feedback submission from the session's questions.
+ *
+ * @description Should only be called once the responses have been checked with `checkResponses`. Questions which were
+ * not answered are given an empty response, with no options selected.
+ *
+ * @param {Array<object>} questions - The session's custom questions.
+ * @param {Array<object>} responses - The checked responses in the submission.
+ * @returns {Array<object>} - The title, response and options (with whether each was selected) for each question.
+ */
+const normaliseResponses = (questions = [], responses = []) =>
+  questions.map((question) => {
+    const response = responses.find(({ title }) => title === question.title);
+    return {
+      title: question.title,
+      response: response?.response ?? "",
+      options: (question.options || []).map(({ title }) => ({
+        title,
+        selected: Boolean(
+          response?.options?.find((option) => option.title === title)?.selected
+        ),
+      })),
+    };
+  });
+
+module.exports = { checkResponses, normaliseResponses };
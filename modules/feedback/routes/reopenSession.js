@@ -0,0 +1,126 @@
+/**
+ * @module reopenSession
+ * @memberof module:feedback
+ * @summary Handles reopening a closed feedback session and notifies relevant organisers.
+ *
+ * @description
+ * This module provides functionality to reopen a feedback session which has been closed, for example by mistake. The
+ * session's status is updated in the database along with who reopened it and when, and all associated organisers
+ * except the one performing the reopening are notified. If the session was closed automatically because its closing
+ * time passed, the closing time is removed so that the session is not closed again straight away.
+ *
+ * @requires ../../../config.json - Configuration file containing client URL and database table settings.
+ * @requires ./updateSession - Module for emailing organisers.
+ *
+ * @exports reopenSession - Core function for reopening sessions.
+ */
+
+const config = require("../../../config.json");
+
+/**
+ * @async
+ * @function reopenSession
+ * @memberof module:reopenSession
+ * @summary Reopens a session to further feedback and notifies organisers other than the one performing the reopening.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {object} sessionDetails - The details of the session being reopened, including its ID and organisers.
+ * @param {object} user - The user reopening the session, including their email and name.
+ * @returns {Promise<array>} - Resolves to an array of objects containing details of failed email notifications, if any.
+ * @throws {Error} - Throws an error if the session cannot be updated.
+ */
+const reopenSession = async (link, sessionDetails, user) => {
+  // Remove a closing time which has already passed
+  const closesAt =
+    sessionDetails.closesAt && sessionDetails.closesAt > new Date()
+      ? sessionDetails.closesAt
+      : null;
+  sessionDetails.closingTimeRemoved = Boolean(
+    sessionDetails.closesAt && !closesAt
+  );
+
+  // Update session status in the database to open
+  await reopenSessionInDatabase(link, sessionDetails.id, user, closesAt);
+
+  // Notify other organisers of the session reopening
+  const updateSessionRoute = require("./updateSession");
+  const sendMailFails = [];
+  for (const organiser of sessionDetails.organisers) {
+    if (organiser.email === user.email) continue; // Skip notifying the organiser performing the reopening
+
+    try {
+      const emailOutcome = await updateSessionRoute.emailOrganiserUpdate(
+        sessionDetails,
+        user,
+        organiser,
+        buildMailBodyReopen,
+        "Feedback request reopened"
+      );
+
+      if (!emailOutcome.sendSuccess) {
+        sendMailFails.push({
+          name: organiser.name,
+          email: organiser.email,
+          error: emailOutcome.error,
+        });
+      }
+    } catch (error) {
+      sendMailFails.push({
+        name: organiser.name,
+        email: organiser.email,
+        error: error.message,
+      });
+    }
+  }
+
+  return sendMailFails;
+};
+
+/**
+ * @async
+ * @function reopenSessionInDatabase
+ * @memberof module:reopenSession
+ * @summary Reopens a session in the database and records who reopened it and when.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session to reopen.
+ * @param {object} user - The user reopening the session, including their email.
+ * @param {Date|null} closesAt - The closing time to keep, or null if the session should stay open.
+ * @returns {Promise<void>} - Resolves when the session has been marked as open.
+ * @throws {Error} - Throws an error if the query execution fails.
+ */
+const reopenSessionInDatabase = async (link, id, user, closesAt) => {
+  const query = `UPDATE ${config.feedback.tables.tblSessions}
+      SET closed = false, closedAt = NULL, closesAt = ?, reopenedBy = ?, reopenedAt = NOW()
+      WHERE id = ?`;
+
+  await link.execute(query, [closesAt, user.email, id]);
+};
+
+/**
+ * @function buildMailBodyReopen
+ * @memberof module:reopenSession
+ * @summary Constructs the email body for notifying organisers about the reopening of a session.
+ *
+ * @param {object} data - The session details, including title and ID.
+ * @param {object} user - The user who reopened the session, including their name.
+ * @param {object} recipient - The recipient of the email, including their name.
+ * @returns {string} - The constructed HTML body for the email.
+ */
+const buildMailBodyReopen = (data, user, recipient) => {
+  return `
+    <p>Hello ${recipient.name},</p>
+    <p>Your feedback request on <a href='${
+      config.client.url
+    }'>LearnLoop</a> for the session '${data.title}' has been reopened by ${
+    user.name
+  }. Feedback can be submitted again, and any previously submitted feedback can still be viewed.</p>
+    ${
+      data.closingTimeRemoved
+        ? "<p>The session's closing time had passed, so it has been removed. The session will stay open until it is closed by an organiser.</p>"
+        : ""
+    }
+  `;
+};
+
+module.exports = { reopenSession };
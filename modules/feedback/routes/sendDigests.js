@@ -0,0 +1,306 @@
+/**
+ * @module sendDigests
+ * @memberof module:feedback
+ * @summary Sends daily and weekly digest emails of new feedback submissions to organisers.
+ *
+ * @description
+ * Organisers can choose to be notified of feedback submissions immediately (at most once every
+ * `api.notificationTimeoutHours`), or by a daily or weekly digest. This module is run regularly by the feedback
+ * scheduler. Digests are sent at the hour set in the config file (server time), and weekly digests on the set day of
+ * the week (0 is Sunday). If a run is missed, the digest is sent at the next run. Each organiser is sent one email
+ * covering all their sessions which have had new submissions since their last digest, giving the number of new
+ * submissions, the change in mean score, and the latest comments. Organisers are not emailed if there are no new
+ * submissions. The time each organiser was last sent a digest is stored with their details in the session.
+ *
+ * @requires ../../../config.json - Configuration file containing the digest settings and database table names.
+ * @requires entities For decoding html entities
+ * @requires ../../utilities/mailUtilities - Utilities for sending email messages.
+ * @requires ../../utilities/statsUtilities - Calculates the mean score.
+ * @requires ../../utilities/pinUtilities - Retrieves the latest organiser details before they are updated.
+ * @requires ./resetPin - For updating organiser details in the database.
+ *
+ * @exports sendDigests - Sends any digest emails which are due.
+ */
+
+const config = require("../../../config.json");
+const { decode } = require("entities");
+const mailUtilities = require("../../utilities/mailUtilities");
+const { summariseDistribution } = require("../../utilities/statsUtilities");
+
+const dayLength = 24 * 60 * 60 * 1000;
+const periodLengths = { daily: dayLength, weekly: 7 * dayLength };
+
+/**
+ * @async
+ * @function sendDigests
+ * @memberof module:sendDigests
+ * @summary Sends any digest emails which are due.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {Date} [now=new Date()] - The time of the run.
+ * @returns {Promise<Array<object>>} - A list of failed email send attempts, if any.
+ */
+const sendDigests = async (link, now = new Date()) => {
+  // Sessions with feedback since the start of the longest digest period
+  const earliest = new Date(
+    latestSendTime("weekly", now) - periodLengths.weekly
+  );
+  const sessions = await selectSessionsWithFeedbackSince(link, earliest);
+
+  const digests = new Map(); // Digests for each organiser, by email
+  for (const session of sessions) {
+    const submissions = await selectSubmissions(link, session.id);
+
+    for (const organiser of session.organisers) {
+      const frequency = organiser.notificationFrequency ?? "immediate";
+      if (!organiser.notifications || !organiser.email) continue;
+      if (!periodLengths[frequency]) continue;
+
+      // Check the organiser hasn't already been sent this digest
+      const sendTime = latestSendTime(frequency, now);
+      if (organiser.lastDigest >= sendTime) continue;
+
+      const since = organiser.lastDigest || sendTime - periodLengths[frequency];
+      const summary = summariseSubmissions(session, submissions, since);
+      if (!summary) continue;
+
+      const key = organiser.email.toLowerCase();
+      if (!digests.has(key)) {
+        digests.set(key, {
+          name: organiser.name,
+          email: organiser.email,
+          isLead: false,
+          sessions: [],
+        });
+      }
+      const digest = digests.get(key);
+      digest.isLead = digest.isLead || Boolean(organiser.isLead);
+      digest.sessions.push(summary);
+    }
+  }
+
+  const sendMailFails = [];
+  const sentSessionIds = new Map(); // Emails sent a digest, by session ID
+  for (const [key, digest] of digests) {
+    const emailOutcome = await emailOrganiserDigest(digest);
+    if (!emailOutcome.sendSuccess) {
+      sendMailFails.push({
+        name: digest.name,
+        email: digest.email,
+        error: emailOutcome.error,
+      });
+      continue;
+    }
+    for (const { id } of digest.sessions) {
+      if (!sentSessionIds.has(id)) sentSessionIds.set(id, new Set());
+      sentSessionIds.get(id).add(key);
+    }
+  }
+
+  // Record when each organiser was sent a digest
+  const { getOrganisers } = require("../../utilities/pinUtilities");
+  const { updateOrganiserDetailsInDatabase } = require("./resetPin");
+  for (const [id, emails] of sentSessionIds) {
+    const organisers = await getOrganisers(id, "feedback", link);
+    for (const organiser of organisers) {
+      if (emails.has(organiser.email?.toLowerCase())) {
+        organiser.lastDigest = now.getTime();
+      }
+    }
+    await updateOrganiserDetailsInDatabase(link, id, organisers);
+  }
+
+  return sendMailFails;
+};
+
+/**
+ * @function latestSendTime
+ * @memberof module:sendDigests
+ * @summary Finds the most recent time a digest was due to be sent.
+ *
+ * @param {string} frequency - The digest frequency, "daily" or "weekly".
+ * @param {Date} now - The time of the run.
+ * @returns {number} - The time the digest was due, in milliseconds since the epoch.
+ */
+const latestSendTime = (frequency, now) => {
+  const { sendHour, weeklySendDay } = config.feedback.notifications.digest;
+  const sendTime = new Date(now);
+  sendTime.setHours(sendHour, 0, 0, 0);
+  if (sendTime > now) sendTime.setDate(sendTime.getDate() - 1);
+  if (frequency === "weekly") {
+    while (sendTime.getDay() !== weeklySendDay) {
+      sendTime.setDate(sendTime.getDate() - 1);
+    }
+  }
+  return sendTime.getTime();
+};
+
+/**
+ * @async
+ * @function selectSessionsWithFeedbackSince
+ * @memberof module:sendDigests
+ * @summary Retrieves the sessions which have had feedback submitted since a given time.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {Date} since - The earliest submission time to include.
+ * @returns {Promise<Array<object>>} - The sessions, with the organisers parsed.
+ */
+const selectSessionsWithFeedbackSince = async (link, since) => {
+  const [rows] = await link.execute(
+    `SELECT id, title, organisers FROM ${config.feedback.tables.tblSessions}
+      WHERE id IN (SELECT DISTINCT id FROM ${config.feedback.tables.tblSubmissions} WHERE timestamp > ?)`,
+    [since]
+  );
+  rows.forEach((row) => (row.organisers = JSON.parse(row.organisers)));
+  return rows;
+};
+
+/**
+ * @async
+ * @function selectSubmissions
+ * @memberof module:sendDigests
+ * @summary Retrieves the feedback submissions for a session, oldest first.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<Array<object>>} - The score, comments and time of each submission.
+ */
+const selectSubmissions = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT score, positive, negative, timestamp FROM ${config.feedback.tables.tblSubmissions}
+      WHERE id = ? ORDER BY timestamp`,
+    [id]
+  );
+  return rows;
+};
+
+/**
+ * @function summariseSubmissions
+ * @memberof module:sendDigests
+ * @summary Summarises the submissions for a session since an organiser's last digest.
+ *
+ * @param {object} session - The session the submissions are for.
+ * @param {Array<object>} submissions - All the submissions for the session, oldest first.
+ * @param {number} since - The time of the organiser's last digest, in milliseconds since the epoch.
+ * @returns {object|null} - The number of new submissions, the mean score before and after them, and the latest
+ * comments, or null if there are no new submissions.
+ */
+const summariseSubmissions = (session, submissions, since) => {
+  const isNew = (submission) => new Date(submission.timestamp) > since;
+  const newSubmissions = submissions.filter(isNew);
+  if (!newSubmissions.length) return null;
+
+  const meanScore = (submissions) =>
+    summariseDistribution(
+      submissions.map(({ score }) => ({ value: score, count: 1 }))
+    ).mean;
+
+  const { commentsMax } = config.feedback.notifications.digest;
+  const latestComments = (field) =>
+    newSubmissions
+      .map((submission) => submission[field])
+      .filter(Boolean)
+      .slice(-commentsMax)
+      .reverse();
+
+  return {
+    id: session.id,
+    title: session.title,
+    newCount: newSubmissions.length,
+    previousMean: meanScore(submissions.filter((s) => !isNew(s))),
+    mean: meanScore(submissions),
+    positive: latestComments("positive"),
+    negative: latestComments("negative"),
+  };
+};
+
+/**
+ * @async
+ * @function emailOrganiserDigest
+ * @memberof module:sendDigests
+ * @summary Sends a digest email to an organiser.
+ *
+ * @param {object} digest - The organiser's name, email, whether they lead any of the sessions, and the session summaries.
+ * @returns {Promise<object>} - An object indicating the success or failure of the email operation.
+ */
+const emailOrganiserDigest = async (digest) => {
+  const appURL = config.client.url; // Base application URL
+  const shortenedAppURL = appURL.replace("https://", ""); // Shortened version for email
+
+  const body = buildMailBody(digest, appURL);
+
+  const heading = "Feedback digest";
+  const subject =
+    digest.sessions.length === 1
+      ? `${heading}: ${decode(digest.sessions[0].title)}`
+      : heading;
+
+  const html = mailUtilities.buildMailHTML(
+    subject,
+    heading,
+    body,
+    digest.isLead,
+    appURL,
+    shortenedAppURL
+  );
+
+  try {
+    await mailUtilities.sendMail(digest.email, subject, html);
+    return { sendSuccess: true };
+  } catch (error) {
+    return { sendSuccess: false, error: error.message };
+  }
+};
+
+/**
+ * @function buildMailBody
+ * @memberof module:sendDigests
+ * @summary Constructs the email body for a feedback digest.
+ *
+ * @description Comments and titles are stored with html entities encoded, so are safe to include in the email.
+ *
+ * @param {object} digest - The organiser's name and the session summaries.
+ * @param {string} appURL - The full application URL.
+ * @returns {string} - The constructed HTML body for the email.
+ */
+const buildMailBody = (digest, appURL) => {
+  let body = `
+    <p>Hello ${digest.name},</p>
+    <p>Here is a summary of the feedback submitted for your sessions since your last digest.</p>`;
+
+  for (const session of digest.sessions) {
+    let scoreChange = "";
+    if (session.previousMean !== null) {
+      const change = Number((session.mean - session.previousMean).toFixed(1));
+      scoreChange = change
+        ? ` (${change > 0 ? "up" : "down"} ${Math.abs(change)})`
+        : " (no change)";
+    }
+
+    const listComments = (comments) =>
+      comments.length
+        ? `<ul>${comments
+            .map((comment) => `<li>${comment}</li>`)
+            .join("")}</ul>`
+        : "<p>None</p>";
+
+    body += `
+      <p style='font-size:1.2em'><strong>${session.title}</strong></p>
+      <p>New submissions: <strong>${session.newCount}</strong><br>
+      Mean score: <strong>${session.mean.toFixed(1)}</strong>${scoreChange}<br>
+      <a href='${appURL}/feedback/view/${
+      session.id
+    }'>View your feedback</a> | <a href='${appURL}/feedback/notifications/${
+      session.id
+    }'>Update your notification preferences</a></p>
+      <p>Latest positive comments:</p>${listComments(session.positive)}
+      <p>Latest constructive comments:</p>${listComments(session.negative)}`;
+  }
+
+  body += `
+    <p>Enter your PIN to view all the feedback for a session (refer to session creation email, or reset your PIN from the feedback page). You can choose to be notified immediately, or receive a daily or weekly digest, in your notification preferences for each session.</p>`;
+
+  return body;
+};
+
+module.exports = { sendDigests };
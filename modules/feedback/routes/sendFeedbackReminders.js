@@ -0,0 +1,186 @@
+/**
+ * @module sendFeedbackReminders
+ * @memberof module:feedback
+ * @summary Sends attendees on the attendance register a reminder to complete feedback.
+ *
+ * @description
+ * Attendees can choose to leave an email address on the attendance register. Organisers can then send them one
+ * reminder to complete feedback, containing a link to the feedback form. Feedback submissions are anonymous, so they
+ * cannot usually be matched to attendees, and the reminder asks attendees to ignore it if they have already given
+ * feedback. If the session requires feedback before a certificate is downloaded, attendees registered with a completion
+ * token are known to have given feedback, so they are not sent a reminder.
+ * Each attendee is only sent one reminder for a session, however many times reminders are requested. Every reminder
+ * includes a link to unsubscribe, which contains a signed token for the attendee's email address. Unsubscribing stops
+ * reminders for all sessions.
+ *
+ * @requires ../../../config.json - Configuration file containing the unsubscribe token expiry and database table names.
+ * @requires entities For decoding html entities
+ * @requires ../../utilities/mailUtilities - Utilities for sending email messages.
+ * @requires ../../utilities/tokenUtilities - Creates and verifies the signed token in the unsubscribe link.
+ *
+ * @exports sendFeedbackReminders - Emails a reminder to attendees who have not yet been sent one.
+ * @exports unsubscribeReminders - Stops reminders being sent to the email address in an unsubscribe token.
+ */
+
+const config = require("../../../config.json");
+const { decode } = require("entities");
+const mailUtilities = require("../../utilities/mailUtilities");
+const { createToken, verifyToken } = require("../../utilities/tokenUtilities");
+
+/**
+ * @async
+ * @function sendFeedbackReminders
+ * @memberof module:sendFeedbackReminders
+ * @summary Emails a reminder to attendees who have not yet been sent one.
+ *
+ * @description Each attendee is claimed by recording the reminder before it is sent, and the reminder is only sent if
+ * the claim succeeds. This means that if reminders are requested twice at the same time, for example by two
+ * organisers, each attendee is only emailed once. If sending fails, the claim is cleared so that the attendee can be
+ * sent a reminder later.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {object} session - The session details, including its ID and title.
+ * @returns {Promise<object>} - The number of reminders sent, and details of any failed emails.
+ */
+const sendFeedbackReminders = async (link, session) => {
+  const tableName = config.feedback.tables.tblAttendance;
+  const attendees = await selectAttendeesToRemind(link, session.id);
+
+  let sentCount = 0;
+  const sendMailFails = [];
+  for (const attendee of attendees) {
+    // Claim the attendee, skipping them if another request has already sent them a reminder
+    const claimedAt = new Date();
+    claimedAt.setMilliseconds(0); // Stored to the second, so the claim can be matched when clearing it
+    const [claim] = await link.execute(
+      `UPDATE ${tableName} SET reminderSentAt = ? WHERE id = ? AND email = ? AND reminderSentAt IS NULL`,
+      [claimedAt, session.id, attendee.email]
+    );
+    if (!claim.affectedRows) continue;
+
+    const emailOutcome = await emailAttendeeReminder(session, attendee);
+    if (!emailOutcome.sendSuccess) {
+      // Clear the claim so that the attendee can be sent a reminder later
+      await link.execute(
+        `UPDATE ${tableName} SET reminderSentAt = NULL WHERE id = ? AND email = ? AND reminderSentAt = ?`,
+        [session.id, attendee.email, claimedAt]
+      );
+      sendMailFails.push({
+        name: attendee.name,
+        email: attendee.email,
+        error: emailOutcome.error,
+      });
+      continue;
+    }
+
+    sentCount++;
+  }
+
+  return { sentCount, sendMailFails };
+};
+
+/**
+ * @async
+ * @function selectAttendeesToRemind
+ * @memberof module:sendFeedbackReminders
+ * @summary Retrieves the attendees of a session who left an email address and have not been sent a reminder.
+ *
+ * @description Attendees who registered more than once with the same email address are only included once.
+ * Attendees who have unsubscribed from reminders for any session, or who registered with a completion token for this
+ * session, are excluded.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<Array<object>>} - The name and email address of each attendee.
+ */
+const selectAttendeesToRemind = async (link, id) => {
+  const tableName = config.feedback.tables.tblAttendance;
+  const [rows] = await link.execute(
+    `SELECT email, MAX(name) AS name FROM ${tableName}
+      WHERE id = ? AND email IS NOT NULL
+      AND email NOT IN (SELECT email FROM ${tableName} WHERE unsubscribed = true AND email IS NOT NULL)
+      GROUP BY email
+      HAVING COUNT(reminderSentAt) = 0 AND MAX(completionTokenUsed) = false`,
+    [id]
+  );
+  return rows;
+};
+
+/**
+ * @async
+ * @function emailAttendeeReminder
+ * @memberof module:sendFeedbackReminders
+ * @summary Sends a reminder to complete feedback to an attendee.
+ *
+ * @param {object} session - The session details, including its ID and title.
+ * @param {object} attendee - The attendee's name and email address.
+ * @returns {Promise<object>} - An object indicating the success or failure of the email operation.
+ */
+const emailAttendeeReminder = async (session, attendee) => {
+  const appURL = config.client.url; // Base application URL
+  const shortenedAppURL = appURL.replace("https://", ""); // Shortened version for email
+
+  const token = createToken(
+    "unsubscribe",
+    { email: attendee.email },
+    config.feedback.reminders.unsubscribeTokenExpiryHours
+  );
+
+  const body = `
+    <p>Hello ${attendee.name},</p>
+    <p>Thank you for attending the session <strong>'${session.title}'</strong>. The organisers would be grateful if you could take a moment to give feedback, if you haven't already.</p>
+    <p style='font-size:1.5em'>Give feedback</p>
+    <p>Go to <a href='${appURL}/${session.id}'>${shortenedAppURL}/${session.id}</a> to complete the feedback form.</p>
+    <p>If you have already given feedback, thank you, and please ignore this email. You won't be sent another reminder for this session.</p>
+    <p>You were sent this email because you left your email address on the attendance register. <a href='${appURL}/feedback/unsubscribe/${token}'>Unsubscribe</a> if you don't want to receive feedback reminders for any session.</p>`;
+
+  const heading = "Feedback reminder";
+  const subject = `${heading}: ${decode(session.title)}`;
+
+  const html = mailUtilities.buildMailHTML(
+    subject,
+    heading,
+    body,
+    false,
+    appURL,
+    shortenedAppURL
+  );
+
+  try {
+    await mailUtilities.sendMail(attendee.email, subject, html);
+    return { sendSuccess: true };
+  } catch (error) {
+    return { sendSuccess: false, error: error.message };
+  }
+};
+
+/**
+ * @async
+ * @function unsubscribeReminders
+ * @memberof module:sendFeedbackReminders
+ * @summary Stops reminders being sent to the email address in an unsubscribe token.
+ *
+ * @param {object} link - Database connection for executing SQL queries.
+ * @param {string} token - The token from the unsubscribe link.
+ * @returns {Promise<boolean>} - Resolves to true if the email address was unsubscribed.
+ * @throws {Error} - Throws a status 401 error if the token is invalid or has expired.
+ */
+const unsubscribeReminders = async (link, token) => {
+  const payload = verifyToken(token, "unsubscribe");
+  if (!payload) {
+    throw Object.assign(
+      new Error("Unsubscribe link is invalid or has expired"),
+      {
+        statusCode: 401,
+      }
+    );
+  }
+
+  await link.execute(
+    `UPDATE ${config.feedback.tables.tblAttendance} SET unsubscribed = true WHERE email = ?`,
+    [payload.email]
+  );
+  return true;
+};
+
+module.exports = { sendFeedbackReminders, unsubscribeReminders };
@@ -4,7 +4,8 @@
  *
  * @description
  * Provides functionality to update an organiser's notification preferences in the database
- * and sends an email to notify them of the update.
+ * and sends an email to notify them of the update. Organisers can enable or disable notifications, and choose
+ * whether to be notified immediately or by a daily or weekly digest.
  *
  * @requires ../../../config.json - Configuration file containing database and client settings.
  * @requires ./resetPin - For updating organiser details in the database.
@@ -39,8 +40,9 @@ const updateNotificationPreferences = async (
   organiserIndex
 ) => {
   // Update the notification preference in the organisers array
-  sessionDetails.organisers[organiserIndex].notifications = data.notifications;
   const organiser = sessionDetails.organisers[organiserIndex];
+  organiser.notifications = data.notifications;
+  if (data.frequency) organiser.notificationFrequency = data.frequency;
 
   // Update the organisers array in the database
   const resetPinRoute = require("./resetPin");
@@ -92,7 +94,7 @@ const buildMailBodyUpdateNotificationPreference = (
   recipient,
   seriesData = {}
 ) => {
-  const body = `
+  let body = `
     <p>Hello ${recipient.name},</p>
     <p>Your feedback submission notification preferences have been updated on 
       <a href='${config.client.url}'>LearnLoop</a> for the session '<strong>${
@@ -102,6 +104,16 @@ const buildMailBodyUpdateNotificationPreference = (
       recipient.notifications ? "enabled" : "disabled"
     }</strong>.</p>
   `;
+  if (recipient.notifications) {
+    const frequencyDescriptions = {
+      immediate: "as feedback is submitted",
+      daily: "by a daily digest",
+      weekly: "by a weekly digest",
+    };
+    body += `<p>You will be notified <strong>${
+      frequencyDescriptions[recipient.notificationFrequency ?? "immediate"]
+    }</strong>.</p>`;
+  }
   return body;
 };
 
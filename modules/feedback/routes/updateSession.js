@@ -12,6 +12,7 @@
  * @requires ../../../config.json - Configuration file containing database table
  * settings for session data retrieval.
  * @requires ./insertSession - For inserting new subsessions as part of an session series update.
+ * @requires ./closeSession - For checking whether the session has passed its closing time.
  * @requires ../../utilities/pinUtilities - For generating new pins.
  * @requires ../../utilities/mailUtilities - For sending notification emails.
  * @requires ../../utilities/dateUtilities - Utilities for formatting date objects into various string representations.
@@ -70,13 +71,18 @@ const updateSession = async (link, data, user) => {
   // Retrieve old session details from the database
   const oldSessionDetails = await getOldSessionDetails(data.id, link);
 
-  if (oldSessionDetails.closed) {
+  // Treat the session as closed once its closing time has passed
+  const { applyClosingTime, resolveClosesAt } = require("./closeSession");
+  if (applyClosingTime(oldSessionDetails)) {
     throw Object.assign(
       new Error("Cannot edit session which has been closed"),
       { statusCode: 403 }
     );
   }
 
+  // Work out when the session should close automatically, if at all
+  data.closesAt = resolveClosesAt(data);
+
   // Find the lead organiser from the old session details
   const leadOrganiser = oldSessionDetails.organisers.find(
     (oldOrganiser) => oldOrganiser.isLead === true
@@ -178,6 +184,9 @@ const updateSession = async (link, data, user) => {
       organiser.isLead = oldOrganiserDetails.isLead;
       organiser.lastSent = oldOrganiserDetails.lastSent;
       organiser.notifications = oldOrganiserDetails.notifications;
+      organiser.notificationFrequency =
+        oldOrganiserDetails.notificationFrequency;
+      organiser.lastDigest = oldOrganiserDetails.lastDigest;
     } else {
       // New organiser to be added
       const pin = pinUtilities.createPin();
@@ -469,6 +478,7 @@ const updateSubsessionDetails = async (
         pinHash: pinUtilities.hashPin(pin, salt),
         salt: salt,
         notifications: true,
+        notificationFrequency: "immediate",
         lastSent: null,
       },
     ];
@@ -559,7 +569,7 @@ const removeOldSubsession = async (oldSubsessionDetails, mails, link) => {
  * @summary Closes a session in the database by updating its status to closed.
  *
  * @description This function updates the 'closed' field of the specified session to true,
- * indicating that the session is no longer active or available for feedback.
+ * indicating that the session is no longer active or available for feedback, and records when it was closed.
  *
  * @param {Object} link - The MySQL connection object used to execute queries.
  * @param {number} id - The unique identifier of the session to be closed.
@@ -570,7 +580,7 @@ const closeSessionInDatabase = async (link, id) => {
   const tableName = config.feedback.tables.tblSessions;
 
   // Construct the update query to set the 'closed' status of the session
-  const query = `UPDATE ${tableName} SET closed = true WHERE id = ?`;
+  const query = `UPDATE ${tableName} SET closed = true, closedAt = NOW() WHERE id = ?`;
 
   // Execute the query with the provided session ID
   await link.execute(query, [id]);
@@ -604,6 +614,8 @@ const updateSessionInDatabase = async (link, data, subsessionIds) => {
     questions,
     certificate,
     attendance,
+    closesAt,
+    requireFeedbackForCertificate,
     id,
   } = data;
 
@@ -617,7 +629,9 @@ const updateSessionInDatabase = async (link, data, subsessionIds) => {
                   questions = ?, 
                   certificate = ?, 
                   subsessions = ?, 
-                  attendance = ? 
+                  attendance = ?, 
+                  closesAt = ?, 
+                  requireFeedbackForCertificate = ? 
                   WHERE id = ?`;
 
   // Execute the query with the provided session data and subsession IDs
@@ -631,6 +645,8 @@ const updateSessionInDatabase = async (link, data, subsessionIds) => {
     certificate,
     subsessionIds,
     attendance,
+    closesAt ?? null,
+    Boolean(requireFeedbackForCertificate),
     id,
   ]);
 };
@@ -9,14 +9,20 @@
  *
  * @requires ../../../config.json - Configuration file containing database table settings for feedback data retrieval.
  * @requires ../../utilities/dateUtilities - Utility module for formatting dates.
+ * @requires ../../utilities/statsUtilities - Utility module for calculating the mean and median of numeric responses.
  * @requires ./loadUpdateSession - Module for retrieving session and subsession details.
+ * @requires ./conditionalQuestions - Module for checking whether conditional questions were shown to each respondent.
  *
  * @exports viewFeedback - Core function for retrieving and processing feedback data.
  * @exports selectFeedbackFromDatabase - Helper function to retrieve feedback from the database.
+ * @exports organiseQuestionFeedback - Helper function to organise the responses to each custom question.
+ * @exports numericPoints - Helper function to list the values that can be chosen for numeric questions.
  */
 
 const config = require("../../../config.json");
 const dateUtilities = require("../../utilities/dateUtilities");
+const { summariseDistribution } = require("../../utilities/statsUtilities");
+const { isQuestionShown } = require("./conditionalQuestions");
 
 /**
  * @function viewFeedback
@@ -42,7 +48,16 @@ async function viewFeedback(id, link) {
   );
 
   session.organisers = session.organisers.map(
-    ({ pinHash, salt, lastSent, email, notifications, ...rest }) => rest
+    ({
+      pinHash,
+      salt,
+      lastSent,
+      lastDigest,
+      email,
+      notifications,
+      notificationFrequency,
+      ...rest
+    }) => rest
   );
 
   session.feedback = await selectFeedbackFromDatabase(id, link);
@@ -111,13 +126,77 @@ async function selectFeedbackFromDatabase(id, link) {
   return feedback;
 }
 
+/**
+ * @function numericPoints
+ * @memberof module:feedback
+ * @summary Lists the values that can be chosen for a likert scale, numeric rating or NPS question.
+ * @description
+ * Likert scale values are numbered from 1, and are labelled with the question's own labels or the default labels for
+ * the number of points. Numeric ratings use the question's range, and NPS questions are always scored from 0 to 10.
+ *
+ * @param {object} question - The question, including its type and settings.
+ * @returns {Array|null} - The values (and labels for likert scales), or null if the question is not numeric.
+ */
+function numericPoints(question) {
+  const questionsConfig = config.feedback.create.questions;
+  const settings = question.settings || {};
+  const range = (min, max) =>
+    Array.from({ length: max - min + 1 }, (_, i) => ({ value: min + i }));
+
+  if (question.type === "likert") {
+    const points =
+      settings.points ?? questionsConfig.types.likert.settings.points;
+    const labels = settings.labels ?? questionsConfig.likert.labels[points];
+    return range(1, points).map((point, i) => ({ ...point, label: labels[i] }));
+  }
+  if (question.type === "rating") {
+    const { min, max } =
+      settings.range ?? questionsConfig.types.rating.settings.range;
+    return range(min, max);
+  }
+  if (question.type === "nps") {
+    return range(questionsConfig.nps.min, questionsConfig.nps.max);
+  }
+  return null;
+}
+
+/**
+ * @function summariseNumericQuestion
+ * @memberof module:feedback
+ * @summary Adds the mean, median and, for NPS questions, the Net Promoter Score to a numeric question.
+ * @description
+ * Respondents scoring 9 or 10 are promoters, 7 or 8 are passives, and 0 to 6 are detractors. The Net Promoter Score is
+ * the percentage of promoters minus the percentage of detractors, rounded to the nearest whole number.
+ *
+ * @param {object} question - The question, including the distribution of responses.
+ */
+function summariseNumericQuestion(question) {
+  Object.assign(question, summariseDistribution(question.distribution));
+  if (question.type !== "nps") return;
+
+  const countWhere = (test) =>
+    question.distribution
+      .filter(({ value }) => test(value))
+      .reduce((sum, { count }) => sum + count, 0);
+  question.promoters = countWhere((value) => value >= 9);
+  question.passives = countWhere((value) => value >= 7 && value <= 8);
+  question.detractors = countWhere((value) => value <= 6);
+
+  const total = question.promoters + question.passives + question.detractors;
+  question.npsScore = total
+    ? Math.round(((question.promoters - question.detractors) / total) * 100)
+    : null;
+}
+
 /**
  * @function organiseQuestionFeedback
  * @memberof module:feedback
  * @summary Organizes feedback responses for session questions.
  * @description
  * Processes and organizes feedback responses for each session question. Supports text-type
- * questions (adding responses) and option-based questions (counting selections).
+ * questions (adding responses), option-based questions (counting selections) and numeric questions (counting each
+ * value chosen, then summarising the distribution). The number of respondents who were shown each question is
+ * counted, as conditional questions are only shown to some respondents.
  *
  * @param {Array} questions - The list of questions associated with the session.
  * @param {Array} questionFeedback - The feedback responses for the questions.
@@ -126,6 +205,12 @@ async function selectFeedbackFromDatabase(id, link) {
 function organiseQuestionFeedback(questions, questionFeedback) {
   questions.forEach((question) => {
     question.responses = [];
+    question.seen = 0;
+    const points = numericPoints(question);
+    if (points) {
+      question.distribution = points.map((point) => ({ ...point, count: 0 }));
+      return;
+    }
     try {
       question.options.forEach((option) => {
         option.count = 0;
@@ -139,11 +224,21 @@ function organiseQuestionFeedback(questions, questionFeedback) {
 
   questionFeedback.forEach((responseSet) => {
     if (typeof responseSet !== "object") return;
+    questions.forEach((question, index) => {
+      if (isQuestionShown(questions, index, responseSet)) question.seen++;
+    });
     responseSet.forEach((response) => {
       questions.forEach((question) => {
         if (response.title === question.title) {
           if (question.type === "text") {
             question.responses.push(response.response);
+          } else if (question.distribution) {
+            // Skipped questions have an empty response, so are not counted
+            const point = question.distribution.find(
+              ({ value }) =>
+                response.response !== "" && value === Number(response.response)
+            );
+            if (point) point.count++;
           } else {
             question.options.forEach((option) => {
               if (question.type === "checkbox") {
@@ -165,7 +260,16 @@ function organiseQuestionFeedback(questions, questionFeedback) {
     });
   });
 
+  questions.forEach((question) => {
+    if (question.distribution) summariseNumericQuestion(question);
+  });
+
   return questions;
 }
 
-module.exports = { viewFeedback, selectFeedbackFromDatabase };
+module.exports = {
+  viewFeedback,
+  selectFeedbackFromDatabase,
+  organiseQuestionFeedback,
+  numericPoints,
+};
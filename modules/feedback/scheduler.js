@@ -0,0 +1,63 @@
+/**
+ * @module feedbackScheduler
+ * @memberof module:feedback
+ * @summary Starts the background jobs for the feedback module.
+ *
+ * @description
+ * Background jobs run inside the API process at the intervals set in the config file. Job logic is kept in the
+ * `routes` directory alongside the route logic, and this module only schedules it.
+ *
+ * @requires ../../config.json - Configuration file containing the job intervals.
+ * @requires ../utilities/schedulerUtilities - Runs jobs at a regular interval.
+ *
+ * @exports startScheduler - Starts the feedback module's background jobs.
+ */
+
+const config = require("../../config.json");
+const { scheduleJob } = require("../utilities/schedulerUtilities");
+
+/**
+ * @function startScheduler
+ * @memberof module:feedbackScheduler
+ * @summary Starts the feedback module's background jobs.
+ *
+ * @requires ./routes/sendDigests - Sends daily and weekly digest emails of new feedback submissions.
+ * @requires ./routes/closeSession - Closes sessions which have passed their closing time.
+ *
+ * @returns {void}
+ */
+const startScheduler = () => {
+  scheduleJob(
+    "feedback/sendDigests",
+    config.feedback.notifications.digest.checkIntervalMinutes,
+    async (link) => {
+      const { sendDigests } = require("./routes/sendDigests");
+      const sendMailFails = await sendDigests(link);
+      if (sendMailFails.length) {
+        console.error(
+          new Date().toISOString(),
+          "feedback/sendDigests failed to send digests",
+          sendMailFails
+        );
+      }
+    }
+  );
+
+  scheduleJob(
+    "feedback/closeDueSessions",
+    config.feedback.autoClose.checkIntervalMinutes,
+    async (link) => {
+      const { closeDueSessions } = require("./routes/closeSession");
+      const sendMailFails = await closeDueSessions(link);
+      if (sendMailFails.length) {
+        console.error(
+          new Date().toISOString(),
+          "feedback/closeDueSessions failed to send closure emails",
+          sendMailFails
+        );
+      }
+    }
+  );
+};
+
+module.exports = { startScheduler };
@@ -15,6 +15,10 @@
  * @exports insertSessionRules - Ruleset for the insertSession route
  * @exports loadUpdateSessionRules - Ruleset for the loadUpdateSession route
  * @exports updateSessionRules - Ruleset for the updateSession route
+ * @exports duplicateSessionRules - Ruleset for the duplicateSession route
+ * @exports insertQuestionBankRules - Ruleset for the insertQuestionBank route
+ * @exports loadQuestionBankRules - Ruleset for the loadQuestionBank and deleteQuestionBank routes
+ * @exports updateQuestionBankRules - Ruleset for the updateQuestionBank route
  * @exports resetPinRules - Ruleset for the resetPin route
  * @exports updateNotificationPreferencesRules - Ruleset for the updateNotificationPreferences route
  * @exports loadGiveFeedback - Ruleset for the loadGiveFeedback route
@@ -26,6 +30,246 @@ const config = require("../../config.json");
 const { escape } = require("querystring");
 const { handleError } = require("../utilities/routeUtilities");
 
+/**
+ * @function isNotBankReference
+ * @summary Checks whether a custom question in the request is provided in full rather than only as a bank question ID.
+ *
+ * @description Questions provided only as a bank question ID are copied from the question bank when the session is
+ * saved, so only the bank question ID needs to be validated. Questions loaded from an existing session include both
+ * their bank question ID and the full question, and are validated in full.
+ *
+ * @param {*} value - The value of the field being validated.
+ * @param {object} meta - The validation metadata, including the request and the index of the question.
+ * @returns {boolean} True if the question is provided in full.
+ */
+const isNotBankReference = (value, { req, pathValues }) => {
+  const question = req.body.questions?.[pathValues[0]];
+  return !question?.bankQuestionId || question.title !== undefined;
+};
+
+/**
+ * @function questionSettingsAreValid
+ * @summary Checks the settings of a likert scale, numeric rating or NPS question against its question type.
+ *
+ * @description Questions of other types are not checked, as their fields are validated individually. Unknown types
+ * are left to the question type rule so that only one error is reported.
+ *
+ * @param {object} question - The question to check, including its type, options and settings.
+ * @returns {boolean} True if the question is valid.
+ * @throws {Error} - Throws an error describing the first setting which is invalid.
+ */
+const questionSettingsAreValid = (question) => {
+  const typeConfig = config.feedback.create.questions.types[question.type];
+  if (!typeConfig) return true;
+
+  const settings = question.settings || {};
+
+  // Points and labels are only used by likert scales, and the range only by numeric ratings
+  if (question.type !== "likert" && (settings.points || settings.labels)) {
+    throw new Error(
+      `${typeConfig.name} questions do not have points or labels.`
+    );
+  }
+  if (question.type !== "rating" && settings.range) {
+    throw new Error(`${typeConfig.name} questions do not have a range.`);
+  }
+
+  if (!["likert", "rating", "nps"].includes(question.type)) return true;
+
+  if (question.options?.length) {
+    throw new Error(`${typeConfig.name} questions cannot have options.`);
+  }
+
+  if (question.type === "likert") {
+    const points = settings.points ?? typeConfig.settings.points;
+    if (settings.labels && settings.labels.length !== points) {
+      throw new Error(
+        `Likert scale labels must be provided for each of the ${points} points.`
+      );
+    }
+  }
+
+  if (question.type === "rating" && settings.range) {
+    if (settings.range.min >= settings.range.max) {
+      throw new Error(
+        "Numeric rating range minimum must be less than the maximum."
+      );
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validation rules for the custom questions of a session or question bank.
+ * @type {Array}
+ */
+const questionRules = [
+  check("questions")
+    .optional()
+    .isArray()
+    .withMessage("Custom questions field must be data type [array]."),
+
+  check("questions.*.title")
+    .if(isNotBankReference)
+    .notEmpty()
+    .withMessage("Custom question title must be provided.")
+    .isString()
+    .withMessage("Custom question title field must be data type [string].")
+    .escape(),
+
+  check("questions.*.type")
+    .if(isNotBankReference)
+    .notEmpty()
+    .withMessage("Custom question type must be provided.")
+    .isString()
+    .withMessage("Custom question type field must be data type [string].")
+    .bail()
+    .custom((value) =>
+      config.feedback.create.questions.types.hasOwnProperty(value)
+    )
+    .withMessage("Invalid question type provided.")
+    .escape(),
+
+  check("questions.*.options")
+    .optional()
+    .isArray()
+    .withMessage("Custom question options field must be data type [array]."),
+
+  check("questions.*.options.*.title")
+    .notEmpty()
+    .withMessage("Custom question option title must be provided.")
+    .isString()
+    .withMessage(
+      "Custom question option title field must be data type [string]."
+    )
+    .escape(),
+
+  check("questions.*.settings")
+    .if(isNotBankReference)
+    .isObject()
+    .withMessage("Custom question settings field must be data type [object]."),
+
+  check("questions.*.settings.required")
+    .if(isNotBankReference)
+    .isBoolean()
+    .withMessage(
+      "Custom question settings required field must be data type [boolean]."
+    ),
+
+  check("questions.*.settings.selectedLimit.min")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage(
+      "Custom question settings selected limit minimum must be a positive integer."
+    ),
+
+  check("questions.*.settings.selectedLimit.max")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage(
+      "Custom question settings selected limit maximum must be a positive integer."
+    ),
+
+  check("questions.*.settings.points")
+    .optional()
+    .isIn(config.feedback.create.questions.likert.points)
+    .withMessage(
+      `Custom question settings points must be one of ${config.feedback.create.questions.likert.points.join(
+        ", "
+      )}.`
+    )
+    .toInt(),
+
+  check("questions.*.settings.labels")
+    .optional()
+    .isArray()
+    .withMessage(
+      "Custom question settings labels field must be data type [array]."
+    ),
+
+  check("questions.*.settings.labels.*")
+    .isString()
+    .withMessage("Custom question settings label must be data type [string].")
+    .isLength({ max: 50 })
+    .withMessage("Custom question settings label cannot exceed 50 characters.")
+    .escape(),
+
+  check("questions.*.settings.range.min")
+    .optional()
+    .isInt({
+      min: config.feedback.create.questions.rating.min,
+      max: config.feedback.create.questions.rating.max,
+    })
+    .withMessage(
+      `Custom question settings range minimum must be an integer from ${config.feedback.create.questions.rating.min} to ${config.feedback.create.questions.rating.max}.`
+    )
+    .toInt(),
+
+  check("questions.*.settings.range.max")
+    .optional()
+    .isInt({
+      min: config.feedback.create.questions.rating.min,
+      max: config.feedback.create.questions.rating.max,
+    })
+    .withMessage(
+      `Custom question settings range maximum must be an integer from ${config.feedback.create.questions.rating.min} to ${config.feedback.create.questions.rating.max}.`
+    )
+    .toInt(),
+
+  check("questions.*.settings.range")
+    .optional()
+    .custom(
+      (value) => Number.isInteger(value.min) && Number.isInteger(value.max)
+    )
+    .withMessage(
+      "Custom question settings range must include a minimum and maximum."
+    ),
+
+  check("questions.*").if(isNotBankReference).custom(questionSettingsAreValid),
+
+  check("questions.*.showIf")
+    .optional()
+    .isObject()
+    .withMessage("Custom question show if field must be data type [object]."),
+
+  check("questions.*.showIf.question")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage(
+      "Custom question show if question must be the index of an earlier question."
+    )
+    .toInt(),
+
+  check("questions.*.showIf.option")
+    .optional()
+    .notEmpty()
+    .withMessage("Custom question show if option must be provided.")
+    .isString()
+    .withMessage(
+      "Custom question show if option field must be data type [string]."
+    )
+    .escape(),
+
+  check("questions.*.showIf")
+    .optional()
+    .custom(
+      (value) =>
+        Number.isInteger(value.question) && typeof value.option === "string"
+    )
+    .withMessage(
+      "Custom question show if condition must include a question and an option."
+    ),
+
+  check("questions.*.bankQuestionId")
+    .optional()
+    .isString()
+    .withMessage("Bank question ID field must be data type [string].")
+    .bail()
+    .matches(/^q[a-zA-Z0-9]{5}-[a-f0-9]{6}$/)
+    .withMessage("Bank question ID is invalid."),
+];
+
 /**
  * Validation rules for the insertSession route.
  * @type {Array}
@@ -77,10 +321,45 @@ const insertSessionRules = [
       "Attendance register cannot be enabled if certificate of attendance is disabled."
     ),
 
+  check("requireFeedbackForCertificate")
+    .optional()
+    .isBoolean()
+    .withMessage(
+      "Require feedback for certificate status field must be data type [boolean]."
+    )
+    .if(body("certificate").equals("false"))
+    .equals("false")
+    .withMessage(
+      "Feedback cannot be required for a certificate if certificate of attendance is disabled."
+    ),
+
   check("notifications")
     .isBoolean()
     .withMessage("Notifications status field must be data type [boolean]."),
 
+  //automatic closure
+  check("closesAt")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .withMessage("Closing time is invalid date.")
+    .toDate()
+    .custom((value) => value > new Date())
+    .withMessage("Closing time must be in the future."),
+
+  check("closeAfterDays")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1, max: config.feedback.autoClose.maxDays })
+    .withMessage(
+      `Close after days must be a whole number from 1 to ${config.feedback.autoClose.maxDays}.`
+    )
+    .toInt()
+    .custom((value, { req }) => !req.body.closesAt)
+    .withMessage("Closing time and close after days cannot both be provided.")
+    .custom((value, { req }) => String(req.body.multipleDates) !== "true")
+    .withMessage(
+      "Close after days cannot be used if multiple dates status is true."
+    ),
+
   //subsessions
   check("subsessions")
     .optional()
@@ -111,73 +390,90 @@ const insertSessionRules = [
     ),
 
   //questions
-  check("questions")
+  ...questionRules,
+
+  //organisers
+  check("organisers")
     .optional()
     .isArray()
-    .withMessage("Custom questions field must be data type [array]."),
+    .withMessage("Organisers field must be data type [array]."),
 
-  check("questions.*.title")
+  check("organisers.*.name")
     .notEmpty()
-    .withMessage("Custom question title must be provided.")
+    .withMessage("Organiser name must be provided.")
     .isString()
-    .withMessage("Custom question title field must be data type [string].")
+    .withMessage("Organiser name field must be data type [string].")
     .escape(),
 
-  check("questions.*.type")
-    .notEmpty()
-    .withMessage("Custom question type must be provided.")
-    .isString()
-    .withMessage("Custom question type field must be data type [string].")
-    .bail()
-    .custom((value) =>
-      config.feedback.create.questions.types.hasOwnProperty(value)
-    )
-    .withMessage("Invalid question type provided.")
-    .escape(),
+  check("organisers.*.email")
+    .isEmail()
+    .withMessage("Organiser email field must be a valid email address format."),
 
-  check("questions.*.options")
-    .optional()
-    .isArray()
-    .withMessage("Custom question options field must be data type [array]."),
+  check("organisers.*.canEdit")
+    .isBoolean()
+    .withMessage(
+      "Organiser can edit status field must be data type [boolean]."
+    ),
 
-  check("questions.*.options.*.title")
+  check("organisers.*.isLead")
+    .isBoolean()
+    .withMessage("Organiser is lead status field must be data type [boolean]."),
+];
+
+/**
+ * Validation rules for the loadUpdateSession route.
+ * @type {Array}
+ */
+const loadUpdateSessionRules = [
+  check("id")
     .notEmpty()
-    .withMessage("Custom question option title must be provided.")
+    .withMessage("Session ID must be provided.")
     .isString()
-    .withMessage(
-      "Custom question option title field must be data type [string]."
-    )
+    .withMessage("Session ID field must be data type [string].")
     .escape(),
 
-  check("questions.*.settings")
-    .isObject()
-    .withMessage("Custom question settings field must be data type [object]."),
+  check("pin")
+    .notEmpty()
+    .withMessage("Pin must be provided.")
+    .isNumeric()
+    .withMessage("Pin field must be data type [number]."),
 
-  check("questions.*.settings.required")
-    .isBoolean()
-    .withMessage(
-      "Custom question settings required field must be data type [boolean]."
-    ),
+  check("isTemplate").optional().isBoolean(),
+];
 
-  check("questions.*.settings.selectedLimit.min")
+/**
+ * Validation rules for the updateSession route.
+ * @type {Array}
+ */
+const updateSessionRules = [...insertSessionRules, ...loadUpdateSessionRules];
+
+/**
+ * Validation rules for the duplicateSession route.
+ * @type {Array}
+ */
+const duplicateSessionRules = [
+  ...loadUpdateSessionRules,
+
+  check("title")
     .optional()
-    .isInt({ min: 0 })
-    .withMessage(
-      "Custom question settings selected limit minimum must be a positive integer."
-    ),
+    .notEmpty()
+    .withMessage("Session title cannot be blank.")
+    .isString()
+    .withMessage("Session title field must be data type [string].")
+    .escape(),
 
-  check("questions.*.settings.selectedLimit.max")
+  check("date")
     .optional()
-    .isInt({ min: 0 })
-    .withMessage(
-      "Custom question settings selected limit maximum must be a positive integer."
-    ),
+    .isISO8601()
+    .toDate()
+    .withMessage("Session date is invalid date."),
 
-  //organisers
   check("organisers")
     .optional()
-    .isArray()
-    .withMessage("Organisers field must be data type [array]."),
+    .isArray({ min: 1 })
+    .withMessage(
+      "Organisers field must be data type [array] with at least 1 organiser."
+    ),
 
   check("organisers.*.name")
     .notEmpty()
@@ -202,15 +498,77 @@ const insertSessionRules = [
 ];
 
 /**
- * Validation rules for the loadUpdateSession route.
+ * Validation rules for the name and questions of a question bank.
  * @type {Array}
  */
-const loadUpdateSessionRules = [
+const questionBankRules = [
+  check("name")
+    .notEmpty()
+    .withMessage("Question bank name must be provided.")
+    .isString()
+    .withMessage("Question bank name field must be data type [string].")
+    .escape(),
+
+  check("questions")
+    .isArray({
+      min: 1,
+      max: config.feedback.create.questionBanks.questionsMax,
+    })
+    .withMessage(
+      `Questions field must be data type [array] with between 1 and ${config.feedback.create.questionBanks.questionsMax} questions.`
+    ),
+
+  ...questionRules,
+
+  check("questions.*.showIf")
+    .not()
+    .exists()
+    .withMessage(
+      "Question bank questions cannot be shown conditionally, as they may be used in any order."
+    ),
+
+  check("questions.*.bankQuestionId")
+    .not()
+    .exists()
+    .withMessage(
+      "Question bank questions cannot refer to questions in another question bank."
+    ),
+];
+
+/**
+ * Validation rules for the insertQuestionBank route.
+ * @type {Array}
+ */
+const insertQuestionBankRules = [
+  ...questionBankRules,
+
+  check("ownerName")
+    .notEmpty()
+    .withMessage("Owner name must be provided.")
+    .isString()
+    .withMessage("Owner name field must be data type [string].")
+    .escape(),
+
+  check("ownerEmail")
+    .isEmail()
+    .withMessage("Owner email field must be a valid email address format."),
+
+  check("questions.*.id")
+    .not()
+    .exists()
+    .withMessage("New question bank questions cannot have an ID."),
+];
+
+/**
+ * Validation rules for the loadQuestionBank and deleteQuestionBank routes.
+ * @type {Array}
+ */
+const loadQuestionBankRules = [
   check("id")
     .notEmpty()
-    .withMessage("Session ID must be provided.")
+    .withMessage("Question bank ID must be provided.")
     .isString()
-    .withMessage("Session ID field must be data type [string].")
+    .withMessage("Question bank ID field must be data type [string].")
     .escape(),
 
   check("pin")
@@ -218,15 +576,24 @@ const loadUpdateSessionRules = [
     .withMessage("Pin must be provided.")
     .isNumeric()
     .withMessage("Pin field must be data type [number]."),
-
-  check("isTemplate").optional().isBoolean(),
 ];
 
 /**
- * Validation rules for the updateSession route.
+ * Validation rules for the updateQuestionBank route.
  * @type {Array}
  */
-const updateSessionRules = [...insertSessionRules, ...loadUpdateSessionRules];
+const updateQuestionBankRules = [
+  ...loadQuestionBankRules,
+  ...questionBankRules,
+
+  check("questions.*.id")
+    .optional()
+    .isString()
+    .withMessage("Bank question ID field must be data type [string].")
+    .bail()
+    .matches(/^q[a-zA-Z0-9]{5}-[a-f0-9]{6}$/)
+    .withMessage("Bank question ID is invalid."),
+];
 
 /**
  * Validation rules for the resetPin route
@@ -255,6 +622,20 @@ const findMySessionsRules = [
     .withMessage("Email field must be a valid email address format."),
 ];
 
+/**
+ * Validation rules for the fetchAnalytics route.
+ * @type {Array}
+ */
+const fetchAnalyticsRules = [
+  check("token")
+    .notEmpty()
+    .withMessage("Token must be provided.")
+    .isString()
+    .withMessage("Token field must be data type [string].")
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .withMessage("Token is invalid."),
+];
+
 /**
  * Validation rules for the updateNotificationPreferences route.
  * @type {Array}
@@ -267,6 +648,15 @@ const updateNotificationPreferencesRules = [
     .withMessage("Notifications preference must be provided.")
     .isBoolean()
     .withMessage("Notifications preference field must by data type [boolean]"),
+
+  check("frequency")
+    .optional()
+    .isIn(config.feedback.notifications.frequencies)
+    .withMessage(
+      `Notifications frequency must be one of [${config.feedback.notifications.frequencies.join(
+        ", "
+      )}].`
+    ),
 ];
 
 /**
@@ -324,12 +714,32 @@ const giveFeedbackRules = [
     .isArray()
     .withMessage("Questions field must be data type [array]."),
 
+  check("questions.*.title")
+    .isString()
+    .withMessage("Question title field must be data type [string].")
+    .escape(),
+
   check("questions.*.response")
     .optional()
     .isString()
     .withMessage("Question response must be data type [string].")
     .escape(),
 
+  check("questions.*.options")
+    .optional()
+    .isArray()
+    .withMessage("Question options field must be data type [array]."),
+
+  check("questions.*.options.*.title")
+    .isString()
+    .withMessage("Question option title field must be data type [string].")
+    .escape(),
+
+  check("questions.*.options.*.selected")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Question option selected field must be data type [boolean]."),
+
   check("subsessions")
     .optional()
     .isArray()
@@ -386,8 +796,27 @@ const fetchCertificateRules = [
     .isString()
     .withMessage("Attendee organisation field must be data type [string].")
     .escape(),
+
+  check("attendee.email")
+    .optional({ values: "falsy" })
+    .isEmail()
+    .withMessage("Attendee email field must be a valid email address format.")
+    .toLowerCase(),
+
+  check("completionToken")
+    .optional()
+    .isString()
+    .withMessage("Completion token field must be data type [string].")
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .withMessage("Completion token is invalid."),
 ];
 
+/**
+ * Validation rules for the unsubscribeReminders route.
+ * @type {Array}
+ */
+const unsubscribeRemindersRules = [...fetchAnalyticsRules];
+
 /**
  * Validation rules for the fetchFeedbackPDF route.
  * @type {Array}
@@ -402,6 +831,18 @@ const fetchFeedbackPDFRules = [
     .escape(),
 ];
 
+/**
+ * Validation rules for the fetchFeedbackExport route.
+ * @type {Array}
+ */
+const fetchFeedbackExportRules = [
+  ...fetchFeedbackPDFRules,
+
+  check("format")
+    .isIn(["csv", "xlsx"])
+    .withMessage("Format must be one of csv, xlsx."),
+];
+
 // Middleware function to validate the request
 const validateRequest = (req, res, next) => {
   try {
@@ -427,12 +868,19 @@ module.exports = {
   insertSessionRules,
   loadUpdateSessionRules,
   updateSessionRules,
+  duplicateSessionRules,
+  insertQuestionBankRules,
+  loadQuestionBankRules,
+  updateQuestionBankRules,
   resetPinRules,
   findMySessionsRules,
+  fetchAnalyticsRules,
+  unsubscribeRemindersRules,
   updateNotificationPreferencesRules,
   loadGiveFeedbackRules,
   giveFeedbackRules,
   fetchCertificateRules,
   fetchFeedbackPDFRules,
+  fetchFeedbackExportRules,
   validateRequest,
 };
@@ -7,8 +7,11 @@
  * @requires router
  * @requires express-validator
  * @requires ./validate Rulesets and validation function for each route
+ * @requires ../utilities/dbUtilities Database link configuration and function for opening connection
+ * @requires ../utilities/routeUtilities Error handling and decoding html entities
+ * @requires ./routes/uploads Location of uploaded slide images and videos for static serving
  *
- * @exports router Object containing the different routes available in the feedback module
+ * @exports router Object containing the different routes available in the interaction module
  */
 
 const express = require("express");
@@ -16,7 +19,11 @@ const router = express.Router();
 const { matchedData } = require("express-validator");
 const validate = require("./validate");
 const { dbConfig, openDbConnection } = require("../utilities/dbUtilities");
-const { handleError } = require("../utilities/routeUtilities");
+const {
+  decodeObjectStrings,
+  handleError,
+} = require("../utilities/routeUtilities");
+const { uploadsDir } = require("./routes/uploads");
 
 /**
  * @async
@@ -64,4 +71,1430 @@ router.post(
   }
 );
 
+/**
+ * @async
+ * @route POST /interaction/insertSession
+ * @memberof module:interaction
+ * @summary Inserts a new interaction session into the database.
+ *
+ * @description This route validates the incoming request, including checking each slide against the settings for
+ * its slide type in the config file, creates a new session in the database using the provided data,
+ * and returns the session ID along with the lead organiser pin. A stream token is also returned, which the organiser
+ * uses to upload images and videos to the session's slides. If the request fails, an error message is returned.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/insertSession - Contains the logic for inserting the session into the database and sending out emails to the organisers.
+ * @requires ./routes/hostControls - Creates the stream token.
+ *
+ * @param {object} req.body.data - The data for the new session to be created.
+ * @returns {object} 200 - An object containing the ID of the newly created session, the lead organiser pin and a stream
+ * token.
+ * @returns {object} 500 - An error message if the session creation fails.
+ */
+router.post(
+  "/insertSession",
+  validate.insertSessionRules, // Middleware for validating session data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Insert session into the database and get the session ID and lead pin
+      const { insertSession } = require("./routes/insertSession");
+      const { id, leadPin, sendMailFails } = await insertSession(link, data);
+
+      // Create a stream token so that images and videos can be uploaded to the slides
+      const { createStreamToken } = require("./routes/hostControls");
+      const streamToken = createStreamToken(id);
+
+      // Respond with the session ID, lead organiser pin and stream token
+      res.json({ id, leadPin, streamToken, sendMailFails });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/insertSession",
+        "Failed to create session",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/uploadImage
+ * @memberof module:interaction
+ * @summary Uploads an image to a slide of an interaction session.
+ *
+ * @description This route receives a single image as multipart form data in the `image` field, checks it is a PNG, JPEG,
+ * GIF or WebP file by its content and that it does not exceed the file size limit in the config file, stores it and
+ * adds it to the slide. Images are uploaded once the session has been created, and the host's stream token (returned
+ * by insertSession and loadHostSession) must be provided, so that files can only be uploaded by an organiser. The token
+ * is checked before the file is received. Any image the slide had before is deleted if no other session uses it.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/hostControls - Checks the host's stream token.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/uploads - Contains the logic for checking and storing the image.
+ *
+ * @param {string} req.query.id - The session ID.
+ * @param {string} req.query.token - The host's stream token.
+ * @param {number} req.query.index - The index of the slide to add the image to.
+ * @param {object} req.file - The image file, sent as multipart form data.
+ * @returns {object} 200 - The file name of the stored image and the URL it is served from.
+ * @returns {object} 400 - Error message if the file is missing or not a supported image, the slide index is invalid or
+ * the session already has the maximum number of images.
+ * @returns {object} 401 - Error message if the stream token is invalid or has expired.
+ * @returns {object} 413 - Error message if the file is too large.
+ * @returns {object} 500 - Error message if storing the image fails.
+ */
+router.post(
+  "/uploadImage",
+  validate.uploadRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Check the stream token before receiving the file
+      const { checkStreamToken } = require("./routes/hostControls");
+      checkStreamToken(data.token, data.id);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve the session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check and store the image, and add it to the slide
+      const { uploadImage } = require("./routes/uploads");
+      const image = await uploadImage(link, session, data.index, req, res);
+
+      // Respond with the file name and URL of the image
+      res.json(image);
+    } catch (error) {
+      if (data) delete data.token; // Remove the token from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/uploadImage",
+        "Failed to upload image",
+        res,
+        false,
+        [JSON.stringify({ ...data, size: req.file ? req.file.size : null })]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/uploadVideo
+ * @memberof module:interaction
+ * @summary Uploads a video to a static slide of an interaction session.
+ *
+ * @description This route receives a single video as multipart form data in the `video` field, checks it is an MP4 file
+ * by its content and that it does not exceed the file size limit in the config file, stores it alongside images and
+ * adds it to the slide. As for images, the host's stream token must be provided, and is checked before the file is
+ * received. Any video the slide had before is deleted if no other session uses it.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/hostControls - Checks the host's stream token.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/uploads - Contains the logic for checking and storing the video.
+ *
+ * @param {string} req.query.id - The session ID.
+ * @param {string} req.query.token - The host's stream token.
+ * @param {number} req.query.index - The index of the static slide to add the video to.
+ * @param {object} req.file - The video file, sent as multipart form data.
+ * @returns {object} 200 - The file name of the stored video and the URL it is served from.
+ * @returns {object} 400 - Error message if the file is missing or not a supported video, the slide index is invalid or
+ * not a static slide, or the session already has the maximum number of videos.
+ * @returns {object} 401 - Error message if the stream token is invalid or has expired.
+ * @returns {object} 413 - Error message if the file is too large.
+ * @returns {object} 500 - Error message if storing the video fails.
+ */
+router.post(
+  "/uploadVideo",
+  validate.uploadRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Check the stream token before receiving the file
+      const { checkStreamToken } = require("./routes/hostControls");
+      checkStreamToken(data.token, data.id);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve the session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check and store the video, and add it to the slide
+      const { uploadVideo } = require("./routes/uploads");
+      const video = await uploadVideo(link, session, data.index, req, res);
+
+      // Respond with the file name and URL of the video
+      res.json(video);
+    } catch (error) {
+      if (data) delete data.token; // Remove the token from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/uploadVideo",
+        "Failed to upload video",
+        res,
+        false,
+        [JSON.stringify({ ...data, size: req.file ? req.file.size : null })]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @route GET /interaction/uploads/img/:filename
+ * @memberof module:interaction
+ * @summary Serves uploaded slide images and videos.
+ *
+ * @description Files are stored under the hash of their content, so can be cached indefinitely by the client.
+ * Range requests are supported so that videos can be streamed.
+ */
+router.use(
+  "/uploads/img",
+  express.static(uploadsDir, { immutable: true, maxAge: "1y", index: false })
+);
+
+/**
+ * @async
+ * @route POST /interaction/loadJoinSession
+ * @memberof module:interaction
+ * @summary Loads session details for an attendee joining an interaction session.
+ *
+ * @description This route validates the incoming request and then retrieves the session slides for attendees,
+ * without any organiser data. If the request fails at any step, an appropriate error message is returned.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/loadJoinSession - Contains the logic for retreiving the session details from the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID.
+ * @returns {object} 200 - The session details if successfully loaded.
+ * @returns {object} 403 - Error message if the session has been closed.
+ * @returns {object} 500 - Error message if loading session details fails.
+ */
+router.post(
+  "/loadJoinSession",
+  validate.loadJoinSessionRules, // Middleware for validating session load request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Import the function to load the session details
+      const { loadJoinSession } = require("./routes/loadJoinSession");
+
+      // Get the session details based on the provided session ID
+      let session = await loadJoinSession(link, data.id);
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(new Error("Session has been ended by the host"), {
+          statusCode: 403,
+        });
+      }
+
+      // Respond with the session details
+      session = decodeObjectStrings(session);
+      res.json(session);
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/loadJoinSession",
+        "Failed to load session details",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/fetchCurrentIndex
+ * @memberof module:interaction
+ * @summary Returns the host's current slide index for attendees to follow.
+ *
+ * @description This route is polled by attendees to keep their view in step with the host. It returns the current
+ * slide index, whether submissions to the current slide are locked, and whether the session has been closed.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/fetchCurrentIndex - Contains the logic for retreiving the host state from the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID.
+ * @returns {object} 200 - The current slide index, locked status and closed status.
+ * @returns {object} 500 - Error message if retrieving the current index fails.
+ */
+router.post(
+  "/fetchCurrentIndex",
+  validate.loadJoinSessionRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Get the host state based on the provided session ID
+      const { fetchCurrentIndex } = require("./routes/fetchCurrentIndex");
+      const status = await fetchCurrentIndex(link, data.id);
+
+      // Respond with the host state
+      res.json(status);
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/fetchCurrentIndex",
+        "Failed to fetch current slide",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/loadHostSession
+ * @memberof module:interaction
+ * @summary Loads the session details and host state for the host view.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then retrieves
+ * the session including the current slide index and locked slides, so that a presenter can resume hosting after a refresh or on another device.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/hostControls - Contains the logic for reading and updating the host state in the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
+ * @returns {object} 200 - The session details and host state, and a token for opening the host event stream.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if loading the session fails.
+ */
+router.post(
+  "/loadHostSession",
+  validate.loadHostSessionRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Respond with the session details, without organiser PIN hashes
+      const { loadHostSession } = require("./routes/hostControls");
+      res.json(decodeObjectStrings(loadHostSession(session)));
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/loadHostSession",
+        "Failed to load session for host",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/setCurrentIndex
+ * @memberof module:interaction
+ * @summary Moves the host to a given slide.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then updates
+ * the current slide index which attendees follow.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/hostControls - Contains the logic for reading and updating the host state in the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN and new slide index.
+ * @returns {object} 200 - The new current slide index.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the session has been ended.
+ * @returns {object} 500 - Error message if updating the current slide fails.
+ */
+router.post(
+  "/setCurrentIndex",
+  validate.setCurrentIndexRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(new Error("Session has already been ended"), {
+          statusCode: 403,
+        });
+      }
+
+      // Update the current slide index
+      const { setCurrentIndex } = require("./routes/hostControls");
+      const currentIndex = await setCurrentIndex(link, session, data.index);
+
+      // Respond with the new current index
+      res.json({ currentIndex });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/setCurrentIndex",
+        "Failed to change slide",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/setSlideLocked
+ * @memberof module:interaction
+ * @summary Locks or unlocks submissions to a slide.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then locks or
+ * unlocks submissions to the given slide.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/hostControls - Contains the logic for reading and updating the host state in the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN, slide index and locked status.
+ * @returns {object} 200 - The updated array of locked slide indexes.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the session has been ended.
+ * @returns {object} 500 - Error message if updating the locked status fails.
+ */
+router.post(
+  "/setSlideLocked",
+  validate.setSlideLockedRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(new Error("Session has already been ended"), {
+          statusCode: 403,
+        });
+      }
+
+      // Update the locked slides
+      const { setSlideLocked } = require("./routes/hostControls");
+      const lockedSlides = await setSlideLocked(
+        link,
+        session,
+        data.index,
+        data.locked
+      );
+
+      // Respond with the updated locked slides
+      res.json({ lockedSlides });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/setSlideLocked",
+        "Failed to update slide lock",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/setHideResponses
+ * @memberof module:interaction
+ * @summary Hides or shows the responses to a slide.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then updates
+ * the hide responses setting of the given slide.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/hostControls - Contains the logic for reading and updating the host state in the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN, slide index and hide responses status.
+ * @returns {object} 200 - The updated slide settings.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the session has been ended.
+ * @returns {object} 500 - Error message if updating the slide settings fails.
+ */
+router.post(
+  "/setHideResponses",
+  validate.setHideResponsesRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(new Error("Session has already been ended"), {
+          statusCode: 403,
+        });
+      }
+
+      // Update the slide settings
+      const { setHideResponses } = require("./routes/hostControls");
+      const settings = await setHideResponses(
+        link,
+        session,
+        data.index,
+        data.hideResponses
+      );
+
+      // Respond with the updated slide settings
+      res.json({ settings });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/setHideResponses",
+        "Failed to update hide responses",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/closeSession
+ * @memberof module:interaction
+ * @summary Ends an interaction session.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity,
+ * verifies if the user has editing rights, and then closes the session to further submissions.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/hostControls - Contains the logic for reading and updating the host state in the database.
+ *
+ * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
+ * @returns {object} 200 - A success message indicating that the session was ended.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the user lacks editing rights or the session has already been ended.
+ * @returns {object} 500 - Error message if closing the session fails.
+ */
+router.post(
+  "/closeSession",
+  validate.loadHostSessionRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Check if the organiser has editing rights
+      if (!user.canEdit) {
+        throw Object.assign(new Error("User does not have editing rights"), {
+          statusCode: 403,
+        });
+      }
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(new Error("Session has already been ended"), {
+          statusCode: 403,
+        });
+      }
+
+      // Close the session in the database
+      const { closeSession } = require("./routes/hostControls");
+      await closeSession(link, session);
+
+      // Respond with a success message
+      res.json({ message: "The session was ended." });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/closeSession",
+        "Failed to end session",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/deleteSession
+ * @memberof module:interaction
+ * @summary Deletes an interaction session.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity,
+ * verifies if the user has editing rights, and then deletes the session, its submissions, quiz nicknames and votes. Any images used by
+ * the session which are not used by another session are deleted.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/deleteSession - Contains the logic for deleting the session and its images.
+ *
+ * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
+ * @returns {object} 200 - A success message indicating that the session was deleted.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the user lacks editing rights.
+ * @returns {object} 500 - Error message if deleting the session fails.
+ */
+router.post(
+  "/deleteSession",
+  validate.loadHostSessionRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Check if the organiser has editing rights
+      if (!user.canEdit) {
+        throw Object.assign(new Error("User does not have editing rights"), {
+          statusCode: 403,
+        });
+      }
+
+      // Delete the session, its submissions and any orphaned images
+      const { deleteSession } = require("./routes/deleteSession");
+      await deleteSession(link, session);
+
+      // Respond with a success message
+      res.json({ message: "The session was deleted." });
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/deleteSession",
+        "Failed to delete session",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/submit
+ * @memberof module:interaction
+ * @summary Inserts an attendee's response to an interactive slide.
+ *
+ * @description This route validates the incoming request, checks the response against the settings of the slide
+ * (submission limit, selected limit and character limit), and inserts it into the submissions table.
+ * Submissions to static slides, locked slides or ended sessions are rejected.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/submit - Contains the logic for checking and inserting the submission.
+ *
+ * @param {object} req.body.data - The data containing the session ID, guest ID, slide index and response.
+ * @returns {object} 200 - A success message and the number of further submissions permitted to the slide.
+ * @returns {object} 400 - Error message if the response does not match the slide settings.
+ * @returns {object} 403 - Error message if the slide is locked, the submission limit is reached or the session has been ended.
+ * @returns {object} 500 - Error message if submitting the response fails.
+ */
+router.post(
+  "/submit",
+  validate.submitRules, // Middleware for validating submission data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Check and insert the submission
+      const { submit } = require("./routes/submit");
+      const { submissionsRemaining } = await submit(link, data);
+
+      // Respond with a success message
+      res.json({
+        message: "Your response was submitted.",
+        submissionsRemaining,
+      });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/submit",
+        "Failed to submit response",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/setNickname
+ * @memberof module:interaction
+ * @summary Sets the nickname an attendee is shown by on the quiz leaderboard.
+ *
+ * @description This route validates the incoming request and sets the nickname for the attendee's guest ID, replacing
+ * any nickname they chose previously. Nicknames must be unique within the session.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/loadJoinSession - Reused to check the session exists.
+ * @requires ./routes/quiz - Contains the logic for storing the nickname.
+ *
+ * @param {object} req.body.data - The data containing the session ID, guest ID and nickname.
+ * @returns {object} 200 - A success message and the nickname.
+ * @returns {object} 400 - Error message if the nickname is already being used in the session.
+ * @returns {object} 500 - Error message if setting the nickname fails.
+ */
+router.post(
+  "/setNickname",
+  validate.setNicknameRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Check the session exists
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      await selectSessionDetails(link, data.id);
+
+      // Store the nickname
+      const { setNickname } = require("./routes/quiz");
+      const nickname = await setNickname(
+        link,
+        data.id,
+        data.guestId,
+        data.nickname
+      );
+
+      // Respond with a success message
+      res.json(
+        decodeObjectStrings({ message: "Your nickname was saved.", nickname })
+      );
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/setNickname",
+        "Failed to set nickname",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/fetchMyScore
+ * @memberof module:interaction
+ * @summary Returns an attendee's quiz score and rank.
+ *
+ * @description This route validates the incoming request and returns the total points awarded to the attendee's
+ * guest ID for quiz slides in the session, the number of their responses that were correct, and their rank among
+ * attendees who have responded to a quiz slide.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/quiz - Contains the logic for calculating scores and ranks.
+ *
+ * @param {object} req.body.data - The data containing the session ID and guest ID.
+ * @returns {object} 200 - The attendee's score, correct count and rank, and the number of ranked attendees.
+ * @returns {object} 500 - Error message if retrieving the score fails.
+ */
+router.post(
+  "/fetchMyScore",
+  validate.fetchMyScoreRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Calculate the attendee's score and rank
+      const { fetchMyScore } = require("./routes/quiz");
+      const score = await fetchMyScore(link, data.id, data.guestId);
+
+      // Respond with the score and rank
+      res.json(score);
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/fetchMyScore",
+        "Failed to fetch score",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/fetchQuestions
+ * @memberof module:interaction
+ * @summary Returns the questions asked on a Q&A slide for attendees.
+ *
+ * @description This route validates the incoming request and returns the questions on the slide which have not been
+ * hidden by the host, with pinned questions first followed by the remaining questions sorted by votes. Each question
+ * is flagged if it was asked or voted for by the attendee.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/questions - Contains the logic for retrieving the questions.
+ *
+ * @param {object} req.body.data - The data containing the session ID, guest ID and slide index.
+ * @returns {object} 200 - The questions on the slide.
+ * @returns {object} 400 - Error message if the slide is not a Q&A slide.
+ * @returns {object} 500 - Error message if retrieving the questions fails.
+ */
+router.post(
+  "/fetchQuestions",
+  validate.fetchQuestionsRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check the slide is a Q&A slide
+      const {
+        isQuestionSlide,
+        selectQuestions,
+      } = require("./routes/questions");
+      const slide = session.slides[data.index];
+      if (!slide || !isQuestionSlide(slide)) {
+        throw Object.assign(new Error("Slide index is not a Q&A slide"), {
+          statusCode: 400,
+        });
+      }
+
+      // Retrieve the questions visible to attendees
+      const questions = await selectQuestions(link, data.id, data.index, {
+        guestId: data.guestId,
+      });
+
+      // Respond with the questions (text is already decoded)
+      res.json({ questions });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/fetchQuestions",
+        "Failed to fetch questions",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/vote
+ * @memberof module:interaction
+ * @summary Adds or removes an attendee's vote for a question on a Q&A slide.
+ *
+ * @description This route validates the incoming request and adds or removes the vote of the attendee's guest ID for
+ * the question. Each guest ID can vote for a question once.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/questions - Contains the logic for recording votes.
+ *
+ * @param {object} req.body.data - The data containing the session ID, guest ID, question ID and whether to add the vote.
+ * @returns {object} 200 - The updated number of votes for the question.
+ * @returns {object} 400 - Error message if the question is not found.
+ * @returns {object} 403 - Error message if the slide is locked or the session has been ended.
+ * @returns {object} 500 - Error message if recording the vote fails.
+ */
+router.post(
+  "/vote",
+  validate.voteRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Add or remove the vote
+      const { vote } = require("./routes/questions");
+      const votes = await vote(link, session, data);
+
+      // Respond with the updated vote count
+      res.json({ votes, voted: data.vote });
+    } catch (error) {
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/vote",
+        "Failed to vote for question",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/moderateQuestion
+ * @memberof module:interaction
+ * @summary Marks a question on a Q&A slide as answered, hidden or pinned.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then
+ * updates the statuses provided. Hidden questions are no longer shown to attendees, and pinned questions are shown
+ * above the others.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/questions - Contains the logic for updating the question.
+ *
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN, question ID and statuses to update.
+ * @returns {object} 200 - The updated statuses of the question.
+ * @returns {object} 400 - Error message if the question is not found or no statuses are provided.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 403 - Error message if the session has been ended.
+ * @returns {object} 500 - Error message if updating the question fails.
+ */
+router.post(
+  "/moderateQuestion",
+  validate.moderateQuestionRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Check that the session isn't closed
+      if (session.closed) {
+        throw Object.assign(new Error("Session has already been ended"), {
+          statusCode: 403,
+        });
+      }
+
+      // Update the question
+      const { moderateQuestion } = require("./routes/questions");
+      const statuses = await moderateQuestion(link, session, data);
+
+      // Respond with the updated statuses
+      res.json(statuses);
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/moderateQuestion",
+        "Failed to moderate question",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/fetchNewSubmissions
+ * @memberof module:interaction
+ * @summary Returns the results of submissions made since the host's last poll.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then
+ * retrieves the submissions newer than the provided cursor. Results are aggregated according to the slide type:
+ * option counts for choice slides, a word frequency map for word cloud slides, and a list of responses for free text slides.
+ * If the session includes quiz slides, the current leaderboard is also returned when the cursor is 0 or there are new
+ * quiz submissions. If it includes Q&A slides, the version of the questions is returned, and the questions on each are
+ * returned sorted by votes when the version differs from the one provided.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/fetchNewSubmissions - Contains the logic for retrieving and aggregating the submissions.
+ *
+ * @param {object} req.body.data - The data containing the session ID, organiser's PIN, cursor and optional questions version.
+ * @returns {object} 200 - The new cursor, the aggregated results for each slide with new submissions, and any leaderboard,
+ * questions and questions version.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if retrieving the submissions fails.
+ */
+router.post(
+  "/fetchNewSubmissions",
+  validate.fetchNewSubmissionsRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      // Retrieve and aggregate the new submissions
+      const { fetchNewSubmissions } = require("./routes/fetchNewSubmissions");
+      const results = await fetchNewSubmissions(
+        link,
+        session,
+        data.cursor,
+        data.questionsVersion
+      );
+
+      // Respond with the results (text is already decoded during aggregation)
+      res.json(results);
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/fetchNewSubmissions",
+        "Failed to fetch new submissions",
+        res,
+        false,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route POST /interaction/fetchInteractionPDF
+ * @memberof module:interaction
+ * @summary Returns a PDF report of the results of each interactive slide.
+ *
+ * @description This route validates the incoming request, checks the provided organiser's PIN for validity, and then
+ * generates a PDF report of all submissions to the session. Option counts are drawn as bar charts, word cloud
+ * responses as a ranked word frequency table, and free text responses as a list.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ../utilities/pinUtilities - Utility functions for validating PINs.
+ * @requires ./routes/loadJoinSession - Reused to retrieve the session details.
+ * @requires ./routes/fetchInteractionPDF - Contains the logic for creating the results pdf report.
+ *
+ * @param {object} req.body.data - The data containing the session ID and organiser's PIN.
+ * @returns {object} 200 - Streamed blob of the results pdf report.
+ * @returns {object} 401 - Error message if the PIN is invalid.
+ * @returns {object} 500 - Error message if building the report fails.
+ */
+router.post(
+  "/fetchInteractionPDF",
+  validate.loadHostSessionRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Retrieve session details from the database
+      const { selectSessionDetails } = require("./routes/loadJoinSession");
+      const session = await selectSessionDetails(link, data.id);
+
+      // Check if the provided PIN is valid for any organiser
+      const { pinIsValid } = require("../utilities/pinUtilities");
+      const user = session.organisers.find((organiser) =>
+        pinIsValid(data.pin, organiser.salt, organiser.pinHash)
+      );
+      if (!user) {
+        throw Object.assign(new Error("Invalid PIN"), { statusCode: 401 });
+      }
+
+      const { fetchInteractionPDF } = require("./routes/fetchInteractionPDF");
+      await fetchInteractionPDF(link, session, res);
+    } catch (error) {
+      delete data.pin; // Remove the pin from the error message
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/fetchInteractionPDF",
+        "Failed to fetch interaction PDF report",
+        res,
+        true,
+        [JSON.stringify(data)]
+      );
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
+/**
+ * @async
+ * @route GET /interaction/stream/:id
+ * @memberof module:interaction
+ * @summary Opens a Server-Sent Events stream of live updates for an interaction session.
+ *
+ * @description This route is an alternative to polling the fetchCurrentIndex and fetchNewSubmissions routes, which
+ * remain available as a fallback. Attendees receive `state` events when the host changes slide, locks a slide or
+ * ends the session, and `settings` events when the host changes a slide's settings. If a valid stream token (returned
+ * by loadHostSession) is provided as a query parameter, the stream also receives `submissions` events containing the
+ * aggregated results of each new submission. A token is used rather than the organiser's PIN, so that the PIN does not
+ * appear in the URLs recorded in proxy and access logs. The current state is sent when the stream opens. Clients
+ * reconnecting with a `Last-Event-ID` header receive the events they missed, or a `sync` event if they should refresh
+ * using the polling routes.
+ *
+ * @requires ./validate - Module for defining validation rules and sanitizing request data.
+ * @requires ./routes/hostControls - Checks the host's stream token.
+ * @requires ./routes/fetchCurrentIndex - Reused to retrieve the current host state.
+ * @requires ./routes/stream - Contains the logic for opening event streams and fanning out events.
+ *
+ * @param {string} req.params.id - The session ID.
+ * @param {string} [req.query.token] - The host's stream token, to receive submission events as a host.
+ * @returns {object} 200 - An event stream of updates to the session.
+ * @returns {object} 401 - Error message if the stream token is invalid or has expired.
+ * @returns {object} 500 - Error message if opening the stream fails.
+ */
+router.get(
+  "/stream/:id",
+  validate.streamRules, // Middleware for validating request data
+  validate.validateRequest, // Middleware for validating the request based on the rules
+  async (req, res) => {
+    let link; // Database connection variable
+    let data;
+    try {
+      // Get the validated and sanitized data from the request
+      data = matchedData(req);
+
+      // Open a connection to the database
+      link = await openDbConnection(dbConfig);
+
+      // Get the current host state, which also checks the session exists
+      const { fetchCurrentIndex } = require("./routes/fetchCurrentIndex");
+      const state = await fetchCurrentIndex(link, data.id);
+
+      // If a stream token is provided, check it was issued to a host of this session
+      const isHost = data.token !== undefined;
+      if (isHost) {
+        const { checkStreamToken } = require("./routes/hostControls");
+        checkStreamToken(data.token, data.id);
+      }
+
+      // Open the event stream (the database connection is not needed once the stream is open)
+      const { openStream } = require("./routes/stream");
+      openStream(req, res, data.id, isHost, state);
+    } catch (error) {
+      delete data.token; // Remove the token from the error message
+      // If the stream has already started, an error response can't be sent, so the stream is ended instead
+      handleError(
+        error,
+        error.statusCode,
+        "interaction/stream",
+        "Failed to open event stream",
+        res.headersSent ? null : res,
+        false,
+        [JSON.stringify(data)]
+      );
+      if (res.headersSent) res.end();
+    } finally {
+      // Close the database connection if it was opened
+      if (link) await link.end();
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * @module deleteSession
+ * @memberof module:interaction
+ * @summary Handles the deletion of interaction sessions.
+ *
+ * @description
+ * Deletes a session, its submissions, its attendees' quiz nicknames and their votes on Q&A questions from the database,
+ * then deletes any images and videos uploaded for the session which are not used by another session. Any attendees
+ * with an open event stream are told the session has ended.
+ *
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ * @requires ./uploads - Provides the helper for deleting orphaned uploads.
+ * @requires ./stream - Publishes the ended state to open event streams.
+ *
+ * @exports deleteSession - Core function for the module.
+ */
+
+const config = require("../../../config.json");
+const { deleteOrphanedUploads } = require("./uploads");
+const { publish } = require("./stream");
+
+/**
+ * @async
+ * @function deleteSession
+ * @memberof module:deleteSession
+ * @summary Deletes a session, its submissions, nicknames, votes and any orphaned uploads.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @returns {Promise<Array<string>>} - Resolves with the file names of the deleted uploads.
+ * @throws {Error} - Throws an error if the database connection or query execution fails.
+ */
+const deleteSession = async (link, session) => {
+  if (!link) throw new Error("Database connection failed.");
+
+  await link.execute(
+    `DELETE FROM ${config.interaction.tables.tblSubmissions} WHERE id = ?`,
+    [session.id]
+  );
+  await link.execute(
+    `DELETE FROM ${config.interaction.tables.tblVotes} WHERE id = ?`,
+    [session.id]
+  );
+  await link.execute(
+    `DELETE FROM ${config.interaction.tables.tblGuests} WHERE id = ?`,
+    [session.id]
+  );
+  await link.execute(
+    `DELETE FROM ${config.interaction.tables.tblSessions} WHERE id = ?`,
+    [session.id]
+  );
+
+  publish(session.id, "state", {
+    currentIndex: session.currentIndex,
+    isLocked: false,
+    closed: true,
+  });
+
+  // Uploads are only deleted once the session no longer refers to them
+  return await deleteOrphanedUploads(link, session.slides);
+};
+
+module.exports = { deleteSession };
@@ -0,0 +1,47 @@
+/**
+ * @module fetchCurrentIndex
+ * @memberof module:interaction
+ * @summary Module for retrieving the host's current position in an interaction session.
+ *
+ * @description This module is polled by attendees at the interval set by `interaction.join.currentIndexPollInterval`
+ * in the config file. It selects only the host state columns to keep each poll as light as possible.
+ *
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ *
+ * @exports fetchCurrentIndex - Core function for this module.
+ */
+
+const config = require("../../../config.json");
+
+/**
+ * @async
+ * @function fetchCurrentIndex
+ * @memberof module:fetchCurrentIndex
+ * @summary Retrieves the current slide index and whether submissions to that slide are locked.
+ *
+ * @param {object} link - The database connection object used to execute SQL queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<object>} - Resolves with the current slide index, locked status and closed status of the session.
+ * @throws {Error} - Throws an error if the session cannot be found.
+ */
+const fetchCurrentIndex = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT currentIndex, lockedSlides, closed FROM ${config.interaction.tables.tblSessions} WHERE id = ?`,
+    [id]
+  );
+
+  if (!rows.length) {
+    throw Object.assign(new Error("Session not found"), { statusCode: 400 });
+  }
+
+  const { currentIndex, closed } = rows[0];
+  const lockedSlides = JSON.parse(rows[0].lockedSlides || "[]");
+
+  return {
+    currentIndex,
+    isLocked: lockedSlides.includes(currentIndex),
+    closed: Boolean(closed),
+  };
+};
+
+module.exports = { fetchCurrentIndex };
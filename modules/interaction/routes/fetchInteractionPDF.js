@@ -0,0 +1,212 @@
+/**
+ * @module fetchInteractionPDF
+ * @memberof module:interaction
+ * @summary Generates a PDF report of the results of each interactive slide in a session.
+ *
+ * @description
+ * This module retrieves and aggregates all submissions to an interaction session and generates a PDF report with
+ * a section for each interactive slide. Option counts for choice slides are drawn as horizontal bar charts, word
+ * cloud responses as a table of words ranked by frequency, free text responses as a list, and Q&A questions as a list
+ * sorted by votes. Rating scale responses are drawn as a bar chart of the distribution with the mean and median, and
+ * ranking results as a bar chart of the Borda count score of each option, highest first. The generated PDF is streamed directly to the client as a downloadable file.
+ *
+ * @requires entities For decoding html entities
+ * @requires ../../../config.json - Configuration settings for the slide types.
+ * @requires ../../utilities/dateUtilities - Utility functions for date formatting.
+ * @requires ../../utilities/pdfUtilities - Creates the PDF document and draws bar charts.
+ * @requires ./fetchNewSubmissions - Retrieves and aggregates the submissions.
+ *
+ * @exports fetchInteractionPDF - The core module function that generates and serves the PDF report.
+ */
+
+const { decode } = require("entities");
+const config = require("../../../config.json");
+const dateUtilities = require("../../utilities/dateUtilities");
+const { createPDF, drawBarChart } = require("../../utilities/pdfUtilities");
+const { fetchNewSubmissions } = require("./fetchNewSubmissions");
+
+/**
+ * @async
+ * @function fetchInteractionPDF
+ * @memberof module:fetchInteractionPDF
+ * @summary Generates and serves a PDF report of the results of a session.
+ *
+ * @param {object} link - The database connection for executing SQL queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {object} res - The HTTP response object to stream the PDF to the client.
+ * @returns {Promise<boolean>} - Resolves to `true` if the PDF is generated and sent successfully.
+ * @throws {Error} - Throws an error if PDF generation or data retrieval fails.
+ */
+const fetchInteractionPDF = async (link, session, res) => {
+  // Retrieve and aggregate all submissions to the session
+  const {
+    submissionCount,
+    slides: results,
+    questions,
+  } = await fetchNewSubmissions(link, session, 0);
+
+  // Create a new PDF document with the LearnLoop header, streamed to the client
+  const doc = createPDF(res, `${session.title}-interaction-results.pdf`);
+
+  // Add session title and metadata
+  doc
+    .fill("black")
+    .font("Helvetica-Bold")
+    .moveDown(1)
+    .fontSize(26)
+    .text(`Interaction Results`, { align: "left" })
+    .moveDown(0.2);
+
+  doc
+    .font("Helvetica")
+    .fontSize(14)
+    .text(`For '${decode(session.title)}' by ${decode(session.name)}`)
+    .moveDown(0.3);
+
+  const dateString = dateUtilities.formatDateUK(new Date());
+  doc.text(`Report generated: ${dateString}`).moveDown(0.3);
+  doc.text(`Total responses: ${submissionCount}`).moveDown(1);
+
+  // Add a section for each interactive slide
+  session.slides.forEach((slide, index) => {
+    const typeConfig = config.interaction.create.slides.types[slide.type];
+    if (!typeConfig || !typeConfig.isInteractive) return;
+
+    const slideResults = results[index];
+    const count = slideResults ? slideResults.count : 0;
+
+    doc
+      .moveDown(1)
+      .font("Helvetica-Bold")
+      .fontSize(16)
+      .text(`Slide ${index + 1}: ${decode(slide.title)}`)
+      .font("Helvetica")
+      .fontSize(10)
+      .text(`${typeConfig.name} - ${count} response${count === 1 ? "" : "s"}`)
+      .moveDown(0.5);
+
+    if (!slideResults) {
+      doc.fontSize(12).text("No responses").moveDown(0.3);
+    } else if (slideResults.optionCounts) {
+      drawBarChart(
+        doc,
+        slide.options.map((option, optionIndex) => ({
+          label: option.title,
+          value: slideResults.optionCounts[optionIndex],
+        }))
+      );
+    } else if (slideResults.distribution) {
+      const { minLabel, maxLabel } = slide.settings.scale;
+      const lastIndex = slideResults.distribution.length - 1;
+      drawBarChart(
+        doc,
+        slideResults.distribution.map(({ value, count }, i) => {
+          const label =
+            i === 0 && minLabel
+              ? `${value} (${minLabel})`
+              : i === lastIndex && maxLabel
+              ? `${value} (${maxLabel})`
+              : value;
+          return { label, value: count };
+        })
+      );
+      doc
+        .fontSize(12)
+        .text(`Mean: ${slideResults.mean}, Median: ${slideResults.median}`)
+        .moveDown(0.3);
+    } else if (slideResults.scores) {
+      drawBarChart(
+        doc,
+        slide.options
+          .map((option, optionIndex) => ({
+            label: option.title,
+            value: slideResults.scores[optionIndex],
+          }))
+          .sort((a, b) => b.value - a.value)
+      );
+    } else if (slideResults.words) {
+      addWordTable(doc, slideResults.words);
+    } else if (slideResults.responses) {
+      for (const response of slideResults.responses) {
+        doc.fontSize(12).text(response).moveDown(0.3);
+      }
+    } else if (questions && questions[index]) {
+      for (const question of questions[index]) {
+        const status = ["answered", "hidden"]
+          .filter((key) => question[key])
+          .join(", ");
+        doc
+          .fontSize(12)
+          .text(
+            `${question.text} (${question.votes} vote${
+              question.votes === 1 ? "" : "s"
+            }${status ? `, ${status}` : ""})`
+          )
+          .moveDown(0.3);
+      }
+    }
+  });
+
+  // Finalize the PDF
+  doc.end();
+  return true;
+};
+
+/**
+ * @function addWordTable
+ * @memberof module:fetchInteractionPDF
+ * @summary Adds a table of words ranked by frequency to the PDF.
+ *
+ * @description Words with the same frequency share a rank and are listed alphabetically.
+ *
+ * @param {object} doc - The PDFKit document to add the table to.
+ * @param {object} words - The frequency of each word, keyed by word.
+ */
+const addWordTable = (doc, words) => {
+  const rows = Object.entries(words).sort(
+    ([wordA, countA], [wordB, countB]) =>
+      countB - countA || wordA.localeCompare(wordB)
+  );
+
+  const left = doc.page.margins.left;
+  const columns = [
+    { title: "Rank", x: left, width: 50 },
+    { title: "Word", x: left + 50, width: 300 },
+    { title: "Count", x: left + 350, width: 60 },
+  ];
+  const rowHeight = 16;
+
+  const addRow = (values, font) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const top = doc.y;
+    doc.font(font).fontSize(10);
+    columns.forEach((column, i) => {
+      doc.text(values[i], column.x, top, {
+        width: column.width,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    doc.x = left;
+    doc.y = top + rowHeight;
+  };
+
+  addRow(
+    columns.map((column) => column.title),
+    "Helvetica-Bold"
+  );
+
+  let rank = 0;
+  let previousCount;
+  rows.forEach(([word, count], i) => {
+    if (count !== previousCount) rank = i + 1;
+    previousCount = count;
+    addRow([`${rank}`, word, `${count}`], "Helvetica");
+  });
+
+  doc.font("Helvetica");
+};
+
+module.exports = { fetchInteractionPDF };
@@ -0,0 +1,226 @@
+/**
+ * @module fetchNewSubmissions
+ * @memberof module:interaction
+ * @summary Provides the host with submissions made since their last poll, aggregated by slide.
+ *
+ * @description
+ * This module is polled by the host at the interval set by `interaction.host.newSubmissionsPollInterval` in the
+ * config file. Only submissions newer than the cursor provided by the host are selected, and these are aggregated
+ * according to the slide type before being returned, so that large sessions do not send every raw submission on
+ * every poll. The host adds the returned results to those already received and uses the returned cursor for its
+ * next poll. A cursor of 0 returns the results of all submissions to the session. If the session includes quiz
+ * slides, the current leaderboard is also returned when the cursor is 0 or there are new submissions to quiz slides.
+ * If the session includes Q&A slides, the version of the questions is returned, and the questions for each Q&A slide
+ * are returned sorted by votes when this differs from the version provided by the host. As votes and moderation
+ * change the questions without new submissions, the version is used rather than the cursor. Otherwise the host keeps
+ * the leaderboard and questions it already has, so that they are not recalculated on every poll.
+ *
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ * @requires entities For decoding html entities
+ * @requires ./quiz - Provides the leaderboard for sessions with quiz slides.
+ * @requires ./questions - Provides the questions and their version for Q&A slides.
+ * @requires ./scale - Lists the values of rating scale slides.
+ * @requires ../../utilities/statsUtilities - Calculates the mean and median of rating scale slides and splits word cloud
+ * responses into normalised words.
+ *
+ * @exports fetchNewSubmissions - Core function for the module.
+ * @exports aggregateSubmissions - Aggregates submissions according to the type of slide they were submitted to.
+ */
+
+const config = require("../../../config.json");
+const { decode } = require("entities");
+const quiz = require("./quiz");
+const {
+  isQuestionSlide,
+  selectQuestions,
+  selectQuestionsVersion,
+} = require("./questions");
+const { scalePoints } = require("./scale");
+const {
+  summariseDistribution,
+  normaliseWords,
+} = require("../../utilities/statsUtilities");
+
+/**
+ * @async
+ * @function fetchNewSubmissions
+ * @memberof module:fetchNewSubmissions
+ * @summary Retrieves and aggregates submissions made to a session since the cursor.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} cursor - The ID of the latest submission already received by the host.
+ * @param {string} [questionsVersion] - The version of the questions already received by the host.
+ * @returns {Promise<object>} - Resolves with the new cursor, the number of new submissions, the results for each slide,
+ * and the leaderboard, questions and questions version if the session includes quiz or Q&A slides and they may have changed.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchNewSubmissions = async (link, session, cursor, questionsVersion) => {
+  const submissions = await selectSubmissionsFromDatabase(
+    link,
+    session.id,
+    cursor
+  );
+
+  const results = {
+    cursor: submissions.length
+      ? submissions[submissions.length - 1].submissionId
+      : cursor,
+    submissionCount: submissions.length,
+    slides: aggregateSubmissions(session.slides, submissions),
+  };
+
+  const quizSubmitted = submissions.some((submission) => {
+    const slide = session.slides[submission.slideIndex];
+    return slide && quiz.isQuizSlide(slide);
+  });
+  if (session.slides.some(quiz.isQuizSlide) && (!cursor || quizSubmitted)) {
+    results.leaderboard = await quiz.selectLeaderboard(link, session.id);
+  }
+
+  if (session.slides.some(isQuestionSlide)) {
+    results.questionsVersion = selectQuestionsVersion(session.id);
+  }
+  if (
+    results.questionsVersion &&
+    results.questionsVersion !== questionsVersion
+  ) {
+    results.questions = {};
+    for (const [index, slide] of session.slides.entries()) {
+      if (!isQuestionSlide(slide)) continue;
+      results.questions[index] = await selectQuestions(
+        link,
+        session.id,
+        index,
+        { includeHidden: true }
+      );
+    }
+  }
+
+  return results;
+};
+
+/**
+ * @async
+ * @function selectSubmissionsFromDatabase
+ * @memberof module:fetchNewSubmissions
+ * @summary Retrieves the submissions to a session with an ID greater than the cursor.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session.
+ * @param {number} cursor - The ID of the latest submission already received.
+ * @returns {Promise<Array<object>>} - Resolves with the submissions in the order they were made.
+ * @throws {Error} - Throws an error if the database connection or query execution fails.
+ */
+const selectSubmissionsFromDatabase = async (link, id, cursor) => {
+  if (!link) throw new Error("Database connection failed.");
+
+  const [rows] = await link.execute(
+    `SELECT submissionId, slideIndex, response FROM ${config.interaction.tables.tblSubmissions} WHERE id = ? AND submissionId > ? ORDER BY submissionId`,
+    [id, cursor]
+  );
+
+  return rows.map((row) => ({ ...row, response: JSON.parse(row.response) }));
+};
+
+/**
+ * @function aggregateSubmissions
+ * @memberof module:fetchNewSubmissions
+ * @summary Aggregates submissions according to the type of slide they were submitted to.
+ *
+ * @description Choice slides return a count for each option, word cloud slides return a frequency map of
+ * normalised words, and free text slides return a list of the responses. Text is decoded from html entities.
+ * Rating scale slides return the number of responses for each value on the scale in order, with the mean and median
+ * of the aggregated responses. Ranking slides return the Borda count score of each option, where an option ranked first of
+ * n options scores n - 1 points, second scores n - 2 points, and so on down to 0 points for last.
+ * Slides without any of the submissions are omitted.
+ *
+ * @param {Array<object>} slides - The slides of the session.
+ * @param {Array<object>} submissions - The submissions to aggregate, each with a slide index and response.
+ * @returns {object} - The results for each slide, keyed by slide index.
+ */
+const aggregateSubmissions = (slides, submissions) => {
+  const results = {};
+
+  for (const submission of submissions) {
+    const slide = slides[submission.slideIndex];
+    if (!slide) continue;
+
+    if (!results[submission.slideIndex]) {
+      results[submission.slideIndex] = createSlideResults(slide);
+    }
+    const slideResults = results[submission.slideIndex];
+    slideResults.count++;
+
+    const response = submission.response;
+    if (slide.type === "singleChoice" || slide.type === "multipleChoice") {
+      for (const index of response.selected) {
+        if (index in slideResults.optionCounts) {
+          slideResults.optionCounts[index]++;
+        }
+      }
+    } else if (slide.type === "wordCloud") {
+      for (const word of normaliseWords(response.text)) {
+        slideResults.words.set(word, (slideResults.words.get(word) || 0) + 1);
+      }
+    } else if (slide.type === "freeText") {
+      slideResults.responses.push(decode(response.text));
+    } else if (slide.type === "scale") {
+      const point = slideResults.distribution.find(
+        ({ value }) => value === response.value
+      );
+      if (point) point.count++;
+    } else if (slide.type === "ranking") {
+      response.order.forEach((index, position) => {
+        if (index in slideResults.scores) {
+          slideResults.scores[index] += response.order.length - 1 - position;
+        }
+      });
+    }
+  }
+
+  // Convert word frequency maps to plain objects and summarise scale distributions for the response
+  for (const slideResults of Object.values(results)) {
+    if (slideResults.words) {
+      slideResults.words = Object.fromEntries(slideResults.words);
+    }
+    if (slideResults.distribution) {
+      Object.assign(
+        slideResults,
+        summariseDistribution(slideResults.distribution)
+      );
+    }
+  }
+
+  return results;
+};
+
+/**
+ * @function createSlideResults
+ * @memberof module:fetchNewSubmissions
+ * @summary Creates an empty results object appropriate to the slide type.
+ *
+ * @param {object} slide - The slide to create the results object for.
+ * @returns {object} - The empty results object.
+ */
+const createSlideResults = (slide) => {
+  const slideResults = { type: slide.type, count: 0 };
+
+  if (slide.type === "singleChoice" || slide.type === "multipleChoice") {
+    slideResults.optionCounts = slide.options.map(() => 0);
+  } else if (slide.type === "wordCloud") {
+    slideResults.words = new Map(); // Map avoids inherited keys such as 'constructor' being counted as words
+  } else if (slide.type === "freeText") {
+    slideResults.responses = [];
+  } else if (slide.type === "scale") {
+    slideResults.distribution = scalePoints(slide.settings.scale).map(
+      (value) => ({ value, count: 0 })
+    );
+  } else if (slide.type === "ranking") {
+    slideResults.scores = slide.options.map(() => 0);
+  }
+
+  return slideResults;
+};
+
+module.exports = { fetchNewSubmissions, aggregateSubmissions };
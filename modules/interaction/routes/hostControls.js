@@ -0,0 +1,260 @@
+/**
+ * @module hostControls
+ * @memberof module:interaction
+ * @summary Module for the host's controls over a live interaction session.
+ *
+ * @description This module provides the functionality behind the PIN-protected host routes. The host state
+ * (current slide index, locked slides, hidden responses and closed status) is persisted in the sessions table
+ * so that a presenter can refresh or change device mid-session without losing their place. Each change is also
+ * published to any open event streams for the session.
+ *
+ * @requires ../../../config.json - Configuration file containing database table and slide type settings.
+ * @requires ../../utilities/tokenUtilities - Creates and verifies the signed stream token used by the host instead of their PIN.
+ * @requires ./stream - Publishes host state changes to open event streams.
+ *
+ * @exports loadHostSession - Prepares the full session and host state for the host view.
+ * @exports createStreamToken - Creates a signed stream token for the host of a session.
+ * @exports checkStreamToken - Checks a stream token was issued to a host of a session.
+ * @exports setCurrentIndex - Moves the host to a given slide.
+ * @exports setSlideLocked - Locks or unlocks submissions to a slide.
+ * @exports setHideResponses - Hides or shows responses to a slide.
+ * @exports closeSession - Ends the session.
+ */
+
+const config = require("../../../config.json");
+const { createToken, verifyToken } = require("../../utilities/tokenUtilities");
+const { publish } = require("./stream");
+
+/**
+ * @function loadHostSession
+ * @memberof module:hostControls
+ * @summary Prepares the session details and host state for the host view.
+ *
+ * @description Removes sensitive organiser fields from a session which has already been retrieved from the database
+ * to check the organiser's PIN. A signed stream token is included, which the host uses instead of their PIN to open
+ * the event stream, so that the PIN is not sent in the stream URL.
+ *
+ * @param {object} session - The session details, including the organisers and host state.
+ * @returns {object} - The session object including the host state and stream token, without organiser PIN hashes or salts.
+ */
+const loadHostSession = (session) => {
+  session.organisers = session.organisers.map(
+    ({ pinHash, salt, ...rest }) => rest
+  );
+
+  session.streamToken = createStreamToken(session.id);
+
+  return session;
+};
+
+/**
+ * @function createStreamToken
+ * @memberof module:hostControls
+ * @summary Creates a signed stream token for the host of a session.
+ *
+ * @description The token is used instead of the host's PIN to open the host event stream and to upload slide images
+ * and videos, so that the PIN is not sent in a URL.
+ *
+ * @param {string} id - The unique identifier of the session.
+ * @returns {string} - The signed stream token.
+ */
+const createStreamToken = (id) =>
+  createToken(
+    "hostStream",
+    { id },
+    config.interaction.host.streamTokenExpiryHours
+  );
+
+/**
+ * @function checkStreamToken
+ * @memberof module:hostControls
+ * @summary Checks a stream token was issued to a host of a session.
+ *
+ * @param {string} token - The stream token provided by the host.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {boolean} - True if the token is valid.
+ * @throws {Error} - Throws a status 401 error if the token is invalid, has expired or was issued for another session.
+ */
+const checkStreamToken = (token, id) => {
+  const payload = verifyToken(token, "hostStream");
+  if (!payload || payload.id !== id) {
+    throw Object.assign(new Error("Stream token is invalid or has expired"), {
+      statusCode: 401,
+    });
+  }
+  return true;
+};
+
+/**
+ * @async
+ * @function setCurrentIndex
+ * @memberof module:hostControls
+ * @summary Moves the host to a given slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} index - The index of the slide to move to.
+ * @returns {Promise<number>} - Resolves with the new current index.
+ * @throws {Error} - Throws an error if the index does not match a slide or the query fails.
+ */
+const setCurrentIndex = async (link, session, index) => {
+  checkSlideIndex(session, index);
+
+  // Record when the slide was opened for the quiz speed bonus, unless the host is already on it
+  const currentIndexSetAt =
+    session.currentIndex === index && session.currentIndexSetAt
+      ? session.currentIndexSetAt
+      : new Date();
+
+  await link.execute(
+    `UPDATE ${config.interaction.tables.tblSessions} SET currentIndex = ?, currentIndexSetAt = ? WHERE id = ?`,
+    [index, currentIndexSetAt, session.id]
+  );
+
+  session.currentIndex = index;
+  session.currentIndexSetAt = currentIndexSetAt;
+  publishState(session);
+
+  return index;
+};
+
+/**
+ * @async
+ * @function setSlideLocked
+ * @memberof module:hostControls
+ * @summary Locks or unlocks submissions to a slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides and locked slides.
+ * @param {number} index - The index of the slide to lock or unlock.
+ * @param {boolean} locked - True to lock the slide, false to unlock it.
+ * @returns {Promise<Array<number>>} - Resolves with the updated array of locked slide indexes.
+ * @throws {Error} - Throws an error if the index does not match an interactive slide or the query fails.
+ */
+const setSlideLocked = async (link, session, index, locked) => {
+  checkSlideIndex(session, index, true);
+
+  let lockedSlides = (session.lockedSlides || []).filter(
+    (lockedIndex) => lockedIndex !== index
+  );
+  if (locked) lockedSlides.push(index);
+  lockedSlides.sort((a, b) => a - b);
+
+  await link.execute(
+    `UPDATE ${config.interaction.tables.tblSessions} SET lockedSlides = ? WHERE id = ?`,
+    [lockedSlides, session.id]
+  );
+
+  session.lockedSlides = lockedSlides;
+  publishState(session);
+
+  return lockedSlides;
+};
+
+/**
+ * @async
+ * @function setHideResponses
+ * @memberof module:hostControls
+ * @summary Hides or shows responses to a slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} index - The index of the slide to update.
+ * @param {boolean} hideResponses - True to hide responses, false to show them.
+ * @returns {Promise<object>} - Resolves with the updated slide settings.
+ * @throws {Error} - Throws an error if the index does not match an interactive slide or the query fails.
+ */
+const setHideResponses = async (link, session, index, hideResponses) => {
+  checkSlideIndex(session, index, true);
+
+  session.slides[index].settings.hideResponses = hideResponses;
+
+  await link.execute(
+    `UPDATE ${config.interaction.tables.tblSessions} SET slides = ? WHERE id = ?`,
+    [session.slides, session.id]
+  );
+
+  publish(session.id, "settings", {
+    index,
+    settings: session.slides[index].settings,
+  });
+
+  return session.slides[index].settings;
+};
+
+/**
+ * @async
+ * @function closeSession
+ * @memberof module:hostControls
+ * @summary Ends the session so that no further submissions can be made.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the host state.
+ * @returns {Promise<void>} - Resolves when the session has been marked as closed.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const closeSession = async (link, session) => {
+  await link.execute(
+    `UPDATE ${config.interaction.tables.tblSessions} SET closed = true WHERE id = ?`,
+    [session.id]
+  );
+
+  session.closed = true;
+  publishState(session);
+};
+
+/**
+ * @function publishState
+ * @memberof module:hostControls
+ * @summary Publishes the host state to open event streams for the session.
+ *
+ * @description The state matches the response of the fetchCurrentIndex route, so that attendees can use either the
+ * event stream or polling.
+ *
+ * @param {object} session - The session details, including the host state.
+ */
+const publishState = (session) => {
+  publish(session.id, "state", {
+    currentIndex: session.currentIndex,
+    isLocked: (session.lockedSlides || []).includes(session.currentIndex),
+    closed: Boolean(session.closed),
+  });
+};
+
+/**
+ * @function checkSlideIndex
+ * @memberof module:hostControls
+ * @summary Checks that a slide index matches a slide in the session.
+ *
+ * @param {object} session - The session details, including the slides.
+ * @param {number} index - The slide index to check.
+ * @param {boolean} [mustBeInteractive=false] - If true, also checks that the slide type is interactive.
+ * @throws {Error} - Throws a status 400 error if the index is invalid.
+ */
+const checkSlideIndex = (session, index, mustBeInteractive = false) => {
+  const slide = session.slides[index];
+  if (!slide) {
+    throw Object.assign(new Error("Slide index not found in session"), {
+      statusCode: 400,
+    });
+  }
+  if (
+    mustBeInteractive &&
+    !config.interaction.create.slides.types[slide.type].isInteractive
+  ) {
+    throw Object.assign(
+      new Error("This option is not available for non-interactive slides"),
+      { statusCode: 400 }
+    );
+  }
+};
+
+module.exports = {
+  loadHostSession,
+  createStreamToken,
+  checkStreamToken,
+  setCurrentIndex,
+  setSlideLocked,
+  setHideResponses,
+  closeSession,
+};
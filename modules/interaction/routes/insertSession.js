@@ -0,0 +1,286 @@
+/**
+ * @module insertSession
+ * @memberof module:interaction
+ * @summary Handles the creation of new interaction sessions and notifications.
+ *
+ * @description
+ * The `insertSession` module provides functionality for creating new interaction sessions,
+ * including inserting the slide deck into the database and notifying organisers via email.
+ * It generates a unique session ID and secure PINs for each organiser, and applies the default
+ * settings for each slide type from the config file to any settings not provided by the organiser.
+ *
+ * @requires ../../../config.json - Configuration settings for the application.
+ * @requires ../../utilities/idUtilities - Utility functions for ID generation.
+ * @requires ../../utilities/pinUtilities - Utility functions for PIN generation and hashing.
+ * @requires ../../utilities/mailUtilities - Utilities for sending email notifications.
+ * @requires ./videos - Converts slide video references to their canonical form.
+ * @requires entities For decoding html entities
+ *
+ * @exports insertSession - Function for inserting a new session into the database and notifying organisers.
+ * @exports emailOrganiserInsert - Function to send email notifications to organisers regarding created interaction sessions.
+ */
+
+const config = require("../../../config.json");
+const idUtilities = require("../../utilities/idUtilities");
+const pinUtilities = require("../../utilities/pinUtilities");
+const mailUtilities = require("../../utilities/mailUtilities");
+const { parseVideo } = require("./videos");
+const { decode } = require("entities");
+
+/**
+ * @async
+ * @function insertSession
+ * @memberof module:insertSession
+ * @summary Inserts an interaction session into the database and sends notification emails to organisers.
+ *
+ * @description Generates a unique session ID and, for each organiser, creates a secure PIN along with a hashed
+ * version of it. The settings for each slide are completed using the defaults for that slide type before the
+ * session is inserted into the database. Notification emails are then sent to all organisers, and the lead
+ * organiser's PIN is returned to the caller for display in the created view.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {object} data - The session data, including the slides and organisers.
+ * @returns {Promise<object>} - The ID of the session, the lead organiser's PIN and details of any failed emails.
+ * @throws {Error} - Throws an error if the database connection fails or if the session insertion fails.
+ */
+const insertSession = async (link, data) => {
+  // Generate a unique session ID
+  const id = await idUtilities.createUniqueId(link, "interaction");
+  let leadPin; // Variable to store the lead organiser's PIN
+  const mails = []; // Array to store email details for organisers
+  const sendMailFails = []; // Array to store details of any failed emails
+
+  // Generate PIN, salt, and hashed PIN for each organiser
+  for (const organiser of data.organisers) {
+    const pin = pinUtilities.createPin();
+    if (organiser.isLead) {
+      leadPin = pin; // Store the lead organiser's PIN to be returned to the client
+      data.leadName = organiser.name; // Store lead organiser's name for email notifications
+    }
+    organiser.salt = pinUtilities.createSalt();
+    organiser.pinHash = pinUtilities.hashPin(pin, organiser.salt); // Hash the PIN
+
+    // Prepare email data for the organiser
+    mails.push({
+      name: organiser.name,
+      email: organiser.email,
+      pin: pin,
+      isLead: organiser.isLead,
+      canEdit: organiser.canEdit,
+    });
+  }
+
+  // Apply the default settings for each slide type
+  data.slides = data.slides.map(applySlideDefaults);
+
+  // Insert the session into the database
+  await insertSessionIntoDatabase(link, id, data);
+
+  // Send emails to all organisers
+  for (const mail of mails) {
+    const emailOutcome = await emailOrganiserInsert(
+      // Ensure emails are sent sequentially
+      data,
+      id,
+      mail.pin,
+      mail.name,
+      mail.email,
+      mail.isLead,
+      mail.canEdit
+    );
+    if (!emailOutcome.sendSuccess)
+      sendMailFails.push({
+        name: mail.name,
+        email: mail.email,
+        error: emailOutcome.error,
+      });
+  }
+
+  // Return the session ID and the lead organiser's PIN
+  return { id, leadPin, sendMailFails };
+};
+
+/**
+ * @function applySlideDefaults
+ * @memberof module:insertSession
+ * @summary Completes a slide's settings using the defaults for its slide type.
+ *
+ * @description Settings provided by the organiser (already checked against the config limits during validation)
+ * take precedence over the defaults, including any of the scale settings provided for rating scale slides.
+ * Non-interactive slides have no settings or options, and any video reference (only permitted on non-interactive
+ * slides) is converted to its canonical provider and ID.
+ *
+ * @param {object} slide - The slide as provided by the organiser.
+ * @returns {object} - The slide with its settings completed.
+ */
+const applySlideDefaults = (slide) => {
+  const typeConfig = config.interaction.create.slides.types[slide.type];
+
+  if (!typeConfig.isInteractive) {
+    const staticSlide = { ...slide, options: [], settings: {} };
+    if (slide.video) staticSlide.video = parseVideo(slide.video);
+    return staticSlide;
+  }
+
+  const settings = { ...typeConfig.settings, ...slide.settings };
+  if (typeConfig.settings.scale) {
+    settings.scale = { ...typeConfig.settings.scale, ...settings.scale };
+  }
+
+  return { ...slide, options: slide.options || [], settings };
+};
+
+/**
+ * @async
+ * @function emailOrganiserInsert
+ * @memberof module:insertSession
+ * @summary Sends an email notification to an organiser regarding a created interaction session.
+ *
+ * @param {object} data - The session data, including details such as title and lead organiser.
+ * @param {string} id - The unique identifier of the interaction session being created.
+ * @param {string} pin - The secure PIN associated with the organiser for the session.
+ * @param {string} name - The name of the organiser receiving the email notification.
+ * @param {string} email - The email address of the organiser to whom the notification will be sent.
+ * @param {boolean} isLead - Indicates whether the organiser is the lead for this session.
+ * @param {boolean} canEdit - Indicates whether the organiser has editing privileges for the session.
+ * @returns {Promise<object>} - Returns an object with the success status of the email dispatch.
+ */
+const emailOrganiserInsert = async (
+  data,
+  id,
+  pin,
+  name,
+  email,
+  isLead,
+  canEdit
+) => {
+  const appURL = config.client.url;
+  const shortenedAppURL = appURL.replace("https://", "");
+
+  const body = buildMailBody(
+    id,
+    pin,
+    name,
+    isLead,
+    canEdit,
+    data.leadName,
+    appURL,
+    shortenedAppURL,
+    data
+  );
+
+  const heading = "Interaction session created";
+  const subject = `${heading}: ${decode(data.title)}`;
+  const html = mailUtilities.buildMailHTML(
+    subject,
+    heading,
+    body,
+    isLead,
+    appURL,
+    shortenedAppURL
+  );
+
+  try {
+    await mailUtilities.sendMail(email, subject, html);
+    return { sendSuccess: true };
+  } catch (error) {
+    return { sendSuccess: false, error: error.message };
+  }
+};
+
+/**
+ * @async
+ * @function insertSessionIntoDatabase
+ * @memberof module:insertSession
+ * @summary Inserts an interaction session into the database.
+ *
+ * @param {object} link - The database connection object for executing queries.
+ * @param {string} id - The unique identifier for the session being inserted.
+ * @param {object} data - The session data containing various properties to be inserted.
+ * @returns {Promise<boolean>} - Returns true if the insertion is successful.
+ * @throws {Error} - Throws an error if the database connection is invalid or if the insertion fails.
+ */
+const insertSessionIntoDatabase = async (link, id, data) => {
+  if (!link) {
+    throw new Error("Database connection failed");
+  }
+
+  // The host starts on the first slide with no slides locked
+  const query = `INSERT INTO ${config.interaction.tables.tblSessions}
+      (id, name, title, organisers, slides, currentIndex, lockedSlides, closed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+
+  await link.execute(query, [
+    id,
+    data.name,
+    data.title,
+    data.organisers,
+    data.slides,
+    0,
+    [],
+    false,
+  ]);
+
+  return true;
+};
+
+/**
+ * @function buildMailBody
+ * @memberof module:insertSession
+ * @summary Builds the HTML body for the email notification regarding an interaction session.
+ *
+ * @param {string} id - The unique identifier for the session.
+ * @param {string} pin - The session PIN for the organiser.
+ * @param {string} name - The name of the recipient (organiser).
+ * @param {boolean} isLead - Indicates if the recipient is the lead organiser.
+ * @param {boolean} canEdit - Indicates if the recipient has editing rights for the session.
+ * @param {string} leadName - The name of the lead organiser (if not the recipient).
+ * @param {string} appURL - The full application URL.
+ * @param {string} shortenedAppURL - A shortened version of the application URL.
+ * @param {object} data - The session data containing various properties.
+ * @returns {string} - The constructed HTML body for the email.
+ */
+const buildMailBody = (
+  id,
+  pin,
+  name,
+  isLead,
+  canEdit,
+  leadName,
+  appURL,
+  shortenedAppURL,
+  data
+) => {
+  let body = `
+        <p>Hello ${name},<br><br>
+        An interaction session has been successfully created${
+          isLead ? "" : " by " + leadName
+        } on <a href='${appURL}'>LearnLoop</a> for your session '${
+    data.title
+  }'. It contains ${data.slides.length} slide${
+    data.slides.length === 1 ? "" : "s"
+  }.`;
+
+  body += isLead
+    ? ` You are the lead organiser for this event. Your access to the session cannot be removed, and you have editing rights. `
+    : canEdit
+    ? ` You have been given editing rights for this session. `
+    : ` You have been given hosting rights for this session. `;
+
+  body += `</p><p>Please keep this email for future reference.</p>
+        <span style='font-size:2em'>Your session ID is <strong>${id}</strong><br>
+        Your session PIN is <strong>${pin}</strong></span><br>
+        Do not share your PIN or this email with attendees.<br>`;
+
+  body += `
+        <p style='font-size:1.5em'>Host your session</p>
+        <p>Go to <a href='${appURL}/interaction/host/${id}'>${shortenedAppURL}/interaction/host/${id}</a> and enter your PIN to present your slides and view responses.</p>
+        <p style='font-size:1.5em'>How to direct attendees to your session</p>
+        You can share the direct link: <a href='${appURL}/${id}'>${shortenedAppURL}/${id}</a><br>
+        Or, ask them to go to <a href='${appURL}'>${shortenedAppURL}</a> and enter the session ID.
+        <br><br>`;
+
+  return body;
+};
+
+module.exports = { insertSession, emailOrganiserInsert };
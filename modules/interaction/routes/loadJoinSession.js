@@ -0,0 +1,106 @@
+/**
+ * @module loadJoinSession
+ * @memberof module:interaction
+ * @summary Module for loading the session details for attendees joining an interaction session.
+ *
+ * @description This module provides functionality for retrieving an interaction session's slides for
+ * attendees. It ensures that sensitive organiser information and quiz answers are excluded from the returned session data, and
+ * issues a guest ID which the client keeps to identify the attendee's device when submitting. Guest IDs are signed, so
+ * that submission limits and votes can only be applied to guest IDs issued by the server.
+ * It also exports the helper used by other interaction routes to select a session from the database.
+ *
+ * @requires crypto - Node.js core module used to generate guest IDs.
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ * @requires ../../utilities/tokenUtilities - Signs and verifies guest IDs.
+ *
+ * @exports loadJoinSession - Core function for this module.
+ * @exports selectSessionDetails - Helper function to retrieve session details.
+ * @exports verifyGuestId - Checks a signed guest ID and returns the ID stored with submissions.
+ */
+
+const crypto = require("crypto");
+const config = require("../../../config.json");
+const { createToken, verifyToken } = require("../../utilities/tokenUtilities");
+
+/**
+ * @async
+ * @function loadJoinSession
+ * @memberof module:loadJoinSession
+ * @summary Fetches the session details for an attendee.
+ *
+ * @description Retrieves the session from the database and sanitises the session object by removing organiser information
+ * and the correct options of quiz slides.
+ * A new signed guest ID is included, which the client should store and reuse if the attendee rejoins the session.
+ *
+ * @param {object} link - The database connection object used to execute SQL queries.
+ * @param {string} id - The unique identifier of the session to retrieve.
+ * @returns {Promise<object>} - Resolves with the session object without organiser data or quiz answers, and a guest ID.
+ * @throws {Error} - Throws an error if the session cannot be found.
+ */
+const loadJoinSession = async (link, id) => {
+  const session = await selectSessionDetails(link, id);
+
+  // Remove organiser data from the session object
+  delete session.organisers;
+
+  // Remove quiz answers so they cannot be read by attendees
+  session.slides = session.slides.map((slide) => ({
+    ...slide,
+    options: (slide.options || []).map(({ correct, ...option }) => option),
+  }));
+
+  // Issue a signed guest ID used to apply submission limits to the attendee's device
+  session.guestId = createToken(
+    "guest",
+    { id, guestId: crypto.randomBytes(16).toString("hex") },
+    config.interaction.join.guestIdExpiryHours
+  );
+
+  return session;
+};
+
+/**
+ * @function verifyGuestId
+ * @memberof module:loadJoinSession
+ * @summary Checks a signed guest ID and returns the ID stored with submissions.
+ *
+ * @param {string} signedGuestId - The signed guest ID issued by loadJoinSession.
+ * @param {string} id - The unique identifier of the session the guest ID is being used for.
+ * @returns {string|null} - The guest ID, or null if it was not issued for the session or has expired.
+ */
+const verifyGuestId = (signedGuestId, id) => {
+  const payload = verifyToken(signedGuestId, "guest");
+  return payload && payload.id === id ? payload.guestId : null;
+};
+
+/**
+ * @async
+ * @function selectSessionDetails
+ * @memberof module:loadJoinSession
+ * @summary Retrieves interaction session details from the database.
+ *
+ * @description Executes a SQL query to fetch session details by ID. Parses JSON fields for organisers,
+ * slides and locked slides to create a structured session object.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session to retrieve.
+ * @returns {Promise<object>} - Resolves with the session object.
+ * @throws {Error} - Throws an error if the session cannot be found or the query fails.
+ */
+const selectSessionDetails = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT * FROM ${config.interaction.tables.tblSessions} WHERE id = ?`,
+    [id]
+  );
+
+  if (rows.length > 0) {
+    const session = rows[0];
+    ["organisers", "slides", "lockedSlides"].forEach((field) => {
+      if (session[field]) session[field] = JSON.parse(session[field]);
+    });
+    return session;
+  }
+  throw Object.assign(new Error("Session not found"), { statusCode: 400 });
+};
+
+module.exports = { loadJoinSession, selectSessionDetails, verifyGuestId };
@@ -0,0 +1,274 @@
+/**
+ * @module questions
+ * @memberof module:interaction
+ * @summary Provides upvoting, moderation and retrieval of questions on audience Q&A slides.
+ *
+ * @description
+ * Attendees ask questions on Q&A slides using the submit route, so each question is a submission to the slide. Other
+ * attendees can upvote questions, with one vote per guest ID. Guest IDs are signed when they are issued by
+ * loadJoinSession and checked when a vote is made, so votes cannot be added using made-up guest IDs. The host can mark questions as answered, hide them from
+ * attendees, or pin them to the top of the list. Questions are returned with pinned questions first, followed by the
+ * remaining questions in order of votes, with older questions first where the votes are equal.
+ * Each session's questions have a version which changes whenever a question is asked, voted on or moderated, so that
+ * hosts polling fetchNewSubmissions only retrieve the questions again when they have changed. The versions are held in
+ * memory and prefixed with an epoch chosen when the process starts, so a version from before a restart never matches.
+ *
+ * @requires ../../../config.json - Configuration file containing database table settings.
+ * @requires entities For decoding html entities
+ * @requires crypto - Node.js core module used to choose the epoch.
+ * @requires ./stream - Tells open event streams when questions are asked, voted on or moderated.
+ *
+ * @exports isQuestionSlide - Checks whether a slide is a Q&A slide.
+ * @exports selectQuestions - Retrieves the questions asked on a slide.
+ * @exports vote - Adds or removes an attendee's vote for a question.
+ * @exports moderateQuestion - Updates the answered, hidden or pinned status of a question.
+ * @exports questionsChanged - Records that the questions on a slide have changed and tells open event streams.
+ * @exports selectQuestionsVersion - Retrieves the current version of a session's questions.
+ */
+
+const crypto = require("crypto");
+const config = require("../../../config.json");
+const { decode } = require("entities");
+const { publish } = require("./stream");
+
+const epoch = crypto.randomBytes(4).toString("hex"); // Distinguishes versions issued by this process
+
+/**
+ * @var {number} lastVersionNumber
+ * @memberof module:questions
+ * @summary The number of the latest version issued by this process, shared by all sessions.
+ */
+let lastVersionNumber = 0;
+
+/**
+ * @const {Map<string, string>} questionsVersions
+ * @memberof module:questions
+ * @summary The current version of the questions for each session whose questions have changed since the process started.
+ */
+const questionsVersions = new Map();
+
+/**
+ * @function questionsChanged
+ * @memberof module:questions
+ * @summary Records that the questions on a slide have changed and tells open event streams.
+ *
+ * @param {string} id - The unique identifier of the session.
+ * @param {number} index - The index of the Q&A slide.
+ */
+const questionsChanged = (id, index) => {
+  questionsVersions.set(id, `${epoch}-${++lastVersionNumber}`);
+  publish(id, "questions", { index });
+};
+
+/**
+ * @function selectQuestionsVersion
+ * @memberof module:questions
+ * @summary Retrieves the current version of a session's questions.
+ *
+ * @param {string} id - The unique identifier of the session.
+ * @returns {string} - The version, which is the same until a question in the session is asked, voted on or moderated.
+ */
+const selectQuestionsVersion = (id) =>
+  questionsVersions.get(id) || `${epoch}-0`;
+
+/**
+ * @function isQuestionSlide
+ * @memberof module:questions
+ * @summary Checks whether a slide is a Q&A slide.
+ *
+ * @param {object} slide - The slide to check.
+ * @returns {boolean} - True if the slide is a Q&A slide.
+ */
+const isQuestionSlide = (slide) => slide.type === "questionAndAnswer";
+
+/**
+ * @async
+ * @function selectQuestions
+ * @memberof module:questions
+ * @summary Retrieves the questions asked on a slide, sorted by votes.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session.
+ * @param {number} index - The index of the Q&A slide.
+ * @param {object} [options] - Optional settings for the query.
+ * @param {string} [options.guestId] - The attendee's guest ID, used to flag their own questions and votes.
+ * @param {boolean} [options.includeHidden=false] - If true, questions hidden by the host are included (for the host view).
+ * @returns {Promise<Array<object>>} - Resolves with the ID, text, vote count and status of each question.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const selectQuestions = async (link, id, index, options = {}) => {
+  const { guestId = null, includeHidden = false } = options;
+
+  const [rows] = await link.execute(
+    `SELECT s.submissionId, s.guestId, s.response, s.answered, s.hidden, s.pinned,
+        COUNT(v.guestId) AS votes, COALESCE(SUM(v.guestId = ?), 0) AS voted
+      FROM ${config.interaction.tables.tblSubmissions} s
+      LEFT JOIN ${
+        config.interaction.tables.tblVotes
+      } v ON v.submissionId = s.submissionId
+      WHERE s.id = ? AND s.slideIndex = ?${
+        includeHidden ? "" : " AND NOT s.hidden"
+      }
+      GROUP BY s.submissionId
+      ORDER BY s.pinned DESC, votes DESC, s.submissionId`,
+    [guestId, id, index]
+  );
+
+  return rows.map((row) => {
+    const question = {
+      submissionId: row.submissionId,
+      text: decode(JSON.parse(row.response).text),
+      votes: Number(row.votes),
+      answered: Boolean(row.answered),
+      pinned: Boolean(row.pinned),
+    };
+    if (includeHidden) question.hidden = Boolean(row.hidden);
+    if (guestId) {
+      question.voted = Number(row.voted) > 0;
+      question.isOwn = row.guestId === guestId;
+    }
+    return question;
+  });
+};
+
+/**
+ * @async
+ * @function selectQuestion
+ * @memberof module:questions
+ * @summary Retrieves a question and checks it was asked on a Q&A slide in the session.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} submissionId - The ID of the question.
+ * @returns {Promise<object>} - Resolves with the question's slide index and status.
+ * @throws {Error} - Throws a status 400 error if the question is not found in the session.
+ */
+const selectQuestion = async (link, session, submissionId) => {
+  const [rows] = await link.execute(
+    `SELECT slideIndex, hidden FROM ${config.interaction.tables.tblSubmissions} WHERE submissionId = ? AND id = ?`,
+    [submissionId, session.id]
+  );
+
+  const question = rows[0];
+  const slide = question ? session.slides[question.slideIndex] : null;
+  if (!slide || !isQuestionSlide(slide)) {
+    throw Object.assign(new Error("Question not found in session"), {
+      statusCode: 400,
+    });
+  }
+  return question;
+};
+
+/**
+ * @async
+ * @function vote
+ * @memberof module:questions
+ * @summary Adds or removes an attendee's vote for a question.
+ *
+ * @description Each guest ID can vote for a question once. Votes cannot be changed once the session has ended, the
+ * slide has been locked by the host, or the question has been hidden. If the vote changes, open event streams are
+ * sent a `questions` event so that attendees can refresh the questions on the slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides, locked slides and closed status.
+ * @param {object} data - The vote data, including the guest ID, question ID and whether to add or remove the vote.
+ * @returns {Promise<number>} - Resolves with the updated number of votes for the question.
+ * @throws {Error} - Throws an error if the vote is not permitted or the query fails.
+ */
+const vote = async (link, session, data) => {
+  if (session.closed) {
+    throw Object.assign(new Error("Session has been ended by the host"), {
+      statusCode: 403,
+    });
+  }
+
+  const question = await selectQuestion(link, session, data.submissionId);
+  if (question.hidden) {
+    throw Object.assign(new Error("Question not found in session"), {
+      statusCode: 400,
+    });
+  }
+  if ((session.lockedSlides || []).includes(question.slideIndex)) {
+    throw Object.assign(
+      new Error("Votes on this slide have been locked by the host"),
+      { statusCode: 403 }
+    );
+  }
+
+  let result;
+  if (data.vote) {
+    [result] = await link.execute(
+      `INSERT IGNORE INTO ${config.interaction.tables.tblVotes} (id, submissionId, guestId) VALUES (?, ?, ?)`,
+      [session.id, data.submissionId, data.guestId]
+    );
+  } else {
+    [result] = await link.execute(
+      `DELETE FROM ${config.interaction.tables.tblVotes} WHERE submissionId = ? AND guestId = ?`,
+      [data.submissionId, data.guestId]
+    );
+  }
+  if (result.affectedRows) questionsChanged(session.id, question.slideIndex);
+
+  const [rows] = await link.execute(
+    `SELECT COUNT(*) AS count FROM ${config.interaction.tables.tblVotes} WHERE submissionId = ?`,
+    [data.submissionId]
+  );
+  return rows[0].count;
+};
+
+/**
+ * @async
+ * @function moderateQuestion
+ * @memberof module:questions
+ * @summary Updates the answered, hidden or pinned status of a question.
+ *
+ * @description Only the statuses provided are updated. Open event streams are sent a `questions` event so that
+ * attendees can refresh the questions on the slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {object} data - The question ID and any of the answered, hidden and pinned statuses.
+ * @returns {Promise<object>} - Resolves with the updated statuses of the question.
+ * @throws {Error} - Throws an error if the question is not found or the query fails.
+ */
+const moderateQuestion = async (link, session, data) => {
+  const question = await selectQuestion(link, session, data.submissionId);
+
+  const statuses = ["answered", "hidden", "pinned"].filter(
+    (status) => data[status] !== undefined
+  );
+  if (!statuses.length) {
+    throw Object.assign(
+      new Error("At least one of answered, hidden or pinned must be provided"),
+      { statusCode: 400 }
+    );
+  }
+
+  await link.execute(
+    `UPDATE ${config.interaction.tables.tblSubmissions}
+      SET ${statuses.map((status) => `${status} = ?`).join(", ")}
+      WHERE submissionId = ?`,
+    [...statuses.map((status) => data[status]), data.submissionId]
+  );
+
+  questionsChanged(session.id, question.slideIndex);
+
+  const [rows] = await link.execute(
+    `SELECT answered, hidden, pinned FROM ${config.interaction.tables.tblSubmissions} WHERE submissionId = ?`,
+    [data.submissionId]
+  );
+  return {
+    answered: Boolean(rows[0].answered),
+    hidden: Boolean(rows[0].hidden),
+    pinned: Boolean(rows[0].pinned),
+  };
+};
+
+module.exports = {
+  isQuestionSlide,
+  selectQuestions,
+  vote,
+  moderateQuestion,
+  questionsChanged,
+  selectQuestionsVersion,
+};
@@ -0,0 +1,221 @@
+/**
+ * @module quiz
+ * @memberof module:interaction
+ * @summary Marks quiz responses and provides nicknames, scores and the leaderboard for interaction sessions.
+ *
+ * @description
+ * Choice slides become quiz questions when the organiser marks one or more options as correct. A single choice
+ * response is correct if the selected option is marked correct, and a multiple choice response is correct if exactly
+ * the correct options are selected. Correct responses are awarded the points set for the slide, plus a speed bonus
+ * (if enabled) of up to the same number of points again, reducing to zero over the number of seconds set by
+ * `interaction.create.slides.quiz.speedBonusSeconds` in the config file after the host moved to the slide.
+ * Responses are marked when they are submitted so that the leaderboard can be calculated by the database.
+ * Attendees can choose a nickname, which is shown on the leaderboard instead of their guest ID.
+ *
+ * @requires ../../../config.json - Configuration file containing quiz settings and database table settings.
+ * @requires entities For decoding html entities
+ *
+ * @exports isQuizSlide - Checks whether a slide is a quiz question.
+ * @exports markResponse - Marks a response to a slide and calculates the points awarded.
+ * @exports setNickname - Sets an attendee's nickname.
+ * @exports selectLeaderboard - Retrieves the leaderboard for a session.
+ * @exports fetchMyScore - Retrieves an attendee's score and rank.
+ */
+
+const config = require("../../../config.json");
+const { decode } = require("entities");
+
+/**
+ * @function isQuizSlide
+ * @memberof module:quiz
+ * @summary Checks whether a slide is a quiz question.
+ *
+ * @param {object} slide - The slide to check.
+ * @returns {boolean} - True if any of the slide's options are marked correct.
+ */
+const isQuizSlide = (slide) => {
+  return (slide.options || []).some((option) => option.correct);
+};
+
+/**
+ * @function markResponse
+ * @memberof module:quiz
+ * @summary Marks a response to a slide and calculates the points awarded.
+ *
+ * @description The speed bonus is only awarded for responses to the host's current slide, as the time the host moved
+ * to the slide is only known for the current slide.
+ *
+ * @param {object} session - The session details, including the current slide index and the time it was set.
+ * @param {number} index - The index of the slide the response was submitted to.
+ * @param {object} response - The attendee's response, already checked against the slide settings.
+ * @param {Date} [submittedAt=new Date()] - The time the response was submitted.
+ * @returns {object} - Whether the response is correct (null if the slide is not a quiz question) and the points awarded.
+ */
+const markResponse = (session, index, response, submittedAt = new Date()) => {
+  const slide = session.slides[index];
+  if (!isQuizSlide(slide)) return { isCorrect: null, points: 0 };
+
+  const correctIndexes = slide.options
+    .map((option, optionIndex) => (option.correct ? optionIndex : null))
+    .filter((optionIndex) => optionIndex !== null);
+
+  const isCorrect =
+    slide.type === "singleChoice"
+      ? correctIndexes.includes(response.selected[0])
+      : response.selected.length === correctIndexes.length &&
+        response.selected.every((optionIndex) =>
+          correctIndexes.includes(optionIndex)
+        );
+  if (!isCorrect) return { isCorrect, points: 0 };
+
+  const { points = 0, speedBonus = false } = slide.settings;
+  let bonus = 0;
+  if (
+    speedBonus &&
+    session.currentIndex === index &&
+    session.currentIndexSetAt
+  ) {
+    const { speedBonusSeconds } = config.interaction.create.slides.quiz;
+    const elapsedSeconds =
+      (submittedAt - new Date(session.currentIndexSetAt)) / 1000;
+    bonus = Math.round(
+      points * Math.max(0, 1 - Math.max(0, elapsedSeconds) / speedBonusSeconds)
+    );
+  }
+
+  return { isCorrect, points: points + bonus };
+};
+
+/**
+ * @async
+ * @function setNickname
+ * @memberof module:quiz
+ * @summary Sets an attendee's nickname.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session.
+ * @param {string} guestId - The identifier of the attendee's device.
+ * @param {string} nickname - The nickname to set.
+ * @returns {Promise<string>} - Resolves with the nickname.
+ * @throws {Error} - Throws a status 400 error if another attendee in the session already has the nickname.
+ */
+const setNickname = async (link, id, guestId, nickname) => {
+  const [rows] = await link.execute(
+    `SELECT guestId FROM ${config.interaction.tables.tblGuests} WHERE id = ? AND nickname = ? AND guestId != ?`,
+    [id, nickname, guestId]
+  );
+  if (rows.length) {
+    throw Object.assign(
+      new Error("This nickname is already being used in this session"),
+      { statusCode: 400 }
+    );
+  }
+
+  await link.execute(
+    `INSERT INTO ${config.interaction.tables.tblGuests} (id, guestId, nickname) VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE nickname = VALUES(nickname)`,
+    [id, guestId, nickname]
+  );
+
+  return nickname;
+};
+
+/**
+ * @async
+ * @function selectScores
+ * @memberof module:quiz
+ * @summary Retrieves the total score of each attendee who has responded to a quiz question, highest first.
+ *
+ * @description Attendees with the same score and number of correct responses share the same rank.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<Array<object>>} - Resolves with the guest ID, nickname, score, correct count and rank of each attendee.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const selectScores = async (link, id) => {
+  const [rows] = await link.execute(
+    `SELECT s.guestId, g.nickname, SUM(s.points) AS score, SUM(s.isCorrect) AS correctCount
+      FROM ${config.interaction.tables.tblSubmissions} s
+      LEFT JOIN ${config.interaction.tables.tblGuests} g ON g.id = s.id AND g.guestId = s.guestId
+      WHERE s.id = ? AND s.isCorrect IS NOT NULL
+      GROUP BY s.guestId, g.nickname
+      ORDER BY score DESC, correctCount DESC`,
+    [id]
+  );
+
+  let rank = 0;
+  return rows.map((row, i) => {
+    const score = Number(row.score);
+    const correctCount = Number(row.correctCount);
+    const previous = rows[i - 1];
+    if (
+      !previous ||
+      Number(previous.score) !== score ||
+      Number(previous.correctCount) !== correctCount
+    ) {
+      rank = i + 1;
+    }
+    return {
+      guestId: row.guestId,
+      nickname: row.nickname ? decode(row.nickname) : null,
+      score,
+      correctCount,
+      rank,
+    };
+  });
+};
+
+/**
+ * @async
+ * @function selectLeaderboard
+ * @memberof module:quiz
+ * @summary Retrieves the leaderboard for a session.
+ *
+ * @description Returns the attendees ranked within the leaderboard length set by `interaction.host.leaderboardLength`
+ * in the config file. Guest IDs are not included so that the leaderboard can be shown to attendees.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session.
+ * @returns {Promise<Array<object>>} - Resolves with the nickname, score, correct count and rank of the leading attendees.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const selectLeaderboard = async (link, id) => {
+  const scores = await selectScores(link, id);
+  return scores
+    .filter((score) => score.rank <= config.interaction.host.leaderboardLength)
+    .map(({ guestId, ...rest }) => rest);
+};
+
+/**
+ * @async
+ * @function fetchMyScore
+ * @memberof module:quiz
+ * @summary Retrieves an attendee's score and rank.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} id - The unique identifier of the session.
+ * @param {string} guestId - The identifier of the attendee's device.
+ * @returns {Promise<object>} - Resolves with the attendee's score, correct count, rank (null if they have not
+ * responded to a quiz question) and the number of ranked attendees.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const fetchMyScore = async (link, id, guestId) => {
+  const scores = await selectScores(link, id);
+  const myScore = scores.find((score) => score.guestId === guestId);
+
+  return {
+    score: myScore ? myScore.score : 0,
+    correctCount: myScore ? myScore.correctCount : 0,
+    rank: myScore ? myScore.rank : null,
+    rankedCount: scores.length,
+  };
+};
+
+module.exports = {
+  isQuizSlide,
+  markResponse,
+  setNickname,
+  selectLeaderboard,
+  fetchMyScore,
+};
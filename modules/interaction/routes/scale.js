@@ -0,0 +1,33 @@
+/**
+ * @module scale
+ * @memberof module:interaction
+ * @summary Provides the points of rating scale slides.
+ *
+ * @description
+ * A rating scale slide lets attendees choose a value between the minimum and maximum of the scale, in increments of
+ * the step. The scale settings were checked when the session was created, so that the maximum is reached from the
+ * minimum in a whole number of steps. Results are returned as a distribution of the number of attendees choosing each
+ * value, from which the mean and median are calculated. As the host adds new results to those already received, the
+ * mean and median should be recalculated from the combined distribution.
+ *
+ * @exports scalePoints - Lists the values that can be chosen on a rating scale.
+ */
+
+/**
+ * @function scalePoints
+ * @memberof module:scale
+ * @summary Lists the values that can be chosen on a rating scale.
+ *
+ * @description Values are rounded to remove floating point errors when the step is not a whole number.
+ *
+ * @param {object} scale - The scale settings, including the minimum, maximum and step.
+ * @returns {Array<number>} - The values from the minimum to the maximum in increments of the step.
+ */
+const scalePoints = (scale) => {
+  const count = Math.round((scale.max - scale.min) / scale.step) + 1;
+  return Array.from({ length: count }, (_, i) =>
+    Number((scale.min + i * scale.step).toFixed(10))
+  );
+};
+
+module.exports = { scalePoints };
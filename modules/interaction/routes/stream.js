@@ -0,0 +1,185 @@
+/**
+ * @module stream
+ * @memberof module:interaction
+ * @summary Pushes live updates for interaction sessions to attendees and hosts using Server-Sent Events.
+ *
+ * @description
+ * This module provides an alternative to the attendee and host polling routes. Each session has an in-process channel
+ * which fans out events to every open stream for that session: `state` events (current slide index, locked and closed
+ * status), `settings` events (changes to a slide's settings by the host) and `questions` events (questions asked,
+ * voted on or moderated on a Q&A slide) are sent to everyone, and `submissions` events (aggregated in the same format as fetchNewSubmissions) are
+ * sent to hosts only. A short buffer of recent events is kept for each session so that a client reconnecting with a
+ * `Last-Event-ID` header receives the events it missed. If the missed events are no longer available (for example
+ * after the API restarts), a `sync` event tells the client to refresh using the polling routes instead.
+ * Event IDs are prefixed with an epoch which is chosen when the process starts, so that an event ID from before a
+ * restart is never mistaken for one issued since.
+ * The channels are held in memory, so the polling routes remain the fallback if the API runs as multiple processes.
+ *
+ * @requires crypto - Node.js core module used to choose the epoch.
+ *
+ * @exports openStream - Opens an event stream for an attendee or host.
+ * @exports publish - Sends an event to the open streams for a session.
+ */
+
+const crypto = require("crypto");
+
+const heartbeatInterval = 15000; // Keeps the connection open through proxies which close idle connections
+const retryInterval = 3000; // Tells the client how long to wait before reconnecting
+const bufferLength = 100; // Number of recent events kept for each session for replay on reconnection
+const channelTimeout = 10 * 60 * 1000; // Time a channel with no open streams is kept before its buffer is discarded
+const epoch = crypto.randomBytes(4).toString("hex"); // Distinguishes event IDs issued by this process
+
+/**
+ * @var {number} lastEventNumber
+ * @memberof module:stream
+ * @summary The number of the latest event published by this process, shared by all channels so that event IDs are
+ * not reused when a channel is discarded and created again.
+ */
+let lastEventNumber = 0;
+
+/**
+ * @const {Map<string, object>} channels
+ * @memberof module:stream
+ * @summary The channel for each session, holding its open streams and recent events.
+ */
+const channels = new Map();
+
+/**
+ * @function getChannel
+ * @memberof module:stream
+ * @summary Gets the channel for a session, creating it if it doesn't exist.
+ *
+ * @param {string} id - The unique identifier of the session.
+ * @returns {object} - The channel, including the set of clients, the buffered events and the latest event ID.
+ */
+const getChannel = (id) => {
+  if (!channels.has(id)) {
+    channels.set(id, {
+      clients: new Set(),
+      events: [],
+      lastEventId: null,
+      lastActive: Date.now(),
+    });
+  }
+  return channels.get(id);
+};
+
+/**
+ * @function writeEvent
+ * @memberof module:stream
+ * @summary Writes an event to a stream in Server-Sent Events format.
+ *
+ * @param {object} res - The Express response object of the stream.
+ * @param {object} event - The event, including its name and data, and optionally its ID.
+ */
+const writeEvent = (res, event) => {
+  if (event.id !== undefined) res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.name}\n`);
+  res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+};
+
+/**
+ * @function openStream
+ * @memberof module:stream
+ * @summary Opens an event stream for an attendee or host.
+ *
+ * @description Sets the Server-Sent Events headers and registers the client with the session channel. If the client
+ * is reconnecting, any buffered events after its last event ID are replayed, or a `sync` event is sent if they are no
+ * longer available or the event ID is from a previous epoch. The current host state is then sent so the client starts
+ * up to date. A heartbeat comment is written periodically, and the client is removed from the channel when the
+ * connection closes.
+ *
+ * @param {object} req - The Express request object, used for the `Last-Event-ID` header and to detect disconnection.
+ * @param {object} res - The Express response object to stream events to.
+ * @param {string} id - The unique identifier of the session.
+ * @param {boolean} isHost - True if the client has provided a valid organiser PIN.
+ * @param {object} state - The current host state, as returned by fetchCurrentIndex.
+ */
+const openStream = (req, res, id, isHost, state) => {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // Prevent proxy buffering of the stream
+  res.flushHeaders();
+  res.write(`retry: ${retryInterval}\n\n`);
+
+  const channel = getChannel(id);
+  const client = { res, isHost };
+
+  // Replay missed events if the client is reconnecting
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId && lastEventId !== channel.lastEventId) {
+    const isCurrentEpoch = lastEventId.startsWith(`${epoch}-`);
+    const missedIndex = isCurrentEpoch
+      ? channel.events.findIndex((event) => event.id === lastEventId)
+      : -1;
+    if (missedIndex === -1) {
+      writeEvent(res, { name: "sync", data: {} });
+    } else {
+      for (const event of channel.events.slice(missedIndex + 1)) {
+        if (!event.hostOnly || isHost) writeEvent(res, event);
+      }
+    }
+  }
+
+  // Send the current host state
+  writeEvent(res, { name: "state", data: state });
+
+  channel.clients.add(client);
+  channel.lastActive = Date.now();
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    heartbeatInterval
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(client);
+    channel.lastActive = Date.now();
+  });
+};
+
+/**
+ * @function publish
+ * @memberof module:stream
+ * @summary Sends an event to the open streams for a session.
+ *
+ * @description The event is given the next event ID for the process and added to the buffer for replay on
+ * reconnection. Sessions with no open streams still buffer events, so that a client which is briefly disconnected
+ * does not miss them.
+ *
+ * @param {string} id - The unique identifier of the session.
+ * @param {string} name - The event name (e.g. `state` or `submissions`).
+ * @param {object} data - The event data.
+ * @param {boolean} [hostOnly=false] - If true, the event is only sent to hosts.
+ */
+const publish = (id, name, data, hostOnly = false) => {
+  const channel = getChannel(id);
+  const event = { id: `${epoch}-${++lastEventNumber}`, name, data, hostOnly };
+  channel.lastEventId = event.id;
+
+  channel.events.push(event);
+  if (channel.events.length > bufferLength) channel.events.shift();
+
+  for (const client of channel.clients) {
+    if (!hostOnly || client.isHost) writeEvent(client.res, event);
+  }
+};
+
+/**
+ * @function removeInactiveChannels
+ * @memberof module:stream
+ * @summary Discards the channels of sessions which have had no open streams for longer than the channel timeout.
+ */
+const removeInactiveChannels = () => {
+  const now = Date.now();
+  for (const [id, channel] of channels) {
+    if (!channel.clients.size && now - channel.lastActive > channelTimeout) {
+      channels.delete(id);
+    }
+  }
+};
+setInterval(removeInactiveChannels, channelTimeout).unref(); // Don't keep the process alive just for this timer
+
+module.exports = { openStream, publish };
@@ -0,0 +1,289 @@
+/**
+ * @module submit
+ * @memberof module:interaction
+ * @summary Handles the insertion of attendee submissions to interactive slides.
+ *
+ * @description
+ * Provides functionality for checking an attendee's response against the settings of the slide it was submitted to,
+ * and inserting it into the submissions table. The slide settings (submission limit, selected limit and character limit)
+ * were set from the config file when the session was created, so are enforced here rather than relying on the client.
+ * The submission limit is checked by the same query that inserts the submission, so that simultaneous requests from
+ * the same guest cannot both pass the limit.
+ * Responses to quiz slides are marked and awarded points when submitted.
+ * Accepted submissions are published to hosts with open event streams, aggregated in the same format as fetchNewSubmissions.
+ * The quiz leaderboard is not included, as calculating it for every answer would be slow in large sessions, so hosts
+ * get it from fetchNewSubmissions instead. Questions asked on Q&A slides are also announced to everyone with an open
+ * event stream, so that attendees can refresh the questions on the slide.
+ *
+ * @requires ../../../config.json - Configuration settings for the application.
+ * @requires ./loadJoinSession - Provides the helper for selecting the session from the database.
+ * @requires ./fetchNewSubmissions - Provides the helper for aggregating submissions.
+ * @requires ./quiz - Marks responses to quiz slides.
+ * @requires ./questions - Records that the questions on Q&A slides have changed.
+ * @requires ./scale - Lists the values that can be chosen on rating scale slides.
+ * @requires ./stream - Publishes new submissions to open event streams.
+ * @requires entities For decoding html entities
+ *
+ * @exports submit - Core function for the module.
+ */
+
+const config = require("../../../config.json");
+const { selectSessionDetails } = require("./loadJoinSession");
+const { aggregateSubmissions } = require("./fetchNewSubmissions");
+const quiz = require("./quiz");
+const { isQuestionSlide, questionsChanged } = require("./questions");
+const { scalePoints } = require("./scale");
+const { publish } = require("./stream");
+const { decode } = require("entities");
+
+/**
+ * @async
+ * @function submit
+ * @memberof module:submit
+ * @summary Checks a submission against the slide settings and inserts it into the database.
+ *
+ * @param {object} link - Database connection for database queries.
+ * @param {object} data - The submission data, including session ID, guest ID, slide index and response.
+ * @returns {Promise<object>} - Resolves with the number of further submissions the guest can make to the slide.
+ * @throws {Error} - Throws an error if the submission is not permitted or the database operations fail.
+ */
+const submit = async (link, data) => {
+  const session = await selectSessionDetails(link, data.id);
+
+  // Check that the session isn't closed
+  if (session.closed) {
+    throw Object.assign(new Error("Session has been ended by the host"), {
+      statusCode: 403,
+    });
+  }
+
+  const slide = session.slides[data.index];
+  if (!slide) {
+    throw Object.assign(new Error("Slide index not found in session"), {
+      statusCode: 400,
+    });
+  }
+
+  // Check the slide accepts submissions
+  if (!config.interaction.create.slides.types[slide.type].isInteractive) {
+    throw Object.assign(
+      new Error("Submissions cannot be made to non-interactive slides"),
+      { statusCode: 400 }
+    );
+  }
+  if ((session.lockedSlides || []).includes(data.index)) {
+    throw Object.assign(
+      new Error("Submissions to this slide have been locked by the host"),
+      { statusCode: 403 }
+    );
+  }
+
+  // Check the response matches the slide type and settings, keeping only the fields used by the slide type
+  data.response = checkResponse(slide, data.response);
+
+  // Mark the response if the slide is a quiz question
+  const { isCorrect, points } = quiz.markResponse(
+    session,
+    data.index,
+    data.response
+  );
+
+  // Insert the submission unless the guest has reached the submission limit for the slide
+  const submissionId = await insertSubmissionIntoDatabase(
+    link,
+    { ...data, isCorrect, points },
+    slide.settings.submissionLimit
+  );
+  if (!submissionId) {
+    throw Object.assign(
+      new Error(
+        `The submission limit (${slide.settings.submissionLimit}) for this slide has been reached`
+      ),
+      { statusCode: 403 }
+    );
+  }
+
+  // Publish the submission to hosts, using its ID as the cursor so that hosts can fall back to polling
+  const results = {
+    cursor: submissionId,
+    submissionCount: 1,
+    slides: aggregateSubmissions(session.slides, [
+      { slideIndex: data.index, response: data.response },
+    ]),
+  };
+  publish(session.id, "submissions", results, true);
+  if (isQuestionSlide(slide)) questionsChanged(session.id, data.index);
+
+  // Count the guest's submissions to the slide, including this one
+  const submissionCount = await countGuestSubmissions(
+    link,
+    data.id,
+    data.index,
+    data.guestId
+  );
+
+  return {
+    submissionsRemaining: Math.max(
+      0,
+      slide.settings.submissionLimit - submissionCount
+    ),
+  };
+};
+
+/**
+ * @function checkResponse
+ * @memberof module:submit
+ * @summary Checks a response is valid for the slide it was submitted to.
+ *
+ * @description Choice slides require an array of selected option indexes within the selected limit. Text slides
+ * require text within the character limit, measured after decoding html entities so that escaping does not count
+ * against the attendee. Rating scale slides require one of the values on the scale, and ranking slides require every
+ * option index in the attendee's order of preference. Only the checked field is returned, so that any other fields
+ * sent by the client are not stored with the submission.
+ *
+ * @param {object} slide - The slide the response was submitted to.
+ * @param {object} response - The attendee's response.
+ * @returns {object} - The response, containing only the field used by the slide type.
+ * @throws {Error} - Throws a status 400 error describing why the response is invalid.
+ */
+const checkResponse = (slide, response) => {
+  const invalid = (message) =>
+    Object.assign(new Error(message), { statusCode: 400 });
+
+  if (slide.type === "singleChoice" || slide.type === "multipleChoice") {
+    const selected = response.selected;
+    if (!Array.isArray(selected)) {
+      throw invalid("Selected options must be provided for this slide type");
+    }
+    if (new Set(selected).size !== selected.length) {
+      throw invalid("The same option cannot be selected more than once");
+    }
+    if (
+      selected.some(
+        (index) =>
+          !Number.isInteger(index) || index < 0 || index >= slide.options.length
+      )
+    ) {
+      throw invalid("Selected option not found on this slide");
+    }
+
+    const { min, max } =
+      slide.type === "singleChoice"
+        ? { min: 1, max: 1 }
+        : slide.settings.selectedLimit;
+    if (selected.length < min || selected.length > max) {
+      throw invalid(
+        min === max
+          ? `Exactly ${min} option${min === 1 ? "" : "s"} must be selected`
+          : `Between ${min} and ${max} options must be selected`
+      );
+    }
+    return { selected };
+  }
+
+  if (slide.type === "scale") {
+    if (!scalePoints(slide.settings.scale).includes(response.value)) {
+      throw invalid("Value must be one of the points on the scale");
+    }
+    return { value: response.value };
+  }
+
+  if (slide.type === "ranking") {
+    const order = response.order;
+    if (!Array.isArray(order)) {
+      throw invalid(
+        "The order of the options must be provided for this slide type"
+      );
+    }
+    if (
+      order.length !== slide.options.length ||
+      new Set(order).size !== order.length ||
+      order.some(
+        (index) =>
+          !Number.isInteger(index) || index < 0 || index >= slide.options.length
+      )
+    ) {
+      throw invalid("Every option on this slide must be ranked exactly once");
+    }
+    return { order };
+  }
+
+  if (["freeText", "wordCloud", "questionAndAnswer"].includes(slide.type)) {
+    if (typeof response.text !== "string") {
+      throw invalid("Text must be provided for this slide type");
+    }
+    const length = decode(response.text).trim().length;
+    const { min, max } = slide.settings.characterLimit;
+    if (length < min || length > max) {
+      throw invalid(`Response must be between ${min} and ${max} characters`);
+    }
+    return { text: response.text };
+  }
+
+  throw invalid("Submissions are not supported for this slide type");
+};
+
+/**
+ * @async
+ * @function countGuestSubmissions
+ * @memberof module:submit
+ * @summary Counts the submissions a guest has already made to a slide.
+ *
+ * @param {object} link - The database connection object for executing queries.
+ * @param {string} id - The unique identifier for the session.
+ * @param {number} index - The index of the slide.
+ * @param {string} guestId - The identifier of the attendee's device.
+ * @returns {Promise<number>} - Resolves with the number of previous submissions.
+ * @throws {Error} - Throws an error if the query execution fails.
+ */
+const countGuestSubmissions = async (link, id, index, guestId) => {
+  const [rows] = await link.execute(
+    `SELECT COUNT(*) AS count FROM ${config.interaction.tables.tblSubmissions} WHERE id = ? AND slideIndex = ? AND guestId = ?`,
+    [id, index, guestId]
+  );
+  return rows[0].count;
+};
+
+/**
+ * @async
+ * @function insertSubmissionIntoDatabase
+ * @memberof module:submit
+ * @summary Inserts a submission into the database, unless the guest has reached the submission limit for the slide.
+ *
+ * @description The guest's previous submissions are counted in the same statement as the insert, so that the limit
+ * cannot be exceeded by simultaneous requests.
+ *
+ * @param {object} link - The database connection object for executing queries.
+ * @param {object} data - The submission data to be inserted, including the quiz marking.
+ * @param {number} submissionLimit - The number of submissions each guest can make to the slide.
+ * @returns {Promise<number|null>} - Resolves with the ID of the inserted submission, or null if the limit was reached.
+ * @throws {Error} - Throws an error if the database connection or query execution fails.
+ */
+const insertSubmissionIntoDatabase = async (link, data, submissionLimit) => {
+  if (!link) {
+    throw new Error("Database connection failed.");
+  }
+
+  const tableName = config.interaction.tables.tblSubmissions;
+  const query = `INSERT INTO ${tableName}
+      (id, slideIndex, guestId, response, isCorrect, points)
+      SELECT ?, ?, ?, ?, ?, ? FROM DUAL
+      WHERE (SELECT COUNT(*) FROM ${tableName} WHERE id = ? AND slideIndex = ? AND guestId = ?) < ?`;
+
+  const [result] = await link.execute(query, [
+    data.id,
+    data.index,
+    data.guestId,
+    data.response,
+    data.isCorrect,
+    data.points,
+    data.id,
+    data.index,
+    data.guestId,
+    submissionLimit,
+  ]);
+
+  return result.affectedRows ? result.insertId : null;
+};
+
+module.exports = { submit };
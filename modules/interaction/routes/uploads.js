@@ -0,0 +1,506 @@
+/**
+ * @module uploads
+ * @memberof module:interaction
+ * @summary Handles the upload, storage and deletion of images and videos used in interaction slides.
+ *
+ * @description
+ * Files are uploaded by an organiser once a session has been created, and each file is added to a slide of the session
+ * as it is stored. Each file is checked to be a supported format by its magic bytes (the client's file name and MIME
+ * type are not trusted) and stored on local disk under the SHA-256 hash of its content. This means a file used by
+ * several sessions is only stored once, and the files can be cached indefinitely as their content never changes.
+ * Videos are stored alongside images and served from the same URL. Images are small enough to be received in memory,
+ * but videos are written to a temporary file and hashed as they are received, then moved into place once they have
+ * been checked, so that large uploads do not use up the server's memory.
+ * Slides refer to files by file name, and the number of images and videos per session is checked both when a file is
+ * uploaded and when a session is inserted. When a session is deleted, or a slide's file is replaced, any file no
+ * longer used by a session is deleted from disk. Files which are not used by any session, for example because the
+ * upload failed part way through, are deleted by the scheduler once they reach a set age.
+ *
+ * @requires fs - Node.js core module for storing and deleting files.
+ * @requires path - Node.js core module for building file paths.
+ * @requires crypto - Node.js core module used to hash file content.
+ * @requires multer - Middleware for handling multipart form uploads.
+ * @requires ../../../config.json - Configuration file containing upload limits and database table settings.
+ *
+ * @exports uploadsDir - The directory uploaded files are stored in.
+ * @exports uploadImage - Stores an uploaded image and adds it to a slide.
+ * @exports uploadVideo - Stores an uploaded video and adds it to a slide.
+ * @exports imageExists - Checks whether an image has been uploaded.
+ * @exports videoExists - Checks whether a video has been uploaded.
+ * @exports deleteOrphanedUploads - Deletes files that are no longer used by any session.
+ * @exports deleteUnusedUploads - Deletes files that have not been used by any session for a set age.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const config = require("../../../config.json");
+
+const uploadsDir = path.join(__dirname, "../../../uploads/img");
+const tempDir = path.join(__dirname, "../../../uploads/tmp"); // On the same disk as uploadsDir so files can be renamed
+const headerLength = 16; // Number of bytes kept from the start of a file streamed to disk, for detecting its format
+const imageFilenamePattern = /^[a-f0-9]{64}\.(png|jpg|gif|webp)$/;
+const videoFilenamePattern = /^[a-f0-9]{64}\.mp4$/;
+
+/**
+ * @const {Array<object>} imageSignatures
+ * @memberof module:uploads
+ * @summary The magic bytes of each supported image format and the file extension used to store it.
+ *
+ * @description SVG is deliberately not supported as it can contain scripts.
+ */
+const imageSignatures = [
+  {
+    extension: "png",
+    bytes: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  },
+  { extension: "jpg", bytes: [[0, [0xff, 0xd8, 0xff]]] },
+  { extension: "gif", bytes: [[0, [0x47, 0x49, 0x46, 0x38]]] }, // GIF8, followed by 7a or 9a
+  {
+    extension: "webp",
+    bytes: [
+      [0, [0x52, 0x49, 0x46, 0x46]], // RIFF
+      [8, [0x57, 0x45, 0x42, 0x50]], // WEBP
+    ],
+  },
+];
+
+/**
+ * @const {Array<object>} videoSignatures
+ * @memberof module:uploads
+ * @summary The magic bytes of each supported video format and the file extension used to store it.
+ */
+const videoSignatures = [
+  { extension: "mp4", bytes: [[4, [0x66, 0x74, 0x79, 0x70]]] }, // ftyp box, preceded by the box size
+];
+
+/**
+ * @async
+ * @function uploadImage
+ * @memberof module:uploads
+ * @summary Receives an uploaded image from the `image` field, checks it, stores it on disk and adds it to a slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} index - The index of the slide to add the image to.
+ * @param {object} req - The Express request object containing the multipart form data.
+ * @param {object} res - The Express response object, required by the multer middleware.
+ * @returns {Promise<object>} - Resolves with the file name of the stored image and the URL it is served from.
+ * @throws {Error} - Throws a status 400 or 413 error if the slide index is invalid, the session has the maximum number
+ * of images, or the upload is missing, too large or not a supported image.
+ */
+const uploadImage = (link, session, index, req, res) =>
+  uploadToSlide(link, session, index, req, res, {
+    field: "image",
+    signatures: imageSignatures,
+    maxFilesize: config.interaction.create.slides.images.maxFilesize,
+    maxPerSession: config.interaction.create.slides.images.max,
+    storage: multer.memoryStorage(),
+    toSlideValue: (filename) => filename,
+    label: "Image",
+    formats: "a PNG, JPEG, GIF or WebP file",
+  });
+
+/**
+ * @async
+ * @function uploadVideo
+ * @memberof module:uploads
+ * @summary Receives an uploaded video from the `video` field, checks it, stores it on disk and adds it to a slide.
+ *
+ * @description Videos can only be added to static slides.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} index - The index of the slide to add the video to.
+ * @param {object} req - The Express request object containing the multipart form data.
+ * @param {object} res - The Express response object, required by the multer middleware.
+ * @returns {Promise<object>} - Resolves with the file name of the stored video and the URL it is served from.
+ * @throws {Error} - Throws a status 400 or 413 error if the slide index is invalid or not a static slide, the session
+ * has the maximum number of videos, or the upload is missing, too large or not a supported video.
+ */
+const uploadVideo = (link, session, index, req, res) =>
+  uploadToSlide(link, session, index, req, res, {
+    field: "video",
+    signatures: videoSignatures,
+    maxFilesize: config.interaction.create.slides.videos.maxFilesize,
+    maxPerSession: config.interaction.create.slides.videos.max,
+    staticOnly: true,
+    storage: hashingDiskStorage,
+    toSlideValue: (filename) => ({ provider: "upload", id: filename }),
+    label: "Video",
+    formats: "an MP4 file",
+  });
+
+/**
+ * @async
+ * @function uploadToSlide
+ * @memberof module:uploads
+ * @summary Checks a slide can have a file added, then receives and stores the file and adds it to the slide.
+ *
+ * @description The slide is checked before the file is received, so that a file is not stored for a slide it can't
+ * be added to. If the slide already had a file, the file is replaced and deleted if no other session uses it.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {object} session - The session details, including the slides.
+ * @param {number} index - The index of the slide to add the file to.
+ * @param {object} req - The Express request object containing the multipart form data.
+ * @param {object} res - The Express response object, required by the multer middleware.
+ * @param {object} options - The options for `storeUpload`, along with the slide field to set, a function converting
+ * the file name to the value stored in the slide, the maximum number of files per session, and whether the file can
+ * only be added to static slides.
+ * @returns {Promise<object>} - Resolves with the file name of the stored file and the URL it is served from.
+ * @throws {Error} - Throws a status 400 or 413 error if the slide can't have the file added, or the upload is missing,
+ * too large or not a supported format.
+ */
+const uploadToSlide = async (link, session, index, req, res, options) => {
+  const slide = session.slides[index];
+  if (!slide) {
+    throw Object.assign(new Error("Slide index not found in session"), {
+      statusCode: 400,
+    });
+  }
+  if (
+    options.staticOnly &&
+    config.interaction.create.slides.types[slide.type].isInteractive
+  ) {
+    throw Object.assign(
+      new Error(
+        `${options.label}s can only be added to non-interactive slides`
+      ),
+      { statusCode: 400 }
+    );
+  }
+  const otherCount = session.slides.filter(
+    (otherSlide, otherIndex) =>
+      otherIndex !== index && otherSlide[options.field]
+  ).length;
+  if (otherCount >= options.maxPerSession) {
+    throw Object.assign(
+      new Error(
+        `Sessions cannot have more than ${
+          options.maxPerSession
+        } ${options.label.toLowerCase()}${
+          options.maxPerSession === 1 ? "" : "s"
+        }.`
+      ),
+      { statusCode: 400 }
+    );
+  }
+
+  const upload = await storeUpload(req, res, options);
+
+  // Add the file to the slide, then delete the file it replaced if it is no longer used
+  const replacedSlide = { ...slide };
+  slide[options.field] = options.toSlideValue(upload.filename);
+  await link.execute(
+    `UPDATE ${config.interaction.tables.tblSessions} SET slides = ? WHERE id = ?`,
+    [session.slides, session.id]
+  );
+  await deleteOrphanedUploads(link, [replacedSlide]);
+
+  return upload;
+};
+
+/**
+ * @async
+ * @function storeUpload
+ * @memberof module:uploads
+ * @summary Receives a single uploaded file, checks its format and size and stores it on disk.
+ *
+ * @param {object} req - The Express request object containing the multipart form data.
+ * @param {object} res - The Express response object, required by the multer middleware.
+ * @param {object} options - The form field name, permitted signatures, maximum file size, multer storage engine, and
+ * the label and description of permitted formats used in error messages.
+ * @returns {Promise<object>} - Resolves with the file name of the stored file and the URL it is served from.
+ * @throws {Error} - Throws a status 400 or 413 error if the upload is missing, too large or not a supported format.
+ */
+const storeUpload = async (req, res, options) => {
+  const receiveFile = multer({
+    storage: options.storage,
+    limits: { fileSize: options.maxFilesize, files: 1 },
+  }).single(options.field);
+
+  // Receive the file, converting multer errors to the error format used by the routes
+  await new Promise((resolve, reject) => {
+    receiveFile(req, res, (error) => {
+      if (!error) return resolve();
+      if (error.code === "LIMIT_FILE_SIZE") {
+        const maxMegabytes = options.maxFilesize / 1000000;
+        return reject(
+          Object.assign(
+            new Error(
+              `${options.label} file size cannot be more than ${maxMegabytes}MB`
+            ),
+            { statusCode: 413 }
+          )
+        );
+      }
+      if (error instanceof multer.MulterError) {
+        return reject(Object.assign(error, { statusCode: 400 }));
+      }
+      reject(error);
+    });
+  });
+
+  if (!req.file) {
+    throw Object.assign(new Error(`${options.label} file must be provided`), {
+      statusCode: 400,
+    });
+  }
+
+  try {
+    // Check the file is a supported format by its content
+    const extension = detectFileType(
+      req.file.buffer || req.file.header,
+      options.signatures
+    );
+    if (!extension) {
+      throw Object.assign(
+        new Error(`${options.label} must be ${options.formats}`),
+        { statusCode: 400 }
+      );
+    }
+
+    // Store the file under a name derived from its content
+    const hash =
+      req.file.hash ||
+      crypto.createHash("sha256").update(req.file.buffer).digest("hex");
+    const filename = `${hash}.${extension}`;
+    const filePath = path.join(uploadsDir, filename);
+
+    await fs.promises.mkdir(uploadsDir, { recursive: true });
+    if (!fs.existsSync(filePath)) {
+      if (req.file.path) {
+        await fs.promises.rename(req.file.path, filePath);
+      } else {
+        await fs.promises.writeFile(filePath, req.file.buffer);
+      }
+    } else {
+      // Reset the age of the existing file, so it isn't deleted as unused before it is added to the slide
+      const now = new Date();
+      await fs.promises.utimes(filePath, now, now);
+    }
+
+    return { filename, url: config.api.imagesUrl + filename };
+  } finally {
+    // Remove the temporary file if it wasn't moved into place
+    if (req.file.path) await fs.promises.rm(req.file.path, { force: true });
+  }
+};
+
+/**
+ * @const {object} hashingDiskStorage
+ * @memberof module:uploads
+ * @summary A multer storage engine which writes the uploaded file to a temporary file, hashing it as it is received.
+ *
+ * @description The file is given `path`, `size` and `hash` properties, and a `header` property containing its first
+ * bytes for detecting its format. Multer removes the temporary file if the upload fails, for example because it is too
+ * large, otherwise it must be moved or removed once it has been checked.
+ */
+const hashingDiskStorage = {
+  _handleFile(req, file, callback) {
+    fs.promises
+      .mkdir(tempDir, { recursive: true })
+      .then(() => {
+        const tempPath = path.join(tempDir, crypto.randomUUID());
+        const hash = crypto.createHash("sha256");
+        const headerChunks = [];
+        let size = 0;
+
+        file.stream.on("data", (chunk) => {
+          hash.update(chunk);
+          if (size < headerLength) headerChunks.push(chunk);
+          size += chunk.length;
+        });
+
+        const output = fs.createWriteStream(tempPath);
+        output.on("error", callback);
+        output.on("finish", () =>
+          callback(null, {
+            path: tempPath,
+            size,
+            hash: hash.digest("hex"),
+            header: Buffer.concat(headerChunks).subarray(0, headerLength),
+          })
+        );
+        file.stream.pipe(output);
+      })
+      .catch(callback);
+  },
+
+  _removeFile(req, file, callback) {
+    fs.rm(file.path, { force: true }, callback);
+  },
+};
+
+/**
+ * @function detectFileType
+ * @memberof module:uploads
+ * @summary Detects the format of a file from its magic bytes.
+ *
+ * @param {Buffer} buffer - The content of the file.
+ * @param {Array<object>} signatures - The magic bytes of each permitted format.
+ * @returns {string|null} - The file extension for the format, or null if it is not a permitted format.
+ */
+const detectFileType = (buffer, signatures) => {
+  const signature = signatures.find((signature) =>
+    signature.bytes.every(([offset, bytes]) =>
+      bytes.every((byte, i) => buffer[offset + i] === byte)
+    )
+  );
+  return signature ? signature.extension : null;
+};
+
+/**
+ * @function imageExists
+ * @memberof module:uploads
+ * @summary Checks whether an image has been uploaded.
+ *
+ * @param {string} filename - The file name of the image.
+ * @returns {boolean} - True if the file name is valid and the image is stored on disk.
+ */
+const imageExists = (filename) => {
+  return (
+    imageFilenamePattern.test(filename) &&
+    fs.existsSync(path.join(uploadsDir, filename))
+  );
+};
+
+/**
+ * @function videoExists
+ * @memberof module:uploads
+ * @summary Checks whether a video has been uploaded.
+ *
+ * @param {string} filename - The file name of the video.
+ * @returns {boolean} - True if the file name is valid and the video is stored on disk.
+ */
+const videoExists = (filename) => {
+  return (
+    videoFilenamePattern.test(filename) &&
+    fs.existsSync(path.join(uploadsDir, filename))
+  );
+};
+
+/**
+ * @async
+ * @function deleteOrphanedUploads
+ * @memberof module:uploads
+ * @summary Deletes uploaded images and videos that are no longer used by any session.
+ *
+ * @description Should be called after the session that used the files has been deleted from the database. Files
+ * are shared between sessions that uploaded the same content, so each file is only deleted if no remaining session
+ * refers to it.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {Array<object>} slides - The slides of the deleted session.
+ * @returns {Promise<Array<string>>} - Resolves with the file names of the deleted files.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const deleteOrphanedUploads = async (link, slides) => {
+  const filenames = [
+    ...new Set(
+      slides
+        .flatMap((slide) => [
+          slide.image,
+          slide.video && slide.video.provider === "upload"
+            ? slide.video.id
+            : null,
+        ])
+        .filter(
+          (filename) =>
+            filename &&
+            (imageFilenamePattern.test(filename) ||
+              videoFilenamePattern.test(filename))
+        )
+    ),
+  ];
+  const deleted = [];
+
+  for (const filename of filenames) {
+    if (await uploadIsUsed(link, filename)) continue;
+
+    await fs.promises.rm(path.join(uploadsDir, filename), { force: true });
+    deleted.push(filename);
+  }
+
+  return deleted;
+};
+
+/**
+ * @async
+ * @function deleteUnusedUploads
+ * @memberof module:uploads
+ * @summary Deletes files that have not been used by any session for a set age.
+ *
+ * @description Run by the interaction scheduler. Files are normally added to a slide as soon as they are stored, but
+ * a file can be left unused if the request fails part way through. A file is only deleted once it is older than the
+ * age set in the config file, so that files being uploaded are not deleted before they are added to their slide.
+ * Temporary files of the same age, left by uploads which were interrupted, are also deleted.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {Date} [now=new Date()] - The time of the run.
+ * @returns {Promise<Array<string>>} - Resolves with the file names of the deleted files.
+ * @throws {Error} - Throws an error if a query fails.
+ */
+const deleteUnusedUploads = async (link, now = new Date()) => {
+  const cutoff =
+    now.getTime() - config.interaction.uploads.unusedExpiryHours * 3600000;
+  const deleted = [];
+
+  for (const [dir, isTemporary] of [
+    [uploadsDir, false],
+    [tempDir, true],
+  ]) {
+    const filenames = await fs.promises.readdir(dir).catch(() => []);
+    for (const filename of filenames) {
+      const filePath = path.join(dir, filename);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (!stats || !stats.isFile() || stats.mtimeMs > cutoff) continue;
+      if (!isTemporary) {
+        const isUpload =
+          imageFilenamePattern.test(filename) ||
+          videoFilenamePattern.test(filename);
+        if (!isUpload || (await uploadIsUsed(link, filename))) continue;
+      }
+
+      await fs.promises.rm(filePath, { force: true });
+      deleted.push(filename);
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * @async
+ * @function uploadIsUsed
+ * @memberof module:uploads
+ * @summary Checks whether any session uses an uploaded file.
+ *
+ * @description The file name is matched exactly against the image and uploaded video of each slide.
+ *
+ * @param {object} link - The database connection object used to execute queries.
+ * @param {string} filename - The file name of the uploaded file.
+ * @returns {Promise<boolean>} - Resolves to true if a session uses the file.
+ * @throws {Error} - Throws an error if the query fails.
+ */
+const uploadIsUsed = async (link, filename) => {
+  const [rows] = await link.execute(
+    `SELECT COUNT(*) AS count FROM ${config.interaction.tables.tblSessions} 
+      WHERE JSON_CONTAINS(slides, JSON_OBJECT('image', ?)) 
+      OR JSON_CONTAINS(slides, JSON_OBJECT('video', JSON_OBJECT('provider', 'upload', 'id', ?)))`,
+    [filename, filename]
+  );
+  return rows[0].count > 0;
+};
+
+module.exports = {
+  uploadsDir,
+  uploadImage,
+  uploadVideo,
+  imageExists,
+  videoExists,
+  deleteOrphanedUploads,
+  deleteUnusedUploads,
+};
@@ -0,0 +1,84 @@
+/**
+ * @module videos
+ * @memberof module:interaction
+ * @summary Parses video references for static interaction slides.
+ *
+ * @description
+ * Static slides can include a single video, provided by the organiser either as a YouTube or Vimeo URL, or as the file
+ * name of an MP4 uploaded using the uploadVideo route. Each reference is converted to a canonical form of the provider
+ * and video ID (plus the privacy hash for unlisted Vimeo videos), so that the client can build the embed URL without
+ * storing or trusting the URL the organiser pasted.
+ *
+ * @requires ./uploads - Used to check uploaded videos exist.
+ *
+ * @exports parseVideo - Converts a video reference to its canonical form.
+ */
+
+const { videoExists } = require("./uploads");
+
+const youtubeHosts = [
+  "youtube.com",
+  "www.youtube.com",
+  "m.youtube.com",
+  "youtube-nocookie.com",
+  "www.youtube-nocookie.com",
+  "youtu.be",
+];
+const vimeoHosts = ["vimeo.com", "www.vimeo.com", "player.vimeo.com"];
+const youtubeIdPattern = /^[A-Za-z0-9_-]{11}$/;
+const vimeoIdPattern = /^\d+$/;
+const vimeoHashPattern = /^[a-f0-9]+$/;
+
+/**
+ * @function parseVideo
+ * @memberof module:videos
+ * @summary Converts a video reference to its canonical form.
+ *
+ * @description Accepts the common YouTube URL formats (watch, short link, embed and shorts), Vimeo URLs (including
+ * channel, player and unlisted video links), or the file name of an uploaded MP4.
+ *
+ * @param {string} value - The video URL or uploaded file name.
+ * @returns {object|null} - The provider (`youtube`, `vimeo` or `upload`) and video ID, or null if the reference is not
+ * recognised.
+ */
+const parseVideo = (value) => {
+  if (typeof value !== "string") return null;
+  if (videoExists(value)) return { provider: "upload", id: value };
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split("/").filter((segment) => segment);
+
+  if (youtubeHosts.includes(host)) {
+    let id;
+    if (host === "youtu.be") {
+      id = segments[0];
+    } else if (segments[0] === "watch") {
+      id = url.searchParams.get("v");
+    } else if (["embed", "shorts", "live", "v"].includes(segments[0])) {
+      id = segments[1];
+    }
+    return youtubeIdPattern.test(id || "") ? { provider: "youtube", id } : null;
+  }
+
+  if (vimeoHosts.includes(host)) {
+    // The video ID is the first numeric segment, and an unlisted video's hash may follow it or be given as 'h'
+    const index = segments.findIndex((segment) => vimeoIdPattern.test(segment));
+    if (index === -1) return null;
+    const video = { provider: "vimeo", id: segments[index] };
+    const hash = url.searchParams.get("h") || segments[index + 1];
+    if (hash && vimeoHashPattern.test(hash)) video.hash = hash;
+    return video;
+  }
+
+  return null;
+};
+
+module.exports = { parseVideo };
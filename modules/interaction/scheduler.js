@@ -0,0 +1,39 @@
+/**
+ * @module interactionScheduler
+ * @memberof module:interaction
+ * @summary Starts the background jobs for the interaction module.
+ *
+ * @description
+ * Background jobs run inside the API process at the intervals set in the config file. Job logic is kept in the
+ * `routes` directory alongside the route logic, and this module only schedules it.
+ *
+ * @requires ../../config.json - Configuration file containing the job intervals.
+ * @requires ../utilities/schedulerUtilities - Runs jobs at a regular interval.
+ *
+ * @exports startScheduler - Starts the interaction module's background jobs.
+ */
+
+const config = require("../../config.json");
+const { scheduleJob } = require("../utilities/schedulerUtilities");
+
+/**
+ * @function startScheduler
+ * @memberof module:interactionScheduler
+ * @summary Starts the interaction module's background jobs.
+ *
+ * @requires ./routes/uploads - Deletes uploaded files which have not been used by any session.
+ *
+ * @returns {void}
+ */
+const startScheduler = () => {
+  scheduleJob(
+    "interaction/deleteUnusedUploads",
+    config.interaction.uploads.cleanupIntervalMinutes,
+    async (link) => {
+      const { deleteUnusedUploads } = require("./routes/uploads");
+      await deleteUnusedUploads(link);
+    }
+  );
+};
+
+module.exports = { startScheduler };
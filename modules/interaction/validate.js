@@ -8,12 +8,36 @@
  * fields meet specified criteria before being processed by the application.
  *
  * @requires express-validator - Validation library for performing data validation and sanitization
+ * @requires ../../config.json - Used to check slide types and settings match expected values
+ * @requires ./routes/uploads - Used to check slide images have been uploaded
+ * @requires ./routes/videos - Used to check slide video references are recognised
+ * @requires ./routes/loadJoinSession - Used to check guest IDs were issued by the server
  * @requires ../utilities/routeUtilities Error handling
  *
  * @exports interestRules - Ruleset for the interest route
+ * @exports insertSessionRules - Ruleset for the insertSession route
+ * @exports loadJoinSessionRules - Ruleset for the loadJoinSession and fetchCurrentIndex routes
+ * @exports loadHostSessionRules - Ruleset for the loadHostSession, closeSession, deleteSession and fetchInteractionPDF routes
+ * @exports setCurrentIndexRules - Ruleset for the setCurrentIndex route
+ * @exports setSlideLockedRules - Ruleset for the setSlideLocked route
+ * @exports setHideResponsesRules - Ruleset for the setHideResponses route
+ * @exports fetchMyScoreRules - Ruleset for the fetchMyScore route
+ * @exports setNicknameRules - Ruleset for the setNickname route
+ * @exports fetchQuestionsRules - Ruleset for the fetchQuestions route
+ * @exports voteRules - Ruleset for the vote route
+ * @exports submitRules - Ruleset for the submit route
+ * @exports moderateQuestionRules - Ruleset for the moderateQuestion route
+ * @exports fetchNewSubmissionsRules - Ruleset for the fetchNewSubmissions route
+ * @exports streamRules - Ruleset for the stream route
+ * @exports uploadRules - Ruleset for the uploadImage and uploadVideo routes
+ * @exports validateRequest - Function to perform the validation and sanitisation according to a given ruleset
  */
 
 const { check, validationResult } = require("express-validator");
+const config = require("../../config.json");
+const { imageExists } = require("./routes/uploads");
+const { parseVideo } = require("./routes/videos");
+const { verifyGuestId } = require("./routes/loadJoinSession");
 const { handleError } = require("../utilities/routeUtilities");
 
 /**
@@ -26,6 +50,650 @@ const interestRules = [
     .withMessage("Email field must be a valid email address format."),
 ];
 
+/**
+ * @function slideSettingsAreValid
+ * @summary Checks a slide's options and settings against the limits for its slide type in the config file.
+ *
+ * @param {object} slide - The slide to check, including its type, options and settings.
+ * @returns {boolean} True if the slide is valid.
+ * @throws {Error} - Throws an error describing the first limit which the slide breaks.
+ */
+const slideSettingsAreValid = (slide) => {
+  const slideConfig = config.interaction.create.slides;
+  const typeConfig = slideConfig.types[slide.type];
+  if (!typeConfig) throw new Error("Invalid slide type provided.");
+
+  // Videos can only be shown on non-interactive slides
+  if (slide.video && typeConfig.isInteractive) {
+    throw new Error("Videos can only be added to static slides.");
+  }
+
+  // Non-interactive slides do not have options or settings to check
+  if (!typeConfig.isInteractive) return true;
+
+  const typeSettings = typeConfig.settings;
+  const settings = slide.settings || {};
+  const options = slide.options || [];
+
+  // Check the number of options is within the limits for the slide type
+  if (typeSettings.optionsLimit === 0 && options.length) {
+    throw new Error(`${typeConfig.name} slides cannot have options.`);
+  }
+  if (typeSettings.optionsLimit > 0) {
+    if (options.length < slideConfig.minimumOptions) {
+      throw new Error(
+        `${typeConfig.name} slides must have at least ${slideConfig.minimumOptions} options.`
+      );
+    }
+    if (options.length > typeSettings.optionsLimit) {
+      throw new Error(
+        `${typeConfig.name} slides cannot have more than ${typeSettings.optionsLimit} options.`
+      );
+    }
+  }
+
+  // Check the submission limit does not exceed the maximum permitted
+  if (
+    settings.submissionLimit !== undefined &&
+    settings.submissionLimit > slideConfig.submissionLimitMax
+  ) {
+    throw new Error(
+      `Submission limit cannot be more than ${slideConfig.submissionLimitMax}.`
+    );
+  }
+
+  // Check the selected limits fit the number of options provided
+  if (settings.selectedLimit) {
+    if (!typeSettings.selectedLimit) {
+      throw new Error(
+        `${typeConfig.name} slides do not have a selected limit.`
+      );
+    }
+    const { min, max } = settings.selectedLimit;
+    if (min > max) {
+      throw new Error(
+        "Selected limit minimum cannot be more than selected limit maximum."
+      );
+    }
+    if (max > options.length) {
+      throw new Error(
+        "Selected limit maximum cannot be more than the number of options."
+      );
+    }
+  }
+
+  // Check quiz settings are only used on slide types that support them, and that a correct response is possible
+  const correctCount = options.filter((option) => option.correct).length;
+  const isQuiz =
+    correctCount > 0 ||
+    settings.points !== undefined ||
+    settings.speedBonus !== undefined;
+  if (isQuiz) {
+    if (typeSettings.points === undefined) {
+      throw new Error(`${typeConfig.name} slides cannot be quiz questions.`);
+    }
+    if (!correctCount) {
+      throw new Error("Quiz slides must have at least one correct option.");
+    }
+    const selectedLimit = settings.selectedLimit || typeSettings.selectedLimit;
+    if (
+      selectedLimit &&
+      (correctCount < selectedLimit.min || correctCount > selectedLimit.max)
+    ) {
+      throw new Error(
+        "The number of correct options must be within the selected limit."
+      );
+    }
+    const submissionLimit =
+      settings.submissionLimit ?? typeSettings.submissionLimit;
+    if (submissionLimit !== 1) {
+      throw new Error("Quiz slides must have a submission limit of 1.");
+    }
+  }
+
+  // Check the scale reaches the maximum from the minimum in a whole number of steps
+  if (settings.scale && !typeSettings.scale) {
+    throw new Error(`${typeConfig.name} slides do not have a scale.`);
+  }
+  if (typeSettings.scale) {
+    const { min, max, step } = { ...typeSettings.scale, ...settings.scale };
+    if (min >= max) {
+      throw new Error("Scale minimum must be less than scale maximum.");
+    }
+    const steps = (max - min) / step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+      throw new Error(
+        "Scale maximum must be reached from the minimum in whole steps."
+      );
+    }
+    if (Math.round(steps) + 1 > slideConfig.scale.pointsMax) {
+      throw new Error(
+        `Scales cannot have more than ${slideConfig.scale.pointsMax} points.`
+      );
+    }
+  }
+
+  // Check the character limits are within those permitted for the slide type
+  if (settings.characterLimit) {
+    if (!typeSettings.characterLimit) {
+      throw new Error(
+        `${typeConfig.name} slides do not have a character limit.`
+      );
+    }
+    const { min, max } = settings.characterLimit;
+    if (min < typeSettings.characterLimit.min) {
+      throw new Error(
+        `Character limit minimum cannot be less than ${typeSettings.characterLimit.min}.`
+      );
+    }
+    if (max > typeSettings.characterLimit.max) {
+      throw new Error(
+        `Character limit maximum cannot be more than ${typeSettings.characterLimit.max}.`
+      );
+    }
+    if (min > max) {
+      throw new Error(
+        "Character limit minimum cannot be more than character limit maximum."
+      );
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validation rules for the insertSession route.
+ * @type {Array}
+ */
+const insertSessionRules = [
+  check("title")
+    .notEmpty()
+    .withMessage("Session title must be provided.")
+    .isString()
+    .withMessage("Session title field must be data type [string].")
+    .escape(),
+
+  check("name")
+    .notEmpty()
+    .withMessage("Facilitator name must be provided.")
+    .isString()
+    .withMessage("Facilitator name field must be data type [string].")
+    .escape(),
+
+  //slides
+  check("slides")
+    .isArray({ min: 1 })
+    .withMessage(
+      "Slides field must be data type [array] with at least 1 slide."
+    ),
+
+  check("slides")
+    .custom(
+      (slides) =>
+        !Array.isArray(slides) ||
+        slides.filter((slide) => slide.image).length <=
+          config.interaction.create.slides.images.max
+    )
+    .withMessage(
+      `Sessions cannot have more than ${config.interaction.create.slides.images.max} images.`
+    ),
+
+  check("slides")
+    .custom(
+      (slides) =>
+        !Array.isArray(slides) ||
+        slides.filter((slide) => slide.video).length <=
+          config.interaction.create.slides.videos.max
+    )
+    .withMessage(
+      `Sessions cannot have more than ${
+        config.interaction.create.slides.videos.max
+      } video${config.interaction.create.slides.videos.max === 1 ? "" : "s"}.`
+    ),
+
+  check("slides.*.type")
+    .notEmpty()
+    .withMessage("Slide type must be provided.")
+    .isString()
+    .withMessage("Slide type field must be data type [string].")
+    .bail()
+    .custom((value) =>
+      config.interaction.create.slides.types.hasOwnProperty(value)
+    )
+    .withMessage("Invalid slide type provided.")
+    .escape(),
+
+  check("slides.*.title")
+    .notEmpty()
+    .withMessage("Slide title must be provided.")
+    .isString()
+    .withMessage("Slide title field must be data type [string].")
+    .escape(),
+
+  check("slides.*.description")
+    .optional()
+    .isString()
+    .withMessage("Slide description field must be data type [string].")
+    .escape(),
+
+  check("slides.*.image")
+    .optional()
+    .isString()
+    .withMessage("Slide image field must be data type [string].")
+    .bail()
+    .custom(imageExists)
+    .withMessage("Slide image not found. Please upload the image again."),
+
+  check("slides.*.video")
+    .optional()
+    .isString()
+    .withMessage("Slide video field must be data type [string].")
+    .bail()
+    .custom((value) => parseVideo(value) !== null)
+    .withMessage(
+      "Slide video must be a YouTube or Vimeo URL, or an uploaded MP4 file."
+    ),
+
+  check("slides.*.options")
+    .optional()
+    .isArray()
+    .withMessage("Slide options field must be data type [array]."),
+
+  check("slides.*.options.*.title")
+    .notEmpty()
+    .withMessage("Slide option title must be provided.")
+    .isString()
+    .withMessage("Slide option title field must be data type [string].")
+    .escape(),
+
+  check("slides.*.options.*.correct")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Slide option correct field must be data type [boolean]."),
+
+  check("slides.*.settings")
+    .optional()
+    .isObject()
+    .withMessage("Slide settings field must be data type [object]."),
+
+  check("slides.*.settings.submissionLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Slide submission limit must be a positive integer."),
+
+  check("slides.*.settings.points")
+    .optional()
+    .isInt({ min: 0, max: config.interaction.create.slides.quiz.pointsMax })
+    .withMessage(
+      `Slide points must be an integer between 0 and ${config.interaction.create.slides.quiz.pointsMax}.`
+    ),
+
+  check("slides.*.settings.speedBonus")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Slide speed bonus field must be data type [boolean]."),
+
+  check("slides.*.settings.selectedLimit.min")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Slide selected limit minimum must be a positive integer."),
+
+  check("slides.*.settings.selectedLimit.max")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Slide selected limit maximum must be a positive integer."),
+
+  check("slides.*.settings.characterLimit.min")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Slide character limit minimum must be a positive integer."),
+
+  check("slides.*.settings.characterLimit.max")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Slide character limit maximum must be a positive integer."),
+
+  check("slides.*.settings.scale")
+    .optional()
+    .isObject()
+    .withMessage("Slide scale field must be data type [object]."),
+
+  check("slides.*.settings.scale.min")
+    .optional()
+    .isFloat({
+      min: config.interaction.create.slides.scale.valueMin,
+      max: config.interaction.create.slides.scale.valueMax,
+    })
+    .withMessage(
+      `Slide scale minimum must be a number between ${config.interaction.create.slides.scale.valueMin} and ${config.interaction.create.slides.scale.valueMax}.`
+    )
+    .toFloat(),
+
+  check("slides.*.settings.scale.max")
+    .optional()
+    .isFloat({
+      min: config.interaction.create.slides.scale.valueMin,
+      max: config.interaction.create.slides.scale.valueMax,
+    })
+    .withMessage(
+      `Slide scale maximum must be a number between ${config.interaction.create.slides.scale.valueMin} and ${config.interaction.create.slides.scale.valueMax}.`
+    )
+    .toFloat(),
+
+  check("slides.*.settings.scale.step")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Slide scale step must be a positive number.")
+    .toFloat(),
+
+  check("slides.*.settings.scale.minLabel")
+    .optional()
+    .isString()
+    .withMessage("Slide scale minimum label field must be data type [string].")
+    .isLength({ max: 50 })
+    .withMessage("Slide scale minimum label cannot be more than 50 characters.")
+    .escape(),
+
+  check("slides.*.settings.scale.maxLabel")
+    .optional()
+    .isString()
+    .withMessage("Slide scale maximum label field must be data type [string].")
+    .isLength({ max: 50 })
+    .withMessage("Slide scale maximum label cannot be more than 50 characters.")
+    .escape(),
+
+  check("slides.*.settings.hideResponses")
+    .optional()
+    .isBoolean()
+    .withMessage("Slide hide responses field must be data type [boolean]."),
+
+  check("slides.*").custom(slideSettingsAreValid),
+
+  //organisers
+  check("organisers")
+    .isArray({ min: 1 })
+    .withMessage(
+      "Organisers field must be data type [array] with at least 1 organiser."
+    ),
+
+  check("organisers.*.name")
+    .notEmpty()
+    .withMessage("Organiser name must be provided.")
+    .isString()
+    .withMessage("Organiser name field must be data type [string].")
+    .escape(),
+
+  check("organisers.*.email")
+    .isEmail()
+    .withMessage("Organiser email field must be a valid email address format."),
+
+  check("organisers.*.canEdit")
+    .isBoolean()
+    .withMessage(
+      "Organiser can edit status field must be data type [boolean]."
+    ),
+
+  check("organisers.*.isLead")
+    .isBoolean()
+    .withMessage("Organiser is lead status field must be data type [boolean]."),
+];
+
+/**
+ * Validation rules for the loadJoinSession and fetchCurrentIndex routes.
+ * @type {Array}
+ */
+const loadJoinSessionRules = [
+  check("id")
+    .notEmpty()
+    .withMessage("Session ID must be provided.")
+    .isString()
+    .withMessage("Session ID field must be data type [string].")
+    .escape(),
+];
+
+/**
+ * Validation rules for the loadHostSession, closeSession, deleteSession and fetchInteractionPDF routes.
+ * @type {Array}
+ */
+const loadHostSessionRules = [
+  ...loadJoinSessionRules,
+
+  check("pin")
+    .notEmpty()
+    .withMessage("Pin must be provided.")
+    .isNumeric()
+    .withMessage("Pin field must be data type [number]."),
+];
+
+/**
+ * Validation rules for the setCurrentIndex route.
+ * @type {Array}
+ */
+const setCurrentIndexRules = [
+  ...loadHostSessionRules,
+
+  check("index")
+    .isInt({ min: 0 })
+    .withMessage("Slide index must be a positive integer.")
+    .toInt(),
+];
+
+/**
+ * Validation rules for the setSlideLocked route.
+ * @type {Array}
+ */
+const setSlideLockedRules = [
+  ...setCurrentIndexRules,
+
+  check("locked")
+    .isBoolean({ strict: true })
+    .withMessage("Locked status field must be data type [boolean]."),
+];
+
+/**
+ * Validation rules for the setHideResponses route.
+ * @type {Array}
+ */
+const setHideResponsesRules = [
+  ...setCurrentIndexRules,
+
+  check("hideResponses")
+    .isBoolean({ strict: true })
+    .withMessage("Hide responses field must be data type [boolean]."),
+];
+
+/**
+ * Validation rules for the fetchMyScore route.
+ * @type {Array}
+ */
+const fetchMyScoreRules = [
+  ...loadJoinSessionRules,
+
+  check("guestId")
+    .isString()
+    .withMessage("Guest ID field must be data type [string].")
+    .customSanitizer((guestId, { req }) => verifyGuestId(guestId, req.body.id))
+    .notEmpty()
+    .withMessage(
+      "Guest ID is invalid or has expired. Please rejoin the session."
+    ),
+];
+
+/**
+ * Validation rules for the setNickname route.
+ * @type {Array}
+ */
+const setNicknameRules = [
+  ...fetchMyScoreRules,
+
+  check("nickname")
+    .trim()
+    .notEmpty()
+    .withMessage("Nickname must be provided.")
+    .isLength({ max: 30 })
+    .withMessage("Nickname cannot be more than 30 characters.")
+    .escape(),
+];
+
+/**
+ * Validation rules for the fetchQuestions route.
+ * @type {Array}
+ */
+const fetchQuestionsRules = [
+  ...fetchMyScoreRules,
+
+  check("index")
+    .isInt({ min: 0 })
+    .withMessage("Slide index must be a positive integer.")
+    .toInt(),
+];
+
+/**
+ * Validation rules for the vote route.
+ * @type {Array}
+ */
+const voteRules = [
+  ...fetchMyScoreRules,
+
+  check("submissionId")
+    .isInt({ min: 1 })
+    .withMessage("Question ID must be a positive integer."),
+
+  check("vote")
+    .isBoolean({ strict: true })
+    .withMessage("Vote field must be data type [boolean]."),
+];
+
+/**
+ * Validation rules for the submit route.
+ * @type {Array}
+ */
+const submitRules = [
+  ...fetchMyScoreRules,
+
+  check("index")
+    .isInt({ min: 0 })
+    .withMessage("Slide index must be a positive integer.")
+    .toInt(),
+
+  check("response")
+    .isObject()
+    .withMessage("Response field must be data type [object]."),
+
+  check("response.text")
+    .optional()
+    .isString()
+    .withMessage("Response text field must be data type [string].")
+    .escape(),
+
+  check("response.selected")
+    .optional()
+    .isArray()
+    .withMessage("Response selected field must be data type [array]."),
+
+  check("response.selected.*")
+    .isInt({ min: 0 })
+    .withMessage("Response selected options must be positive integers."),
+
+  check("response.value")
+    .optional()
+    .isFloat()
+    .withMessage("Response value field must be data type [number].")
+    .toFloat(),
+
+  check("response.order")
+    .optional()
+    .isArray()
+    .withMessage("Response order field must be data type [array]."),
+
+  check("response.order.*")
+    .isInt({ min: 0 })
+    .withMessage("Response order options must be positive integers."),
+];
+
+/**
+ * Validation rules for the moderateQuestion route.
+ * @type {Array}
+ */
+const moderateQuestionRules = [
+  ...loadHostSessionRules,
+
+  check("submissionId")
+    .isInt({ min: 1 })
+    .withMessage("Question ID must be a positive integer."),
+
+  check("answered")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Answered status field must be data type [boolean]."),
+
+  check("hidden")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Hidden status field must be data type [boolean]."),
+
+  check("pinned")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Pinned status field must be data type [boolean]."),
+];
+
+/**
+ * Validation rules for the fetchNewSubmissions route.
+ * @type {Array}
+ */
+const fetchNewSubmissionsRules = [
+  ...loadHostSessionRules,
+
+  check("cursor")
+    .isInt({ min: 0 })
+    .withMessage("Cursor must be a positive integer."),
+
+  check("questionsVersion")
+    .optional()
+    .isString()
+    .withMessage("Questions version must be a string.")
+    .isLength({ max: 32 })
+    .withMessage("Questions version is too long."),
+];
+
+/**
+ * Validation rules for the stream route. The session ID is a route parameter and the optional PIN is a query
+ * parameter, as EventSource clients cannot send a request body.
+ * @type {Array}
+ */
+const streamRules = [
+  ...loadJoinSessionRules,
+
+  check("token")
+    .optional()
+    .isString()
+    .withMessage("Stream token field must be data type [string].")
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .withMessage("Stream token is invalid."),
+];
+
+/**
+ * Validation rules for the uploadImage and uploadVideo routes.
+ * @type {Array}
+ */
+const uploadRules = [
+  ...loadJoinSessionRules,
+
+  check("token")
+    .notEmpty()
+    .withMessage("Stream token must be provided.")
+    .isString()
+    .withMessage("Stream token field must be data type [string].")
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+    .withMessage("Stream token is invalid."),
+
+  check("index")
+    .isInt({ min: 0 })
+    .withMessage("Slide index must be a positive integer.")
+    .toInt(),
+];
+
 // Middleware function to validate the request
 const validateRequest = (req, res, next) => {
   try {
@@ -49,5 +717,20 @@ const validateRequest = (req, res, next) => {
 
 module.exports = {
   interestRules,
+  insertSessionRules,
+  loadJoinSessionRules,
+  loadHostSessionRules,
+  setCurrentIndexRules,
+  setSlideLockedRules,
+  setHideResponsesRules,
+  fetchMyScoreRules,
+  setNicknameRules,
+  fetchQuestionsRules,
+  voteRules,
+  submitRules,
+  moderateQuestionRules,
+  fetchNewSubmissionsRules,
+  streamRules,
+  uploadRules,
   validateRequest,
 };
@@ -27,22 +27,29 @@ const config = require("../../config.json");
  *
  * @param {Object} link - Database link or connection object.
  * @param {string} module - The name of the module in use (e.g. feedback).
+ * @param {string} [table="tblSessions"] - The key of the table in the module's config, for IDs of other records.
+ * @param {string} [prefix] - The prefix character, defaulting to the first letter of the module name.
  * @returns {Promise<string>} A unique short ID.
  * @throws {Error} If unable to create a unique ID after 100 attempts.
  */
-const createUniqueId = async (link, module) => {
-  // Get the name of the sessions table according to the module
-  const tblName = config[module].tables.tblSessions;
+const createUniqueId = async (
+  link,
+  module,
+  table = "tblSessions",
+  prefix = module.charAt(0)
+) => {
+  // Get the name of the table according to the module
+  const tblName = config[module].tables[table];
 
   let id;
   let count = 0;
 
   do {
-    id = buildId(module.charAt(0)); // Prefix is the first letter of the module name (e.g., 'f' for feedback)
+    id = buildId(prefix); // Prefix defaults to the first letter of the module name (e.g., 'f' for feedback)
     count++;
     if (count > 100) {
       throw new Error(
-        "Unable to create unique feedback session ID after 100 attempts."
+        `Unable to create unique ${module} ID after 100 attempts.`
       );
     }
   } while (!(await idIsUnique(link, tblName, id))); // Check if the generated ID is unique
@@ -74,11 +81,11 @@ const buildId = (prefix) => {
  * @async
  * @function idIsUnique
  * @memberof module:idUtilities
- * @summary Checks if a session ID exists in the sessions table.
+ * @summary Checks if an ID exists in a table.
  *
  * @param {mysql.Connection} link - The database connection.
  * @param {string} tblName - The name of the table to check the ID uniqueness against.
- * @param {string} id - The session ID to check.
+ * @param {string} id - The ID to check.
  * @returns {Promise<boolean>} - Returns true if the ID is unique, false if it exists.
  * @throws {Error} If the database connection fails or the query fails.
  */
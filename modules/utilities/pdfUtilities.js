@@ -0,0 +1,264 @@
+/**
+ * @module pdfUtilities
+ * @memberof module:LearnLoopAPI
+ * @summary Utilities for building PDF reports with a consistent LearnLoop layout.
+ *
+ * @description
+ * The `pdfUtilities` module provides the shared layout used by the PDF reports generated across the LearnLoop API.
+ * This includes creating an A4 document streamed to the client with the LearnLoop header bar and logo, and drawing
+ * horizontal bar charts and histograms using PDFKit primitives, so that charts do not depend on a separate rendering
+ * library.
+ *
+ * @requires PDFKit - A library for creating PDFs in Node.js.
+ * @requires path - For resolving the logo file path.
+ * @requires entities For decoding html entities
+ * @requires ./routeUtilities - Builds the Content-Disposition header.
+ *
+ * @exports createPDF - Creates a PDF document with the LearnLoop header, streamed to the client as a download.
+ * @exports drawBarChart - Draws a horizontal bar chart at the current position in a PDF document.
+ * @exports drawHistogram - Draws a histogram of numeric values at the current position in a PDF document.
+ */
+
+const PDFDocument = require("pdfkit");
+const path = require("path");
+const { decode } = require("entities");
+const { contentDisposition } = require("./routeUtilities");
+
+const headerColour = "#17a2b8";
+
+/**
+ * @function createPDF
+ * @memberof module:pdfUtilities
+ * @summary Creates a PDF document with the LearnLoop header, streamed to the client as a download.
+ *
+ * @param {object} res - The HTTP response object to stream the PDF to the client.
+ * @param {string} filename - The file name for the download, which is decoded from html entities.
+ * @returns {object} - The PDFKit document, positioned below the header. The caller must call `doc.end()` when finished.
+ */
+const createPDF = (res, filename) => {
+  // Create a new PDF document
+  const doc = new PDFDocument({
+    size: "A4",
+    margins: { top: 100, bottom: 50, left: 50, right: 50 },
+  });
+
+  // Set headers for file download
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", contentDisposition(decode(filename)));
+
+  // Pipe the PDF into the response
+  doc.pipe(res);
+
+  // Add header background and logo
+  const headerHeight = 60;
+  const pageWidth = doc.page.width;
+
+  doc.rect(0, 0, pageWidth, headerHeight).fill(headerColour);
+
+  const logoPath = path.resolve(__dirname, "logo.png");
+  const logoHeight = 40;
+  doc.image(logoPath, 5, 10, { height: logoHeight });
+
+  return doc;
+};
+
+/**
+ * @function drawBarChart
+ * @memberof module:pdfUtilities
+ * @summary Draws a horizontal bar chart at the current position in a PDF document.
+ *
+ * @description Each bar is drawn on its own row, with the label on the left, the bar scaled relative to the largest
+ * value, and the value to the right of the bar. A new page is started if a row would not fit on the current page.
+ * The document position is moved below the chart when finished.
+ *
+ * @param {object} doc - The PDFKit document to draw on.
+ * @param {Array<object>} bars - The bars to draw, each with a label (decoded from html entities) and a numeric value.
+ * @param {object} [options] - Optional settings for the chart.
+ * @param {number} [options.labelWidth=180] - The width of the label column.
+ * @param {number} [options.barHeight=14] - The height of each bar.
+ * @param {number} [options.fontSize=10] - The font size of the labels and values.
+ * @param {string} [options.colour] - The fill colour of the bars, defaulting to the header colour.
+ * @param {Function} [options.formatValue] - Formats each value for display, defaulting to the value itself.
+ * @param {number} [options.maxValue] - The value drawn as the longest bar, defaulting to the largest value.
+ */
+const drawBarChart = (doc, bars, options = {}) => {
+  const {
+    labelWidth = 180,
+    barHeight = 14,
+    fontSize = 10,
+    colour = headerColour,
+    formatValue = (value) => `${value}`,
+    maxValue = Math.max(...bars.map((bar) => bar.value), 0),
+  } = options;
+
+  const left = doc.page.margins.left;
+  const chartWidth = doc.page.width - left - doc.page.margins.right;
+  const valueWidth = 40; // Space reserved to the right of the longest bar for its value
+  const maxBarWidth = chartWidth - labelWidth - valueWidth - 10;
+  const rowGap = 6;
+
+  doc.fontSize(fontSize).font("Helvetica");
+
+  for (const bar of bars) {
+    const label = decode(`${bar.label}`);
+    const labelHeight = doc.heightOfString(label, { width: labelWidth });
+    const rowHeight = Math.max(labelHeight, barHeight);
+
+    // Start a new page if the row would overflow the bottom margin
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const top = doc.y;
+
+    doc.fill("black").text(label, left, top, { width: labelWidth });
+
+    const barX = left + labelWidth + 10;
+    const barY = top + (rowHeight - barHeight) / 2;
+    const barWidth = maxValue ? (bar.value / maxValue) * maxBarWidth : 0;
+    if (barWidth > 0) {
+      doc.rect(barX, barY, barWidth, barHeight).fill(colour);
+    }
+
+    doc
+      .fill("black")
+      .text(
+        formatValue(bar.value),
+        barX + barWidth + 5,
+        barY + (barHeight - fontSize) / 2,
+        { width: valueWidth, lineBreak: false }
+      );
+
+    doc.x = left;
+    doc.y = top + rowHeight + rowGap;
+  }
+};
+
+/**
+ * @function drawHistogram
+ * @memberof module:pdfUtilities
+ * @summary Draws a histogram of numeric values at the current position in a PDF document.
+ *
+ * @description Values are counted into bins of equal width between the minimum and maximum, with the maximum counted
+ * in the last bin. Columns are scaled relative to the largest count, which is labelled on the vertical axis. Bands can
+ * be shaded behind the columns to show ranges of values, such as the thresholds of a score guide, with an optional
+ * label above each band. A new page is started if the histogram would not fit on the current page. The document
+ * position is moved below the histogram when finished.
+ *
+ * @param {object} doc - The PDFKit document to draw on.
+ * @param {Array<number>} values - The values to count. Values outside the minimum and maximum are ignored.
+ * @param {object} [options] - Optional settings for the histogram.
+ * @param {number} [options.min=0] - The lowest value on the horizontal axis.
+ * @param {number} [options.max=100] - The highest value on the horizontal axis.
+ * @param {number} [options.binWidth=5] - The range of values counted in each column.
+ * @param {number} [options.labelStep=10] - The interval between labels on the horizontal axis.
+ * @param {number} [options.height=120] - The height of the plotting area.
+ * @param {number} [options.fontSize=8] - The font size of the axis and band labels.
+ * @param {string} [options.colour] - The fill colour of the columns, defaulting to the header colour.
+ * @param {Array<object>} [options.bands=[]] - Bands to shade, each with a start (from), end (to), colour and label.
+ */
+const drawHistogram = (doc, values, options = {}) => {
+  const {
+    min = 0,
+    max = 100,
+    binWidth = 5,
+    labelStep = 10,
+    height = 120,
+    fontSize = 8,
+    colour = headerColour,
+    bands = [],
+  } = options;
+
+  // Count the values in each bin
+  const binCount = Math.ceil((max - min) / binWidth);
+  const counts = new Array(binCount).fill(0);
+  for (const value of values) {
+    if (value < min || value > max) continue;
+    counts[Math.min(Math.floor((value - min) / binWidth), binCount - 1)]++;
+  }
+  const maxCount = Math.max(...counts, 1);
+
+  const left = doc.page.margins.left;
+  const axisWidth = 25; // Space reserved to the left of the chart for the vertical axis labels
+  const chartLeft = left + axisWidth;
+  const chartWidth = doc.page.width - chartLeft - doc.page.margins.right;
+  const bandLabelHeight = bands.some((band) => band.label) ? fontSize + 4 : 0;
+  const totalHeight = bandLabelHeight + height + fontSize + 10;
+
+  // Start a new page if the histogram would overflow the bottom margin
+  if (doc.y + totalHeight > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  const top = doc.y;
+  const chartTop = top + bandLabelHeight;
+  const chartBottom = chartTop + height;
+  const xFor = (value) =>
+    chartLeft + ((value - min) / (max - min)) * chartWidth;
+
+  doc.fontSize(fontSize).font("Helvetica");
+
+  for (const band of bands) {
+    const bandX = xFor(band.from);
+    const bandWidth = xFor(band.to) - bandX;
+    doc.rect(bandX, chartTop, bandWidth, height).fill(band.colour);
+    if (band.label) {
+      doc.fill("black").text(band.label, bandX, top, {
+        width: bandWidth,
+        align: "center",
+        lineBreak: false,
+      });
+    }
+  }
+
+  counts.forEach((count, i) => {
+    const columnHeight = (count / maxCount) * height;
+    if (columnHeight > 0) {
+      const columnX = xFor(min + i * binWidth);
+      const columnWidth =
+        xFor(Math.min(min + (i + 1) * binWidth, max)) - columnX;
+      doc
+        .rect(
+          columnX + 1,
+          chartBottom - columnHeight,
+          columnWidth - 2,
+          columnHeight
+        )
+        .fill(colour);
+    }
+  });
+
+  // Draw the axes and their labels
+  doc
+    .moveTo(chartLeft, chartTop)
+    .lineTo(chartLeft, chartBottom)
+    .lineTo(chartLeft + chartWidth, chartBottom)
+    .lineWidth(0.5)
+    .stroke("black");
+
+  doc.fill("black");
+  [
+    [maxCount, chartTop],
+    [0, chartBottom],
+  ].forEach(([count, y]) => {
+    doc.text(`${count}`, left, y - fontSize / 2, {
+      width: axisWidth - 4,
+      align: "right",
+      lineBreak: false,
+    });
+  });
+  for (let value = min; value <= max; value += labelStep) {
+    doc.text(`${value}`, xFor(value) - 15, chartBottom + 3, {
+      width: 30,
+      align: "center",
+      lineBreak: false,
+    });
+  }
+
+  doc.x = left;
+  doc.y = top + totalHeight;
+};
+
+module.exports = {
+  createPDF,
+  drawBarChart,
+  drawHistogram,
+};
@@ -6,6 +6,7 @@
  * @requires ../utilities/dbUtilities Database link configuration and function for opening connection
  *
  * @exports router Object containing the different routes available in the feedback module
+ * @exports contentDisposition Builds the Content-Disposition header for downloading a file
  */
 
 /**
@@ -116,4 +117,24 @@ function handleError(
   }
 }
 
-module.exports = { decodeObjectStrings, handleError };
+/**
+ * @function contentDisposition
+ * @summary Builds the Content-Disposition header for downloading a file with the given name.
+ * @description
+ * File names are often based on session titles, which can contain characters which would break the header, such as
+ * `;` or `"`, or which cannot be sent in a header at all, such as emoji. The full name is sent percent-encoded in
+ * `filename*`, with a quoted ASCII-only `filename` for clients which don't support it.
+ *
+ * @param {string} filename - The name of the file, including its extension.
+ * @returns {string} - The value of the Content-Disposition header.
+ */
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\;,]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = { decodeObjectStrings, handleError, contentDisposition };
@@ -0,0 +1,66 @@
+/**
+ * @module schedulerUtilities
+ * @memberof module:LearnLoopAPI
+ * @summary Utilities for running background jobs inside the API process.
+ *
+ * @description
+ * The `schedulerUtilities` module runs jobs, such as sending feedback digest emails, at a regular interval. Each job
+ * is given its own database connection, which is closed when the job finishes. A run is skipped if the previous run
+ * of the same job has not finished, so that slow jobs do not overlap. Errors are handled in the same way as route
+ * errors, so that unexpected failures are logged and reported by email.
+ *
+ * @requires ./dbUtilities - Database link configuration and function for opening connection.
+ * @requires ./routeUtilities - Error handling.
+ *
+ * @exports scheduleJob - Runs a job at a regular interval.
+ */
+
+const { dbConfig, openDbConnection } = require("./dbUtilities");
+const { handleError } = require("./routeUtilities");
+
+/**
+ * @function scheduleJob
+ * @memberof module:schedulerUtilities
+ * @summary Runs a job at a regular interval.
+ *
+ * @param {string} name - The name of the job, used when reporting errors, such as "feedback/sendDigests".
+ * @param {number} intervalMinutes - The number of minutes between runs.
+ * @param {function(object): Promise} job - The job to run, which is passed a database connection.
+ * @returns {object} - The interval timer, which can be passed to `clearInterval` to stop the job.
+ */
+const scheduleJob = (name, intervalMinutes, job) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    let link; // Database connection variable
+    try {
+      link = await openDbConnection(dbConfig);
+      await job(link);
+    } catch (error) {
+      handleError(error, error.statusCode, name, "Scheduled job failed", null);
+    } finally {
+      // Close the database connection if it was opened. A failure to close is only logged, as an unhandled rejection
+      // from the timer would stop the process.
+      if (link) {
+        await link
+          .end()
+          .catch((error) =>
+            console.error(
+              new Date().toISOString(),
+              `${name} failed to close database connection`,
+              error
+            )
+          );
+      }
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref(); // Don't keep the process running for the job alone
+  return timer;
+};
+
+module.exports = { scheduleJob };
@@ -0,0 +1,72 @@
+/**
+ * @module statsUtilities
+ * @memberof module:LearnLoopAPI
+ * @summary Utilities for summarising numeric responses.
+ *
+ * @description
+ * The `statsUtilities` module provides summary statistics for numeric responses, such as rating scale slides in
+ * interaction sessions and numeric questions in feedback sessions. Responses are summarised from a distribution of
+ * the number of responses for each value, so that results aggregated separately can be combined before summarising.
+ * Text responses can be split into normalised words, so that the frequency of each word can be counted.
+ *
+ * @requires entities For decoding html entities
+ *
+ * @exports summariseDistribution - Calculates the mean and median of a distribution of numeric responses.
+ * @exports normaliseWords - Splits a text response into normalised words.
+ */
+
+const { decode } = require("entities");
+
+/**
+ * @function summariseDistribution
+ * @memberof module:statsUtilities
+ * @summary Calculates the mean and median of a distribution of numeric responses.
+ *
+ * @param {Array<object>} distribution - The number of responses (count) for each value, in order of value.
+ * @returns {object} - The mean (to 2 decimal places) and median, which are null if there are no responses.
+ */
+const summariseDistribution = (distribution) => {
+  const values = distribution.filter(({ count }) => count > 0);
+
+  const total = values.reduce((sum, { count }) => sum + count, 0);
+  if (!total) return { mean: null, median: null };
+
+  const sum = values.reduce((sum, { value, count }) => sum + value * count, 0);
+
+  // Find the value at a position in the ordered responses
+  const valueAt = (position) => {
+    let seen = 0;
+    for (const { value, count } of values) {
+      seen += count;
+      if (position < seen) return value;
+    }
+  };
+  const median =
+    total % 2
+      ? valueAt((total - 1) / 2)
+      : (valueAt(total / 2 - 1) + valueAt(total / 2)) / 2;
+
+  return { mean: Number((sum / total).toFixed(2)), median };
+};
+
+/**
+ * @function normaliseWords
+ * @memberof module:statsUtilities
+ * @summary Splits a text response into normalised words.
+ *
+ * @description Decodes html entities, converts to lower case and removes punctuation (other than apostrophes and
+ * hyphens within words) so that variations of the same word are counted together.
+ *
+ * @param {string} text - The response text.
+ * @returns {Array<string>} - The normalised words.
+ */
+const normaliseWords = (text) => {
+  return decode(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\-\s]/gu, " ")
+    .split(/\s+/)
+    .map((word) => word.replace(/^['\-]+|['\-]+$/g, ""))
+    .filter((word) => word.length);
+};
+
+module.exports = { summariseDistribution, normaliseWords };
@@ -0,0 +1,92 @@
+/**
+ * @module tokenUtilities
+ * @memberof module:LearnLoopAPI
+ * @summary Utilities for creating and verifying signed tokens.
+ *
+ * @description
+ * The `tokenUtilities` module provides signed tokens which can be sent in email links, so that a user can be given
+ * access to something without a PIN by proving they can read emails sent to their address. A token contains a payload,
+ * a purpose and an expiry time, and is signed with an HMAC using the secret key in the `tokenKey` environment variable.
+ * Tokens are only accepted for the purpose they were created for, so that a token sent for one feature cannot be used
+ * for another.
+ *
+ * @requires crypto - For signing tokens and comparing signatures.
+ *
+ * @exports createToken - Creates a signed token for a purpose.
+ * @exports verifyToken - Verifies a signed token and returns its payload.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @function sign
+ * @memberof module:tokenUtilities
+ * @summary Signs the body of a token.
+ *
+ * @param {string} body - The encoded body of the token.
+ * @returns {string} - The signature, encoded as base64url.
+ * @throws {Error} - Throws an error if the secret key is not set.
+ */
+const sign = (body) => {
+  if (!process.env.tokenKey) throw new Error("Token key is not set");
+  return crypto
+    .createHmac("sha256", process.env.tokenKey)
+    .update(body)
+    .digest("base64url");
+};
+
+/**
+ * @function createToken
+ * @memberof module:tokenUtilities
+ * @summary Creates a signed token for a purpose.
+ *
+ * @param {string} purpose - What the token can be used for, such as "analytics".
+ * @param {object} payload - The data to include in the token, such as an email address.
+ * @param {number} expiryHours - The number of hours until the token expires.
+ * @returns {string} - The token, which is safe to include in a URL.
+ */
+const createToken = (purpose, payload, expiryHours) => {
+  const body = Buffer.from(
+    JSON.stringify({
+      purpose,
+      payload,
+      expires: Date.now() + expiryHours * 60 * 60 * 1000,
+    })
+  ).toString("base64url");
+  return `${body}.${sign(body)}`;
+};
+
+/**
+ * @function verifyToken
+ * @memberof module:tokenUtilities
+ * @summary Verifies a signed token and returns its payload.
+ *
+ * @param {string} token - The token to verify.
+ * @param {string} purpose - The purpose the token must have been created for.
+ * @returns {object|null} - The payload, or null if the token is invalid, expired or for a different purpose.
+ */
+const verifyToken = (token, purpose) => {
+  const [body, signature] = `${token}`.split(".");
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    const contents = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (contents.purpose !== purpose || contents.expires < Date.now()) {
+      return null;
+    }
+    return contents.payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { createToken, verifyToken };